@@ -22,11 +22,32 @@ module.exports = {
     TOSS: 'toss',
     IN_PROGRESS: 'in_progress',
     INNINGS_BREAK: 'innings_break',
+    SUPER_OVER: 'super_over', // Tied, waiting for a super over to start
     COMPLETED: 'completed',
     ABANDONED: 'abandoned',
     CANCELLED: 'cancelled'
   },
 
+  // Actions that move a match between statuses, checked by the match state machine
+  MATCH_TRANSITIONS: {
+    START: 'start',
+    TOSS: 'toss',
+    SCORE: 'score', // Set players, record or retire; may end an innings or the match
+    CORRECT: 'correct', // Undo, amend or delete a recorded ball
+    REDUCE_OVERS: 'reduce_overs',
+    SYNC: 'sync',
+    START_SECOND_INNINGS: 'start_second_innings',
+    START_SUPER_OVER: 'start_super_over',
+    ABANDON: 'abandon'
+  },
+
+  // Who may trigger a match transition
+  MATCH_ACTORS: {
+    CREATOR: 'creator',
+    UMPIRE: 'umpire', // Or the creator of a solo mode room
+    ADMIN: 'admin'
+  },
+
   // Room Status
   ROOM_STATUS: {
     WAITING: 'waiting',
@@ -64,7 +85,8 @@ module.exports = {
     NO_BALL: 'no_ball',
     BYE: 'bye',
     LEG_BYE: 'leg_bye',
-    WICKET: 'wicket'
+    WICKET: 'wicket',
+    GROUND_RULE: 'ground_rule' // A named outcome from the match's ground rules
   },
 
   // Dismissal Types
@@ -77,9 +99,81 @@ module.exports = {
     LBW: 'lbw',
     HIT_WICKET: 'hit_wicket',
     RETIRED_HURT: 'retired_hurt',
+    RETIRED_OUT: 'retired_out',
     OBSTRUCTING_FIELD: 'obstructing_field',
     TIMED_OUT: 'timed_out',
-    HANDLED_BALL: 'handled_ball'
+    HANDLED_BALL: 'handled_ball',
+    GROUND_RULE: 'ground_rule' // Out under a ground rule, e.g. hitting the roof
+  },
+
+  // What a ground rule scores its runs as
+  GROUND_RULE_EXTRAS: {
+    NONE: 'none',
+    WIDE: 'wide',
+    NO_BALL: 'no_ball',
+    BYE: 'bye',
+    LEG_BYE: 'leg_bye'
+  },
+
+  // Ends of the pitch, named after the batsman who starts the delivery there
+  CREASE_ENDS: {
+    STRIKER: 'striker',
+    NON_STRIKER: 'non_striker'
+  },
+
+  // Where a shot went, by fielding region on the batsman's leg and off sides
+  SHOT_ZONES: {
+    FINE_LEG: 'fine_leg',
+    SQUARE_LEG: 'square_leg',
+    MID_WICKET: 'mid_wicket',
+    LONG_ON: 'long_on',
+    LONG_OFF: 'long_off',
+    COVER: 'cover',
+    POINT: 'point',
+    THIRD_MAN: 'third_man'
+  },
+
+  // Walls and nets of a box arena a shot can hit, as seen from the batsman
+  ARENA_WALLS: {
+    STRAIGHT: 'straight',
+    BEHIND: 'behind',
+    LEG_SIDE: 'leg_side',
+    OFF_SIDE: 'off_side',
+    ROOF: 'roof'
+  },
+
+  // Corrections to recorded deliveries
+  BALL_CORRECTIONS: {
+    AMEND: 'amend',
+    DELETE: 'delete'
+  },
+
+  // Stages of an innings for analytics
+  INNINGS_PHASES: {
+    OPENING: 'opening',
+    MIDDLE: 'middle',
+    FINAL_OVER: 'final_over'
+  },
+
+  // Kinds of generated commentary line
+  COMMENTARY_TYPES: {
+    BALL: 'ball',
+    WICKET: 'wicket',
+    MILESTONE: 'milestone',
+    PARTNERSHIP: 'partnership',
+    OVER_SUMMARY: 'over_summary'
+  },
+
+  // Scoring actions a scorer can record offline and sync later
+  SYNC_ACTIONS: {
+    TOSS: 'toss',
+    BATSMEN: 'batsmen',
+    BOWLER: 'bowler',
+    NEW_BATSMAN: 'new_batsman',
+    BALL: 'ball',
+    UNDO: 'undo',
+    SECOND_INNINGS: 'second_innings',
+    SUPER_OVER: 'super_over'
   },
 
   // Toss Decisions
@@ -97,12 +191,47 @@ module.exports = {
     ABANDONED: 'abandoned'
   },
 
+  // How an innings is played: until the side is out or the overs run out,
+  // or in fixed overs per batting pair where each dismissal costs runs
+  MATCH_FORMATS: {
+    STANDARD: 'standard',
+    PAIRS: 'pairs'
+  },
+
+  // How a tied match is settled: not at all, super overs until one side wins,
+  // or a single super over followed by a boundary count
+  SUPER_OVER_MODES: {
+    OFF: 'off',
+    REPEAT: 'repeat',
+    BOUNDARY_COUNT: 'boundary_count'
+  },
+
+  // What decided a tied match
+  TIE_BREAKERS: {
+    SUPER_OVER: 'super_over',
+    BOUNDARY_COUNT: 'boundary_count'
+  },
+
+  // How a Player of the Match was picked: the top impact score when nobody
+  // voted, the participants' votes, or the host or umpire overriding them
+  MAN_OF_THE_MATCH_DECISIONS: {
+    IMPACT: 'impact',
+    VOTES: 'votes',
+    OVERRIDE: 'override'
+  },
+
   // Default Configuration
   DEFAULTS: {
     OVERS: parseInt(process.env.DEFAULT_OVERS) || 6,
     PLAYERS_PER_TEAM: parseInt(process.env.DEFAULT_PLAYERS_PER_TEAM) || 6,
     MAX_PARTICIPANTS_PER_ROOM: 3, // Fixed: Creator + 2 friends
-    BALLS_PER_OVER: 6
+    BALLS_PER_OVER: 6,
+    SUPER_OVER_OVERS: 1,
+    SUPER_OVER_WICKETS: 2,
+    OVERS_PER_PAIR: 2,
+    DISMISSAL_PENALTY: 5,
+    MAN_OF_THE_MATCH_VOTING_HOURS: 12,
+    OPENING_PHASE_OVERS: 2
   },
 
   // Validation Limits
@@ -153,12 +282,16 @@ module.exports = {
     TOSS_RESULT: 'toss_result',
     INNINGS_START: 'innings_start',
     INNINGS_END: 'innings_end',
+    SUPER_OVER_START: 'super_over_start',
+    SUPER_OVER_END: 'super_over_end',
+    MAN_OF_THE_MATCH: 'man_of_the_match',
 
     // Scoring Events
     BALL_UPDATE: 'ball_update',
     SCORE_UPDATE: 'score_update',
     WICKET: 'wicket',
     OVER_COMPLETE: 'over_complete',
+    COMMENTARY: 'commentary',
 
     // User Events
     JOIN_USER_ROOM: 'join_user_room',
@@ -204,6 +337,7 @@ module.exports = {
     MATCH_INVITATION: 'match_invitation',
     MATCH_STARTED: 'match_started',
     MATCH_ENDED: 'match_ended',
+    MAN_OF_THE_MATCH: 'man_of_the_match',
     ROOM_INVITATION: 'room_invitation',
     SYSTEM: 'system',
     CUSTOM: 'custom',
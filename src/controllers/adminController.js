@@ -9,7 +9,9 @@ const {
   ERROR_MESSAGES 
 } = require('../utils/errors');
 const { parsePagination, parseSort } = require('../utils/helpers');
-const { ACCOUNT_STATUS, MATCH_STATUS, ROOM_STATUS } = require('../config/constants');
+const { ACCOUNT_STATUS, MATCH_STATUS, ROOM_STATUS, MATCH_TRANSITIONS } = require('../config/constants');
+const statisticsService = require('../services/statisticsService');
+const matchStateService = require('../services/matchStateService');
 
 /**
  * @desc    Get dashboard statistics
@@ -268,16 +270,13 @@ const forceCloseRoom = async (req, res) => {
     throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.ROOM_NOT_FOUND]);
   }
 
-  // If match is in progress, abandon it
-  if (room.currentMatch) {
-    await Match.findByIdAndUpdate(room.currentMatch, {
-      status: MATCH_STATUS.ABANDONED,
-      endTime: new Date(),
-      result: {
-        resultType: 'abandoned',
-        resultText: reason || 'Room closed by admin'
-      }
-    });
+  // If match is in progress, abandon it; a finished match keeps its result
+  const match = room.currentMatch ? await Match.findById(room.currentMatch) : null;
+  if (match && matchStateService.canTransition(match, MATCH_TRANSITIONS.ABANDON)) {
+    const previousStatus = match.status;
+    matchStateService.abandon(match, reason || 'Room closed by admin');
+    await match.save();
+    await matchStateService.applyEffects(match, previousStatus, room);
   }
 
   room.status = ROOM_STATUS.CLOSED;
@@ -339,17 +338,14 @@ const forceEndMatch = async (req, res) => {
     throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
   }
 
-  match.status = MATCH_STATUS.ABANDONED;
-  match.endTime = new Date();
-  match.result = {
-    resultType: 'abandoned',
-    resultText: reason || 'Match ended by admin'
-  };
+  const room = await Room.findById(match.room);
+  matchStateService.authorize(MATCH_TRANSITIONS.ABANDON, { user: req.user, room, match });
 
-  await match.save();
+  const previousStatus = match.status;
+  matchStateService.abandon(match, reason || 'Match ended by admin');
 
-  // Update room status
-  await Room.findByIdAndUpdate(match.room, { status: ROOM_STATUS.COMPLETED });
+  await match.save();
+  await matchStateService.applyEffects(match, previousStatus, room);
 
   return successResponse(res, {
     message: 'Match ended successfully',
@@ -357,6 +353,37 @@ const forceEndMatch = async (req, res) => {
   });
 };
 
+/**
+ * @desc    Recompute player performances and career statistics from ball data
+ * @route   POST /api/v1/admin/statistics/recompute
+ * @access  Private/Admin
+ */
+const recomputeStatistics = async (req, res) => {
+  const { userId, matchId, dryRun, batchSize } = req.body;
+
+  if (userId && !(await User.exists({ _id: userId }))) {
+    throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.USER_NOT_FOUND]);
+  }
+
+  if (matchId && !(await Match.exists({ _id: matchId }))) {
+    throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
+  }
+
+  const report = await statisticsService.recomputeStatistics({
+    userId,
+    matchId,
+    dryRun: dryRun === true || dryRun === 'true',
+    batchSize: batchSize ? parseInt(batchSize, 10) : undefined
+  });
+
+  return successResponse(res, {
+    message: report.dryRun
+      ? 'Statistics recompute dry run completed'
+      : 'Statistics recomputed successfully',
+    data: report
+  });
+};
+
 /**
  * @desc    Get system audit logs (placeholder)
  * @route   GET /api/v1/admin/audit-logs
@@ -519,6 +546,7 @@ module.exports = {
   forceCloseRoom,
   getMatches,
   forceEndMatch,
+  recomputeStatistics,
   getAuditLogs,
   getPlatformConfig,
   getFriendshipStats,
@@ -5,6 +5,7 @@ const matchController = require('./matchController');
 const adminController = require('./adminController');
 const friendController = require('./friendController');
 const notificationController = require('./notificationController');
+const ruleSetController = require('./ruleSetController');
 
 module.exports = {
   authController,
@@ -13,5 +14,6 @@ module.exports = {
   matchController,
   adminController,
   friendController,
-  notificationController
+  notificationController,
+  ruleSetController
 };
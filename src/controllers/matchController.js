@@ -1,4 +1,4 @@
-const { Match, Room, User, Notification } = require('../models');
+const { Match, Room, User, Notification, RuleSet } = require('../models');
 const {
   successResponse,
   createdResponse,
@@ -8,6 +8,7 @@ const {
   NotFoundError,
   AuthorizationError,
   ValidationError,
+  ConflictError,
   ERROR_CODES,
   ERROR_MESSAGES
 } = require('../utils/errors');
@@ -16,13 +17,25 @@ const {
   MATCH_STATUS,
   ROOM_STATUS,
   INNINGS_STATUS,
-  BALL_OUTCOMES,
-  TOSS_DECISIONS,
-  DEFAULTS,
-  NOTIFICATION_TYPES
+  BALL_CORRECTIONS,
+  NOTIFICATION_TYPES,
+  MATCH_FORMATS,
+  SYNC_ACTIONS,
+  MATCH_TRANSITIONS,
+  DEFAULTS
 } = require('../config/constants');
 const socketService = require('../services/socketService');
 const notificationService = require('../services/notificationService');
+const scoringService = require('../services/scoringService');
+const syncService = require('../services/syncService');
+const matchStateService = require('../services/matchStateService');
+const manOfTheMatchService = require('../services/manOfTheMatchService');
+const commentaryService = require('../services/commentaryService');
+const analyticsService = require('../services/analyticsService');
+const wagonWheelService = require('../services/wagonWheelService');
+const predictionService = require('../services/predictionService');
+const rulesService = require('../services/rulesService');
+const parScoreService = require('../services/parScoreService');
 
 /**
  * @desc    Start a new match
@@ -39,9 +52,7 @@ const startMatch = async (req, res) => {
     throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.ROOM_NOT_FOUND]);
   }
 
-  if (!room.isCreator(req.user._id)) {
-    throw new AuthorizationError(ERROR_MESSAGES[ERROR_CODES.NOT_ROOM_CREATOR]);
-  }
+  matchStateService.authorize(MATCH_TRANSITIONS.START, { user: req.user, room });
 
   if (room.status !== ROOM_STATUS.READY) {
     throw new ValidationError('Room is not ready for a match');
@@ -54,34 +65,55 @@ const startMatch = async (req, res) => {
   // Get umpire from participants (the one with umpire role)
   const umpireParticipant = room.participants.find(p => p.role === 'umpire');
 
+  if (room.settings.format === MATCH_FORMATS.PAIRS) {
+    const violation = rulesService.getPairsScheduleViolation(room.settings);
+    if (violation) {
+      throw new ValidationError(violation);
+    }
+  }
+
+  // The match keeps its own copy of the ground rules, unaffected by later edits to the rule set
+  const ruleSet = room.settings.ruleSet ? await RuleSet.findById(room.settings.ruleSet) : null;
+
   // Create match
   const matchNumber = (room.matchHistory?.length || 0) + 1;
 
   const match = await Match.create({
     room: room._id,
     matchNumber,
-    status: MATCH_STATUS.TOSS,
     settings: {
       overs: room.settings.overs,
       playersPerTeam: room.settings.playersPerTeam,
+      ballsPerOver: room.settings.ballsPerOver,
       wideRuns: room.settings.wideRuns,
       noBallRuns: room.settings.noBallRuns,
-      noBallFreehit: room.settings.noBallFreehit
+      noBallFreehit: room.settings.noBallFreehit,
+      maxOversPerBowler: rulesService.getMaxOversPerBowler(room.settings),
+      lastManStands: room.settings.lastManStands,
+      superOver: room.settings.superOver,
+      format: room.settings.format,
+      oversPerPair: room.settings.oversPerPair,
+      dismissalPenalty: room.settings.dismissalPenalty
     },
+    groundRules: ruleSet?.rules || [],
     teamA: {
       name: room.teamA.name,
       players: room.teamA.players.map(p => ({
+        user: p.user,
         guestName: p.name,
+        guestId: p._id.toString(),
         isCaptain: p.isCaptain,
-        isGuest: true
+        isGuest: !p.user
       }))
     },
     teamB: {
       name: room.teamB.name,
       players: room.teamB.players.map(p => ({
+        user: p.user,
         guestName: p.name,
+        guestId: p._id.toString(),
         isCaptain: p.isCaptain,
-        isGuest: true
+        isGuest: !p.user
       }))
     },
     umpire: umpireParticipant ? {
@@ -98,8 +130,10 @@ const startMatch = async (req, res) => {
   room.teamA.players.forEach((player, index) => {
     performances.push({
       player: {
-        isGuest: true,
-        guestName: player.name
+        user: player.user,
+        isGuest: !player.user,
+        guestName: player.name,
+        guestId: player._id.toString()
       },
       team: 'teamA'
     });
@@ -108,20 +142,23 @@ const startMatch = async (req, res) => {
   room.teamB.players.forEach((player, index) => {
     performances.push({
       player: {
-        isGuest: true,
-        guestName: player.name
+        user: player.user,
+        isGuest: !player.user,
+        guestName: player.name,
+        guestId: player._id.toString()
       },
       team: 'teamB'
     });
   });
 
   match.playerPerformances = performances;
+  matchStateService.transition(match, MATCH_TRANSITIONS.START);
   await match.save();
 
   // Update room
   room.currentMatch = match._id;
-  room.status = ROOM_STATUS.IN_MATCH;
   await room.save();
+  await matchStateService.applyEffects(match, MATCH_STATUS.SCHEDULED, room);
 
   // Notify all room participants
   const participantUserIds = room.participants
@@ -169,63 +206,12 @@ const conductToss = async (req, res) => {
     throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
   }
 
-  // Verify umpire or creator (for solo mode)
-  const isUmpire = match.umpire.user?.toString() === req.user._id.toString();
   const room = await Room.findById(match.room).populate('participants.user');
-  const isCreator = room?.isCreator(req.user._id);
-  const isSoloMode = room?.isSoloMode;
-
-  if (!isUmpire && !(isSoloMode && isCreator)) {
-    throw new AuthorizationError(ERROR_MESSAGES[ERROR_CODES.NOT_UMPIRE]);
-  }
-
-  if (match.status !== MATCH_STATUS.TOSS) {
-    throw new ValidationError(ERROR_MESSAGES[ERROR_CODES.TOSS_ALREADY_DONE]);
-  }
-
-  // Set toss result
-  match.toss = {
-    winner,
-    decision,
-    conductedAt: new Date()
-  };
-
-  // Initialize innings based on toss
-  const battingFirst = decision === TOSS_DECISIONS.BAT ? winner : (winner === 'teamA' ? 'teamB' : 'teamA');
-  const bowlingFirst = battingFirst === 'teamA' ? 'teamB' : 'teamA';
-
-  match.innings.first = {
-    battingTeam: battingFirst,
-    bowlingTeam: bowlingFirst,
-    status: INNINGS_STATUS.NOT_STARTED,
-    totalRuns: 0,
-    totalWickets: 0,
-    totalOvers: 0,
-    totalBalls: 0,
-    extras: { wides: 0, noBalls: 0, byes: 0, legByes: 0, total: 0 },
-    currentOver: 0,
-    currentBall: 0,
-    balls: [],
-    fallOfWickets: []
-  };
-
-  match.innings.second = {
-    battingTeam: bowlingFirst,
-    bowlingTeam: battingFirst,
-    status: INNINGS_STATUS.NOT_STARTED,
-    totalRuns: 0,
-    totalWickets: 0,
-    totalOvers: 0,
-    totalBalls: 0,
-    extras: { wides: 0, noBalls: 0, byes: 0, legByes: 0, total: 0 },
-    currentOver: 0,
-    currentBall: 0,
-    balls: [],
-    fallOfWickets: []
-  };
+  matchStateService.authorize(MATCH_TRANSITIONS.TOSS, { user: req.user, room, match });
 
-  match.currentInnings = 'first';
-  match.status = MATCH_STATUS.IN_PROGRESS;
+  // Set the toss result and both innings from it
+  const { battingFirst, bowlingFirst } = matchStateService.transition(match, MATCH_TRANSITIONS.TOSS,
+    () => scoringService.conductToss(match, { winner, decision }));
 
   await match.save();
 
@@ -253,6 +239,8 @@ const conductToss = async (req, res) => {
     }
   }
 
+  await matchStateService.applyEffects(match, MATCH_STATUS.TOSS, room);
+
   return successResponse(res, {
     message: 'Toss completed',
     data: {
@@ -270,7 +258,6 @@ const conductToss = async (req, res) => {
  */
 const setBatsmen = async (req, res) => {
   const { matchId } = req.params;
-  const { strikerId, strikerGuestId, nonStrikerId, nonStrikerGuestId } = req.body;
 
   const match = await Match.findById(matchId);
 
@@ -278,74 +265,12 @@ const setBatsmen = async (req, res) => {
     throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
   }
 
-  // Verify umpire or creator (for solo mode)
-  const isUmpire = match.umpire.user?.toString() === req.user._id.toString();
   const room = await Room.findById(match.room);
-  const isCreator = room?.isCreator(req.user._id);
-  const isSoloMode = room?.isSoloMode;
-
-  if (!isUmpire && !(isSoloMode && isCreator)) {
-    throw new AuthorizationError(ERROR_MESSAGES[ERROR_CODES.NOT_UMPIRE]);
-  }
+  matchStateService.authorize(MATCH_TRANSITIONS.SCORE, { user: req.user, room, match });
 
-  if (match.status !== MATCH_STATUS.IN_PROGRESS) {
-    throw new ValidationError('Match is not in progress');
-  }
-
-  const currentInnings = match.innings[match.currentInnings];
-  const battingTeam = match[currentInnings.battingTeam];
-
-  // Set striker
-  if (strikerId) {
-    const striker = battingTeam.players.find(p => p.user?.toString() === strikerId);
-    if (!striker) {
-      throw new ValidationError('Striker not found in batting team');
-    }
-    currentInnings.currentBatsmen.striker = {
-      user: strikerId,
-      isGuest: false
-    };
-  } else if (strikerGuestId) {
-    const striker = battingTeam.players.find(p => p.guestId === strikerGuestId);
-    if (!striker) {
-      throw new ValidationError('Striker not found in batting team');
-    }
-    currentInnings.currentBatsmen.striker = {
-      isGuest: true,
-      guestName: striker.guestName,
-      guestId: strikerGuestId
-    };
-  }
-
-  // Set non-striker
-  if (nonStrikerId) {
-    const nonStriker = battingTeam.players.find(p => p.user?.toString() === nonStrikerId);
-    if (!nonStriker) {
-      throw new ValidationError('Non-striker not found in batting team');
-    }
-    currentInnings.currentBatsmen.nonStriker = {
-      user: nonStrikerId,
-      isGuest: false
-    };
-  } else if (nonStrikerGuestId) {
-    const nonStriker = battingTeam.players.find(p => p.guestId === nonStrikerGuestId);
-    if (!nonStriker) {
-      throw new ValidationError('Non-striker not found in batting team');
-    }
-    currentInnings.currentBatsmen.nonStriker = {
-      isGuest: true,
-      guestName: nonStriker.guestName,
-      guestId: nonStrikerGuestId
-    };
-  }
-
-  // Start innings if not started
-  if (currentInnings.status === INNINGS_STATUS.NOT_STARTED) {
-    currentInnings.status = INNINGS_STATUS.IN_PROGRESS;
-    currentInnings.startTime = new Date();
-    currentInnings.currentOver = 1;
-    currentInnings.currentBall = 0;
-  }
+  // Set the batsmen, starting the innings if it hasn't started
+  const currentInnings = matchStateService.transition(match, MATCH_TRANSITIONS.SCORE,
+    () => scoringService.setBatsmen(match, req.body));
 
   await match.save();
 
@@ -362,7 +287,6 @@ const setBatsmen = async (req, res) => {
  */
 const setBowler = async (req, res) => {
   const { matchId } = req.params;
-  const { bowlerId, bowlerGuestId } = req.body;
 
   const match = await Match.findById(matchId);
 
@@ -370,39 +294,11 @@ const setBowler = async (req, res) => {
     throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
   }
 
-  // Verify umpire or creator (for solo mode)
-  const isUmpire = match.umpire.user?.toString() === req.user._id.toString();
   const room = await Room.findById(match.room);
-  const isCreator = room?.isCreator(req.user._id);
-  const isSoloMode = room?.isSoloMode;
+  matchStateService.authorize(MATCH_TRANSITIONS.SCORE, { user: req.user, room, match });
 
-  if (!isUmpire && !(isSoloMode && isCreator)) {
-    throw new AuthorizationError(ERROR_MESSAGES[ERROR_CODES.NOT_UMPIRE]);
-  }
-
-  const currentInnings = match.innings[match.currentInnings];
-  const bowlingTeam = match[currentInnings.bowlingTeam];
-
-  if (bowlerId) {
-    const bowler = bowlingTeam.players.find(p => p.user?.toString() === bowlerId);
-    if (!bowler) {
-      throw new ValidationError('Bowler not found in bowling team');
-    }
-    currentInnings.currentBowler = {
-      user: bowlerId,
-      isGuest: false
-    };
-  } else if (bowlerGuestId) {
-    const bowler = bowlingTeam.players.find(p => p.guestId === bowlerGuestId);
-    if (!bowler) {
-      throw new ValidationError('Bowler not found in bowling team');
-    }
-    currentInnings.currentBowler = {
-      isGuest: true,
-      guestName: bowler.guestName,
-      guestId: bowlerGuestId
-    };
-  }
+  const currentInnings = matchStateService.transition(match, MATCH_TRANSITIONS.SCORE,
+    () => scoringService.setBowler(match, req.body));
 
   await match.save();
 
@@ -412,6 +308,32 @@ const setBowler = async (req, res) => {
   });
 };
 
+/**
+ * Response for a delivery the client already recorded under the same key
+ * @param {Object} res - Express response
+ * @param {Object} match - Match document
+ * @param {Object} recorded - { innings, ball } from scoringService.findBallByClientId
+ */
+const duplicateBallResponse = (res, match, { innings, ball }) => {
+  return successResponse(res, {
+    message: 'Ball already recorded',
+    data: {
+      ball,
+      duplicate: true,
+      innings: {
+        totalRuns: innings.totalRuns,
+        totalWickets: innings.totalWickets,
+        overs: `${innings.totalOvers}.${innings.currentBall}`,
+        runRate: innings.runRate,
+        status: innings.status,
+        freeHit: innings.freeHit
+      },
+      matchStatus: match.status,
+      result: match.result
+    }
+  });
+};
+
 /**
  * @desc    Record a ball
  * @route   POST /api/v1/matches/:matchId/ball
@@ -419,17 +341,6 @@ const setBowler = async (req, res) => {
  */
 const recordBall = async (req, res) => {
   const { matchId } = req.params;
-  const { 
-    outcome, 
-    runs = 0, 
-    isWicket = false, 
-    dismissalType,
-    batsmanOutId,
-    batsmanOutGuestId,
-    fielderId,
-    fielderGuestId,
-    commentary 
-  } = req.body;
 
   const match = await Match.findById(matchId);
 
@@ -437,249 +348,61 @@ const recordBall = async (req, res) => {
     throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
   }
 
-  // Verify umpire or creator (for solo mode)
-  const isUmpire = match.umpire.user?.toString() === req.user._id.toString();
   const room = await Room.findById(match.room).populate('participants.user');
-  const isCreator = room?.isCreator(req.user._id);
-  const isSoloMode = room?.isSoloMode;
-
-  if (!isUmpire && !(isSoloMode && isCreator)) {
-    throw new AuthorizationError(ERROR_MESSAGES[ERROR_CODES.NOT_UMPIRE]);
-  }
-
-  if (match.status !== MATCH_STATUS.IN_PROGRESS) {
-    throw new ValidationError('Match is not in progress');
-  }
-
-  const currentInnings = match.innings[match.currentInnings];
-
-  if (currentInnings.status !== INNINGS_STATUS.IN_PROGRESS) {
-    throw new ValidationError(ERROR_MESSAGES[ERROR_CODES.INNINGS_NOT_STARTED]);
-  }
+  matchStateService.authorize(MATCH_TRANSITIONS.SCORE, { user: req.user, room, match });
 
-  // Validate batsmen and bowler are set
-  if (!currentInnings.currentBatsmen.striker.user && !currentInnings.currentBatsmen.striker.guestId) {
-    throw new ValidationError('Please set the batsmen first');
-  }
-
-  if (!currentInnings.currentBowler.user && !currentInnings.currentBowler.guestId) {
-    throw new ValidationError('Please set the bowler first');
-  }
+  // A resent delivery (double tap, retry after a dropped response) returns
+  // the ball already recorded instead of scoring it again
+  const clientBallId = req.body.clientBallId || req.get('Idempotency-Key');
+  const alreadyRecorded = clientBallId && scoringService.findBallByClientId(match, clientBallId);
 
-  // Calculate runs
-  let batsmanRuns = 0;
-  let extraRuns = 0;
-  let totalRuns = 0;
-  let isLegalDelivery = true;
-  let isBoundary = false;
-
-  switch (outcome) {
-    case BALL_OUTCOMES.DOT:
-      totalRuns = 0;
-      break;
-    case BALL_OUTCOMES.ONE:
-    case BALL_OUTCOMES.TWO:
-    case BALL_OUTCOMES.THREE:
-      batsmanRuns = parseInt(outcome);
-      totalRuns = batsmanRuns;
-      break;
-    case BALL_OUTCOMES.FOUR:
-      batsmanRuns = 4;
-      totalRuns = 4;
-      isBoundary = true;
-      break;
-    case BALL_OUTCOMES.SIX:
-      batsmanRuns = 6;
-      totalRuns = 6;
-      isBoundary = true;
-      break;
-    case BALL_OUTCOMES.WIDE:
-      extraRuns = match.settings.wideRuns + runs;
-      totalRuns = extraRuns;
-      isLegalDelivery = false;
-      currentInnings.extras.wides += extraRuns;
-      break;
-    case BALL_OUTCOMES.NO_BALL:
-      extraRuns = match.settings.noBallRuns;
-      batsmanRuns = runs;
-      totalRuns = extraRuns + batsmanRuns;
-      isLegalDelivery = false;
-      currentInnings.extras.noBalls += extraRuns;
-      break;
-    case BALL_OUTCOMES.BYE:
-      extraRuns = runs || 1;
-      totalRuns = extraRuns;
-      currentInnings.extras.byes += extraRuns;
-      break;
-    case BALL_OUTCOMES.LEG_BYE:
-      extraRuns = runs || 1;
-      totalRuns = extraRuns;
-      currentInnings.extras.legByes += extraRuns;
-      break;
-    case BALL_OUTCOMES.WICKET:
-      // Wicket logic handled separately
-      break;
-    default:
-      batsmanRuns = runs;
-      totalRuns = runs;
+  if (alreadyRecorded) {
+    return duplicateBallResponse(res, match, alreadyRecorded);
   }
 
-  // Create ball record
-  const ball = {
-    overNumber: currentInnings.currentOver,
-    ballNumber: currentInnings.currentBall + 1,
-    bowler: currentInnings.currentBowler,
-    batsman: currentInnings.currentBatsmen.striker,
-    nonStriker: currentInnings.currentBatsmen.nonStriker,
-    outcome,
-    runs: {
-      batsmanRuns,
-      extraRuns,
-      totalRuns
-    },
-    isWicket,
-    isLegalDelivery,
-    isBoundary,
-    commentary,
-    timestamp: new Date()
-  };
-
-  // Handle wicket
-  if (isWicket || outcome === BALL_OUTCOMES.WICKET) {
-    ball.isWicket = true;
-    ball.wicket = {
-      dismissalType
-    };
-
-    // Set batsman out
-    if (batsmanOutId) {
-      ball.wicket.batsmanOut = { user: batsmanOutId, isGuest: false };
-    } else if (batsmanOutGuestId) {
-      ball.wicket.batsmanOut = { isGuest: true, guestId: batsmanOutGuestId };
-    } else {
-      ball.wicket.batsmanOut = currentInnings.currentBatsmen.striker;
-    }
-
-    // Set fielder if applicable
-    if (fielderId) {
-      ball.wicket.fielder = { user: fielderId, isGuest: false };
-    } else if (fielderGuestId) {
-      ball.wicket.fielder = { isGuest: true, guestId: fielderGuestId };
-    }
-
-    currentInnings.totalWickets += 1;
+  const previousStatus = match.status;
 
-    // Record fall of wicket
-    currentInnings.fallOfWickets.push({
-      wicketNumber: currentInnings.totalWickets,
-      runs: currentInnings.totalRuns + totalRuns,
-      overs: currentInnings.currentOver,
-      balls: currentInnings.currentBall + (isLegalDelivery ? 1 : 0),
-      batsman: ball.wicket.batsmanOut
-    });
+  // Check the crease and position, then score the delivery and update the match status
+  const { innings: currentInnings, ball: recordedBall } = matchStateService.transition(
+    match,
+    MATCH_TRANSITIONS.SCORE,
+    () => scoringService.recordDelivery(match, { ...req.body, clientBallId })
+  );
 
-    // Update player performance
-    const batsmanOutPerf = match.playerPerformances.find(p => {
-      if (batsmanOutId) return p.player.user?.toString() === batsmanOutId;
-      if (batsmanOutGuestId) return p.player.guestId === batsmanOutGuestId;
-      return false;
-    });
+  try {
+    await match.save();
+  } catch (error) {
+    if (error.name !== 'VersionError') throw error;
 
-    if (batsmanOutPerf) {
-      batsmanOutPerf.batting.isOut = true;
-      batsmanOutPerf.batting.dismissalType = dismissalType;
-    }
-  }
+    // Another request saved the match first. If it was this same delivery,
+    // answer as a duplicate; otherwise the scorer has to refresh.
+    const latest = clientBallId && await Match.findById(matchId);
+    const recordedMeanwhile = latest && scoringService.findBallByClientId(latest, clientBallId);
 
-  // Add ball to innings
-  currentInnings.balls.push(ball);
-  currentInnings.totalRuns += totalRuns;
-  currentInnings.extras.total = 
-    currentInnings.extras.wides + 
-    currentInnings.extras.noBalls + 
-    currentInnings.extras.byes + 
-    currentInnings.extras.legByes;
-
-  // Update ball count for legal deliveries
-  if (isLegalDelivery) {
-    currentInnings.currentBall += 1;
-    currentInnings.totalBalls += 1;
-
-    // Check for over completion
-    if (currentInnings.currentBall >= DEFAULTS.BALLS_PER_OVER) {
-      currentInnings.currentOver += 1;
-      currentInnings.totalOvers += 1;
-      currentInnings.currentBall = 0;
-
-      // Swap batsmen at end of over
-      const temp = currentInnings.currentBatsmen.striker;
-      currentInnings.currentBatsmen.striker = currentInnings.currentBatsmen.nonStriker;
-      currentInnings.currentBatsmen.nonStriker = temp;
-
-      // Clear bowler for new over
-      currentInnings.currentBowler = {};
+    if (recordedMeanwhile) {
+      return duplicateBallResponse(res, latest, recordedMeanwhile);
     }
-  }
-
-  // Swap batsmen on odd runs
-  if (isLegalDelivery && (batsmanRuns % 2 === 1)) {
-    const temp = currentInnings.currentBatsmen.striker;
-    currentInnings.currentBatsmen.striker = currentInnings.currentBatsmen.nonStriker;
-    currentInnings.currentBatsmen.nonStriker = temp;
-  }
 
-  // Calculate run rate
-  const totalOvers = currentInnings.totalOvers + (currentInnings.currentBall / 6);
-  currentInnings.runRate = totalOvers > 0 ? (currentInnings.totalRuns / totalOvers).toFixed(2) : 0;
-
-  // Check for innings completion
-  const maxWickets = match.settings.playersPerTeam - 1;
-  const maxOvers = match.settings.overs;
-
-  if (currentInnings.totalWickets >= maxWickets || currentInnings.totalOvers >= maxOvers) {
-    currentInnings.status = INNINGS_STATUS.COMPLETED;
-    currentInnings.endTime = new Date();
-
-    // Handle innings transition
-    if (match.currentInnings === 'first') {
-      match.status = MATCH_STATUS.INNINGS_BREAK;
-      match.innings.second.target = currentInnings.totalRuns + 1;
-    } else {
-      // Match completed
-      match.status = MATCH_STATUS.COMPLETED;
-      match.endTime = new Date();
-      match.result = match.determineResult();
-      
-      // Update room status
-      await Room.findByIdAndUpdate(match.room, { status: ROOM_STATUS.COMPLETED });
-    }
+    throw new ConflictError(
+      ERROR_MESSAGES[ERROR_CODES.MATCH_UPDATE_CONFLICT],
+      ERROR_CODES.MATCH_UPDATE_CONFLICT
+    );
   }
 
-  // Check for chase completion (second innings)
-  if (match.currentInnings === 'second' && currentInnings.totalRuns >= match.innings.first.totalRuns + 1) {
-    currentInnings.status = INNINGS_STATUS.COMPLETED;
-    currentInnings.endTime = new Date();
-    match.status = MATCH_STATUS.COMPLETED;
-    match.endTime = new Date();
-    match.result = match.determineResult();
-    
-    await Room.findByIdAndUpdate(match.room, { status: ROOM_STATUS.COMPLETED });
-  }
-
-  await match.save();
-
   // Emit live score update to all room participants
   const scoreUpdate = {
     matchId: match._id,
-    ball,
+    ball: recordedBall,
     innings: {
       battingTeam: match[currentInnings.battingTeam].name,
       totalRuns: currentInnings.totalRuns,
       totalWickets: currentInnings.totalWickets,
       overs: `${currentInnings.totalOvers}.${currentInnings.currentBall}`,
       runRate: currentInnings.runRate,
-      status: currentInnings.status
+      status: currentInnings.status,
+      freeHit: currentInnings.freeHit
     },
+    prediction: await predictionService.getPrediction(match),
     matchStatus: match.status,
     result: match.result
   };
@@ -692,15 +415,15 @@ const recordBall = async (req, res) => {
   socketService.emitToRoom(match.room.toString(), 'live_score_update', scoreUpdate);
 
   // If wicket, emit wicket event
-  if (ball.isWicket) {
+  if (recordedBall.isWicket) {
     socketService.emitWicket(match._id.toString(), {
-      wicket: ball.wicket,
+      wicket: recordedBall.wicket,
       score: `${currentInnings.totalRuns}/${currentInnings.totalWickets}`
     });
   }
 
   // If over complete, emit over complete
-  if (isLegalDelivery && currentInnings.currentBall === 0) {
+  if (recordedBall.isLegalDelivery && currentInnings.currentBall === 0) {
     socketService.emitOverComplete(match._id.toString(), {
       overNumber: currentInnings.currentOver - 1,
       runs: currentInnings.totalRuns,
@@ -708,36 +431,49 @@ const recordBall = async (req, res) => {
     });
   }
 
-  // If match completed, notify all participants
-  if (match.status === MATCH_STATUS.COMPLETED) {
-    socketService.emitMatchEnd(match._id.toString(), match.result);
-
-    // Send notifications to all participants
-    const participantUserIds = room.participants
-      .filter(p => p.user)
-      .map(p => p.user._id || p.user);
+  // Push the commentary for the delivery, naming only the players in it
+  const names = await commentaryService.loadPlayerNames(match, [
+    recordedBall.batsman,
+    recordedBall.nonStriker,
+    recordedBall.bowler,
+    recordedBall.wicket?.batsmanOut,
+    recordedBall.wicket?.fielder
+  ]);
+  socketService.emitCommentary(match._id.toString(), {
+    innings: match.currentInnings,
+    superOver: match.currentSuperOver || null,
+    lines: commentaryService.buildBallCommentary(match, currentInnings, recordedBall, names)
+  });
 
-    for (const userId of participantUserIds) {
-      await notificationService.createAndEmit({
-        recipient: userId,
-        type: NOTIFICATION_TYPES.MATCH_ENDED,
-        title: 'Match Completed',
-        message: match.result?.resultText || 'Match has ended',
-        data: { roomId: room._id, matchId: match._id, result: match.result }
-      });
-    }
+  // If a super over finished, say whether the match is settled
+  if (currentInnings.isSuperOver && match.currentInnings === 'second' &&
+    currentInnings.status === INNINGS_STATUS.COMPLETED) {
+    const { first, second } = match.getCurrentInningsPair();
+    socketService.emitSuperOverEnd(match._id.toString(), {
+      superOver: match.currentSuperOver,
+      scores: {
+        [first.battingTeam]: `${first.totalRuns}/${first.totalWickets}`,
+        [second.battingTeam]: `${second.totalRuns}/${second.totalWickets}`
+      },
+      matchStatus: match.status,
+      result: match.result
+    });
   }
 
+  // Update the room and statistics, and announce an innings or match ending
+  await matchStateService.applyEffects(match, previousStatus, room);
+
   return successResponse(res, {
     message: 'Ball recorded',
     data: {
-      ball,
+      ball: recordedBall,
       innings: {
         totalRuns: currentInnings.totalRuns,
         totalWickets: currentInnings.totalWickets,
         overs: `${currentInnings.totalOvers}.${currentInnings.currentBall}`,
         runRate: currentInnings.runRate,
-        status: currentInnings.status
+        status: currentInnings.status,
+        freeHit: currentInnings.freeHit
       },
       matchStatus: match.status,
       result: match.result
@@ -759,25 +495,115 @@ const startSecondInnings = async (req, res) => {
     throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
   }
 
-  if (match.status !== MATCH_STATUS.INNINGS_BREAK) {
-    throw new ValidationError('Match is not in innings break');
-  }
+  const room = await Room.findById(match.room);
+  matchStateService.authorize(MATCH_TRANSITIONS.START_SECOND_INNINGS, { user: req.user, room, match });
 
-  match.currentInnings = 'second';
-  match.innings.second.status = INNINGS_STATUS.NOT_STARTED;
-  match.status = MATCH_STATUS.IN_PROGRESS;
+  // During a super over this is the second side's chase
+  const { second } = matchStateService.transition(match, MATCH_TRANSITIONS.START_SECOND_INNINGS,
+    () => scoringService.startSecondInnings(match));
 
   await match.save();
+  await matchStateService.applyEffects(match, MATCH_STATUS.INNINGS_BREAK, room);
 
   return successResponse(res, {
     message: 'Second innings ready to start',
     data: {
-      target: match.innings.first.totalRuns + 1,
-      battingTeam: match[match.innings.second.battingTeam].name
+      target: second.target,
+      battingTeam: match[second.battingTeam].name,
+      superOver: match.currentSuperOver || null
     }
   });
 };
 
+/**
+ * @desc    Cut the overs when time runs out, revising the chase target
+ * @route   POST /api/v1/matches/:matchId/reduceOvers
+ * @access  Private (Umpire only)
+ */
+const reduceOvers = async (req, res) => {
+  const { matchId } = req.params;
+  const { overs, reason } = req.body;
+
+  const match = await Match.findById(matchId);
+
+  if (!match) {
+    throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
+  }
+
+  const room = await Room.findById(match.room);
+  matchStateService.authorize(MATCH_TRANSITIONS.REDUCE_OVERS, { user: req.user, room, match });
+
+  const previousStatus = match.status;
+
+  // Cutting overs can end the innings being played, or the chase
+  const reductions = matchStateService.transition(match, MATCH_TRANSITIONS.REDUCE_OVERS,
+    () => scoringService.reduceOvers(match, overs, { reason, reducedBy: req.user._id }));
+
+  await match.save();
+
+  const { second } = match.innings;
+  const revision = {
+    matchId: match._id,
+    overs,
+    reductions,
+    target: second.target || null,
+    parScore: parScoreService.getParScore(match),
+    prediction: await predictionService.getPrediction(match),
+    matchStatus: match.status,
+    result: match.result
+  };
+
+  socketService.emitScoreUpdate(match._id.toString(), revision);
+
+  await matchStateService.applyEffects(match, previousStatus, room);
+
+  return successResponse(res, {
+    message: `Overs reduced to ${overs}`,
+    data: revision
+  });
+};
+
+/**
+ * @desc    Start a super over to settle a tie
+ * @route   POST /api/v1/matches/:matchId/superOver
+ * @access  Private (Umpire only)
+ */
+const startSuperOver = async (req, res) => {
+  const { matchId } = req.params;
+
+  const match = await Match.findById(matchId);
+
+  if (!match) {
+    throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
+  }
+
+  const room = await Room.findById(match.room);
+  matchStateService.authorize(MATCH_TRANSITIONS.START_SUPER_OVER, { user: req.user, room, match });
+
+  const { battingFirst, bowlingFirst } = matchStateService.transition(
+    match,
+    MATCH_TRANSITIONS.START_SUPER_OVER,
+    () => scoringService.startSuperOver(match)
+  );
+
+  await match.save();
+
+  const superOver = {
+    matchId: match._id,
+    superOver: match.currentSuperOver,
+    battingFirst: match[battingFirst].name,
+    bowlingFirst: match[bowlingFirst].name
+  };
+
+  socketService.emitSuperOverStart(match._id.toString(), superOver);
+  await matchStateService.applyEffects(match, MATCH_STATUS.SUPER_OVER, room);
+
+  return successResponse(res, {
+    message: 'Super over ready to start',
+    data: superOver
+  });
+};
+
 /**
  * @desc    Set new batsman (after wicket)
  * @route   POST /api/v1/matches/:matchId/newBatsman
@@ -785,7 +611,6 @@ const startSecondInnings = async (req, res) => {
  */
 const setNewBatsman = async (req, res) => {
   const { matchId } = req.params;
-  const { batsmanId, batsmanGuestId } = req.body;
 
   const match = await Match.findById(matchId);
 
@@ -793,35 +618,97 @@ const setNewBatsman = async (req, res) => {
     throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
   }
 
-  const currentInnings = match.innings[match.currentInnings];
-  const battingTeam = match[currentInnings.battingTeam];
+  const room = await Room.findById(match.room);
+  matchStateService.authorize(MATCH_TRANSITIONS.SCORE, { user: req.user, room, match });
+
+  // Fill whichever end is empty; a retired hurt batsman resumes their innings
+  const currentInnings = matchStateService.transition(match, MATCH_TRANSITIONS.SCORE,
+    () => scoringService.setNewBatsman(match, req.body));
 
-  if (batsmanId) {
-    const batsman = battingTeam.players.find(p => p.user?.toString() === batsmanId);
-    if (!batsman) {
-      throw new ValidationError('Batsman not found in batting team');
+  await match.save();
+
+  return successResponse(res, {
+    message: 'New batsman set successfully',
+    data: { batsmen: currentInnings.currentBatsmen }
+  });
+};
+
+/**
+ * @desc    Retire a batsman between deliveries
+ * @route   POST /api/v1/matches/:matchId/retire
+ * @access  Private (Umpire only)
+ */
+const retireBatsman = async (req, res) => {
+  const { matchId } = req.params;
+  const { batsmanId, batsmanGuestId, retirementType } = req.body;
+
+  const match = await Match.findById(matchId);
+
+  if (!match) {
+    throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
+  }
+
+  const room = await Room.findById(match.room);
+  matchStateService.authorize(MATCH_TRANSITIONS.SCORE, { user: req.user, room, match });
+
+  const previousStatus = match.status;
+
+  const { currentInnings, retirement } = matchStateService.transition(match, MATCH_TRANSITIONS.SCORE, () => {
+    const innings = match.getCurrentInnings();
+
+    if (innings.status !== INNINGS_STATUS.IN_PROGRESS) {
+      throw new ValidationError(ERROR_MESSAGES[ERROR_CODES.INNINGS_NOT_STARTED]);
     }
-    currentInnings.currentBatsmen.striker = {
-      user: batsmanId,
-      isGuest: false
-    };
-  } else if (batsmanGuestId) {
-    const batsman = battingTeam.players.find(p => p.guestId === batsmanGuestId);
+
+    const batsman = scoringService.findTeamPlayer(match[innings.battingTeam], {
+      userId: batsmanId,
+      guestId: batsmanGuestId
+    });
     if (!batsman) {
       throw new ValidationError('Batsman not found in batting team');
     }
-    currentInnings.currentBatsmen.striker = {
-      isGuest: true,
-      guestName: batsman.guestName,
-      guestId: batsmanGuestId
-    };
-  }
+
+    const retired = scoringService.retireBatsman(match, innings, batsman, retirementType);
+
+    // Retiring out can take the last wicket
+    scoringService.refreshMatchStatus(match);
+
+    return { currentInnings: innings, retirement: retired };
+  });
 
   await match.save();
 
+  socketService.emitScoreUpdate(match._id.toString(), {
+    matchId: match._id,
+    retirement,
+    innings: {
+      battingTeam: match[currentInnings.battingTeam].name,
+      totalRuns: currentInnings.totalRuns,
+      totalWickets: currentInnings.totalWickets,
+      overs: `${currentInnings.totalOvers}.${currentInnings.currentBall}`,
+      runRate: currentInnings.runRate,
+      status: currentInnings.status,
+      freeHit: currentInnings.freeHit
+    },
+    prediction: await predictionService.getPrediction(match),
+    matchStatus: match.status,
+    result: match.result
+  });
+
+  await matchStateService.applyEffects(match, previousStatus, room);
+
   return successResponse(res, {
-    message: 'New batsman set successfully',
-    data: { batsmen: currentInnings.currentBatsmen }
+    message: 'Batsman retired',
+    data: {
+      retirement,
+      batsmen: currentInnings.currentBatsmen,
+      innings: {
+        totalRuns: currentInnings.totalRuns,
+        totalWickets: currentInnings.totalWickets,
+        status: currentInnings.status
+      },
+      matchStatus: match.status
+    }
   });
 };
 
@@ -839,66 +726,441 @@ const undoLastBall = async (req, res) => {
     throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
   }
 
-  const currentInnings = match.innings[match.currentInnings];
+  const room = await Room.findById(match.room);
+  matchStateService.authorize(MATCH_TRANSITIONS.CORRECT, { user: req.user, room, match });
+
+  const previousStatus = match.status;
+
+  // Remove the ball and replay the rest of the log
+  const lastBall = matchStateService.transition(match, MATCH_TRANSITIONS.CORRECT,
+    () => scoringService.undoLastBall(match));
 
-  if (currentInnings.balls.length === 0) {
+  if (!lastBall) {
     throw new ValidationError('No balls to undo');
   }
 
-  const lastBall = currentInnings.balls.pop();
+  await match.save();
 
-  // Reverse the ball effects
-  currentInnings.totalRuns -= lastBall.runs.totalRuns;
+  const currentInnings = match.getCurrentInnings();
+  const inningsSummary = {
+    totalRuns: currentInnings.totalRuns,
+    totalWickets: currentInnings.totalWickets,
+    overs: `${currentInnings.totalOvers}.${currentInnings.currentBall}`,
+    runRate: currentInnings.runRate,
+    status: currentInnings.status,
+    freeHit: currentInnings.freeHit
+  };
 
-  if (lastBall.isLegalDelivery) {
-    currentInnings.totalBalls -= 1;
-    
-    if (currentInnings.currentBall === 0) {
-      currentInnings.currentOver -= 1;
-      currentInnings.totalOvers -= 1;
-      currentInnings.currentBall = DEFAULTS.BALLS_PER_OVER - 1;
-    } else {
-      currentInnings.currentBall -= 1;
+  socketService.emitScoreUpdate(match._id.toString(), {
+    matchId: match._id,
+    undone: lastBall,
+    currentInnings: match.currentInnings,
+    innings: {
+      battingTeam: match[currentInnings.battingTeam].name,
+      ...inningsSummary
+    },
+    prediction: await predictionService.getPrediction(match),
+    matchStatus: match.status,
+    result: match.result
+  });
+
+  // Undoing the deciding ball reopens the match
+  await matchStateService.applyEffects(match, previousStatus, room);
+
+  return successResponse(res, {
+    message: 'Last ball undone',
+    data: {
+      undone: lastBall,
+      currentInnings: match.currentInnings,
+      innings: inningsSummary,
+      batsmen: currentInnings.currentBatsmen,
+      bowler: currentInnings.currentBowler,
+      matchStatus: match.status
     }
+  });
+};
+
+/**
+ * Persist a corrected match and bring statistics, room and listeners up to date
+ * @param {Object} match - Match document after the correction
+ * @param {string} previousStatus - Match status before the correction
+ * @param {Object} room - Room document
+ */
+const saveCorrectedMatch = async (match, previousStatus, room) => {
+  await match.save();
+
+  const currentInnings = match.getCurrentInnings();
+
+  socketService.emitScoreUpdate(match._id.toString(), {
+    matchId: match._id,
+    corrected: true,
+    currentInnings: match.currentInnings,
+    innings: {
+      battingTeam: match[currentInnings.battingTeam].name,
+      totalRuns: currentInnings.totalRuns,
+      totalWickets: currentInnings.totalWickets,
+      overs: `${currentInnings.totalOvers}.${currentInnings.currentBall}`,
+      runRate: currentInnings.runRate,
+      status: currentInnings.status,
+      freeHit: currentInnings.freeHit
+    },
+    prediction: await predictionService.getPrediction(match),
+    matchStatus: match.status,
+    result: match.result
+  });
+
+  await matchStateService.applyEffects(match, previousStatus, room);
+};
+
+/**
+ * Load a match for a ball correction, checking the user may correct it
+ * @param {string} matchId - Match ID
+ * @param {Object} user - Requesting user
+ * @returns {Object} - { match, room } documents
+ */
+const getMatchForCorrection = async (matchId, user) => {
+  const match = await Match.findById(matchId);
+
+  if (!match) {
+    throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
   }
 
-  if (lastBall.isWicket) {
-    currentInnings.totalWickets -= 1;
-    currentInnings.fallOfWickets.pop();
+  const room = await Room.findById(match.room);
+  matchStateService.authorize(MATCH_TRANSITIONS.CORRECT, { user, room, match });
+
+  return { match, room };
+};
+
+/**
+ * @desc    Amend a recorded ball
+ * @route   PATCH /api/v1/matches/:matchId/balls/:ballId
+ * @access  Private (Umpire only)
+ */
+const amendBall = async (req, res) => {
+  const { matchId, ballId } = req.params;
+  const { reason } = req.body;
+
+  const { match, room } = await getMatchForCorrection(matchId, req.user);
+  const previousStatus = match.status;
+
+  const { inningsKey, superOver, before, after } = matchStateService.transition(
+    match,
+    MATCH_TRANSITIONS.CORRECT,
+    () => scoringService.amendBall(match, ballId, req.body)
+  );
+
+  match.corrections.push({
+    action: BALL_CORRECTIONS.AMEND,
+    innings: inningsKey,
+    superOver,
+    ball: ballId,
+    before,
+    after,
+    reason,
+    correctedBy: req.user._id
+  });
+
+  await saveCorrectedMatch(match, previousStatus, room);
+
+  return successResponse(res, {
+    message: 'Ball amended',
+    data: {
+      ball: after,
+      correction: match.corrections[match.corrections.length - 1],
+      matchStatus: match.status,
+      result: match.result
+    }
+  });
+};
+
+/**
+ * @desc    Delete a recorded ball
+ * @route   DELETE /api/v1/matches/:matchId/balls/:ballId
+ * @access  Private (Umpire only)
+ */
+const deleteBall = async (req, res) => {
+  const { matchId, ballId } = req.params;
+  const { reason } = req.body;
+
+  const { match, room } = await getMatchForCorrection(matchId, req.user);
+  const previousStatus = match.status;
+
+  const { inningsKey, superOver, before } = matchStateService.transition(match, MATCH_TRANSITIONS.CORRECT,
+    () => scoringService.deleteBall(match, ballId));
+
+  match.corrections.push({
+    action: BALL_CORRECTIONS.DELETE,
+    innings: inningsKey,
+    superOver,
+    ball: ballId,
+    before,
+    reason,
+    correctedBy: req.user._id
+  });
+
+  await saveCorrectedMatch(match, previousStatus, room);
+
+  return successResponse(res, {
+    message: 'Ball deleted',
+    data: {
+      deleted: before,
+      correction: match.corrections[match.corrections.length - 1],
+      matchStatus: match.status,
+      result: match.result
+    }
+  });
+};
+
+/**
+ * @desc    Sync scoring recorded offline: apply an ordered batch of actions
+ *          all or nothing
+ * @route   POST /api/v1/matches/:matchId/sync
+ * @access  Private (Umpire only)
+ */
+const syncMatch = async (req, res) => {
+  const { matchId } = req.params;
+  const { actions } = req.body;
+
+  const match = await Match.findById(matchId);
+
+  if (!match) {
+    throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
   }
 
-  // Reverse extras
-  if (lastBall.outcome === BALL_OUTCOMES.WIDE) {
-    currentInnings.extras.wides -= lastBall.runs.extraRuns;
-  } else if (lastBall.outcome === BALL_OUTCOMES.NO_BALL) {
-    currentInnings.extras.noBalls -= match.settings.noBallRuns;
-  } else if (lastBall.outcome === BALL_OUTCOMES.BYE) {
-    currentInnings.extras.byes -= lastBall.runs.extraRuns;
-  } else if (lastBall.outcome === BALL_OUTCOMES.LEG_BYE) {
-    currentInnings.extras.legByes -= lastBall.runs.extraRuns;
+  const room = await Room.findById(match.room);
+  matchStateService.authorize(MATCH_TRANSITIONS.SYNC, { user: req.user, room, match });
+
+  const previousStatus = match.status;
+
+  // Throws on the first conflicting action, before anything is saved
+  const results = matchStateService.transition(match, MATCH_TRANSITIONS.SYNC,
+    () => syncService.applyActions(match, actions));
+
+  try {
+    await match.save();
+  } catch (error) {
+    if (error.name !== 'VersionError') throw error;
+
+    throw new ConflictError(
+      ERROR_MESSAGES[ERROR_CODES.MATCH_UPDATE_CONFLICT],
+      ERROR_CODES.MATCH_UPDATE_CONFLICT
+    );
   }
 
-  currentInnings.extras.total = 
-    currentInnings.extras.wides + 
-    currentInnings.extras.noBalls + 
-    currentInnings.extras.byes + 
-    currentInnings.extras.legByes;
+  const currentInnings = match.getCurrentInnings();
+  const synced = {
+    actions: results.length,
+    applied: results.filter(result => result.applied).length,
+    duplicates: results.filter(result => result.duplicate).length
+  };
+  const inningsSummary = currentInnings && {
+    totalRuns: currentInnings.totalRuns,
+    totalWickets: currentInnings.totalWickets,
+    overs: `${currentInnings.totalOvers}.${currentInnings.currentBall}`,
+    runRate: currentInnings.runRate,
+    status: currentInnings.status,
+    freeHit: currentInnings.freeHit
+  };
+
+  // One update for the whole batch rather than one per action
+  if (synced.applied) {
+    const scoreUpdate = {
+      matchId: match._id,
+      synced,
+      currentInnings: match.currentInnings,
+      superOver: match.currentSuperOver || null,
+      innings: currentInnings && {
+        battingTeam: match[currentInnings.battingTeam].name,
+        ...inningsSummary
+      },
+      prediction: await predictionService.getPrediction(match),
+      matchStatus: match.status,
+      result: match.result
+    };
 
-  await match.save();
+    socketService.emitScoreUpdate(match._id.toString(), scoreUpdate);
+    socketService.emitToRoom(match.room.toString(), 'live_score_update', scoreUpdate);
+
+    // Commentary for the synced balls that weren't undone later in the batch
+    const syncedBallIds = new Set(results
+      .filter(result => result.applied && result.type === SYNC_ACTIONS.BALL)
+      .map(result => result.ballId.toString()));
+    const pair = match.currentSuperOver ? match.superOvers[match.currentSuperOver - 1] : match.innings;
+    const names = await commentaryService.loadPlayerNames(match);
+
+    ['first', 'second'].filter(key => pair[key]?.battingTeam).forEach(key => {
+      const lines = commentaryService.buildInningsCommentary(match, pair[key], names)
+        .filter(line => syncedBallIds.has(line.ballId.toString()));
+
+      if (lines.length) {
+        socketService.emitCommentary(match._id.toString(), {
+          innings: key,
+          superOver: match.currentSuperOver || null,
+          lines
+        });
+      }
+    });
+  }
+
+  await matchStateService.applyEffects(match, previousStatus, room);
 
   return successResponse(res, {
-    message: 'Last ball undone',
+    message: `Synced ${synced.applied} of ${synced.actions} scoring actions`,
     data: {
-      undone: lastBall,
-      innings: {
-        totalRuns: currentInnings.totalRuns,
-        totalWickets: currentInnings.totalWickets,
-        overs: `${currentInnings.totalOvers}.${currentInnings.currentBall}`
-      }
+      synced,
+      results,
+      currentInnings: match.currentInnings,
+      innings: inningsSummary,
+      batsmen: currentInnings?.currentBatsmen,
+      bowler: currentInnings?.currentBowler,
+      matchStatus: match.status,
+      result: match.result
     }
   });
 };
 
+/**
+ * @desc    Get generated commentary for an innings, newest first
+ * @route   GET /api/v1/matches/:matchId/commentary
+ * @access  Private
+ */
+const getCommentary = async (req, res) => {
+  const { matchId } = req.params;
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const match = await Match.findById(matchId);
+
+  if (!match) {
+    throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
+  }
+
+  // Defaults to the innings being played
+  const inningsKey = req.query.innings || match.currentInnings || 'first';
+  const superOver = req.query.superOver
+    ? parseInt(req.query.superOver)
+    : (req.query.innings ? null : match.currentSuperOver || null);
+  const pair = superOver ? match.superOvers[superOver - 1] : match.innings;
+  const innings = pair?.[inningsKey];
+
+  if (!innings?.battingTeam) {
+    throw new NotFoundError('Innings not found');
+  }
+
+  const names = await commentaryService.loadPlayerNames(match);
+  const { lines, total } = commentaryService.buildCommentaryPage(match, innings, { skip, limit }, names);
+
+  return paginatedResponse(res, {
+    data: lines,
+    page,
+    limit,
+    total,
+    message: `Commentary for the ${superOver ? `super over ${superOver} ` : ''}${inningsKey} innings`
+  });
+};
+
+/**
+ * Load a completed match for Player of the Match. The pick is made by the
+ * timer started when the match was completed, not here.
+ * @param {string} matchId - Match ID
+ * @returns {Object} - Match document
+ */
+const getMatchForManOfTheMatch = async (matchId) => {
+  const match = await Match.findById(matchId);
+
+  if (!match) {
+    throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
+  }
+
+  if (match.status !== MATCH_STATUS.COMPLETED) {
+    throw new ValidationError('Player of the Match is picked once the match is completed');
+  }
+
+  return match;
+};
+
+/**
+ * Find the player a Player of the Match request names, in either team
+ * @param {Object} match - Match document
+ * @param {Object} body - { playerId, playerGuestId }
+ * @returns {Object} - Team player
+ */
+const findMatchPlayer = (match, { playerId, playerGuestId }) => {
+  const player = ['teamA', 'teamB']
+    .map(team => scoringService.findTeamPlayer(match[team], { userId: playerId, guestId: playerGuestId }))
+    .find(Boolean);
+
+  if (!player) {
+    throw new ValidationError('Player not found in either team');
+  }
+
+  return player;
+};
+
+/**
+ * @desc    Get Player of the Match: impact scores, votes and the pick
+ * @route   GET /api/v1/matches/:matchId/manOfTheMatch
+ * @access  Private
+ */
+const getManOfTheMatch = async (req, res) => {
+  const match = await getMatchForManOfTheMatch(req.params.matchId);
+
+  return successResponse(res, {
+    data: manOfTheMatchService.getSummary(match)
+  });
+};
+
+/**
+ * @desc    Vote for Player of the Match while voting is open
+ * @route   POST /api/v1/matches/:matchId/manOfTheMatch/votes
+ * @access  Private (Room participants)
+ */
+const voteManOfTheMatch = async (req, res) => {
+  const match = await getMatchForManOfTheMatch(req.params.matchId);
+
+  const room = await Room.findById(match.room);
+
+  if (!room?.isParticipant(req.user._id)) {
+    throw new AuthorizationError('Only room participants can vote for Player of the Match');
+  }
+
+  const player = findMatchPlayer(match, req.body);
+  manOfTheMatchService.castVote(match, req.user._id, player);
+
+  await match.save();
+
+  return successResponse(res, {
+    message: 'Vote recorded',
+    data: manOfTheMatchService.getSummary(match)
+  });
+};
+
+/**
+ * @desc    Pick Player of the Match in place of the vote
+ * @route   PUT /api/v1/matches/:matchId/manOfTheMatch
+ * @access  Private (Creator or umpire)
+ */
+const overrideManOfTheMatch = async (req, res) => {
+  const match = await getMatchForManOfTheMatch(req.params.matchId);
+
+  const isUmpire = match.umpire.user?.toString() === req.user._id.toString();
+  const room = await Room.findById(match.room);
+  const isCreator = room?.isCreator(req.user._id);
+
+  if (!isUmpire && !isCreator) {
+    throw new AuthorizationError('Only the room creator or umpire can pick Player of the Match');
+  }
+
+  const player = findMatchPlayer(match, req.body);
+  manOfTheMatchService.override(match, req.user._id, player);
+
+  await manOfTheMatchService.announce(match);
+
+  return successResponse(res, {
+    message: 'Player of the Match picked',
+    data: manOfTheMatchService.getSummary(match)
+  });
+};
+
 /**
  * @desc    Get match by ID
  * @route   GET /api/v1/matches/:matchId
@@ -970,7 +1232,7 @@ const getLiveScore = async (req, res) => {
   const { matchId } = req.params;
 
   const match = await Match.findById(matchId)
-    .select('teamA.name teamB.name status innings currentInnings toss result settings room');
+    .select('teamA teamB status innings superOvers currentInnings currentSuperOver oversReductions toss result settings room');
 
   if (!match) {
     throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
@@ -982,16 +1244,27 @@ const getLiveScore = async (req, res) => {
     throw new AuthorizationError('Only room participants can view live score');
   }
 
-  const currentInnings = match.innings[match.currentInnings];
+  const currentInnings = match.getCurrentInnings();
 
   // Get last 5 balls for recent activity
   const recentBalls = currentInnings?.balls?.slice(-5) || [];
 
+  // In the pairs format, the pair whose overs these are
+  const isPairsInnings = match.isPairsFormat() && currentInnings && !currentInnings.isSuperOver;
+  const pair = isPairsInnings ? {
+    number: scoringService.getPairNumber(match, currentInnings.currentOver || 1),
+    oversPerPair: match.settings.oversPerPair,
+    dismissalPenalty: match.settings.dismissalPenalty
+  } : null;
+
   return successResponse(res, {
     data: {
       matchStatus: match.status,
       toss: match.toss,
+      format: match.settings.format,
       currentInnings: match.currentInnings,
+      superOver: match.currentSuperOver || null,
+      pair,
       score: {
         battingTeam: match[currentInnings?.battingTeam]?.name,
         bowlingTeam: match[currentInnings?.bowlingTeam]?.name,
@@ -999,14 +1272,26 @@ const getLiveScore = async (req, res) => {
         wickets: currentInnings?.totalWickets || 0,
         overs: currentInnings ? `${currentInnings.totalOvers}.${currentInnings.currentBall}` : '0.0',
         runRate: currentInnings?.runRate || 0,
-        target: match.currentInnings === 'second' ? match.innings.first.totalRuns + 1 : null,
-        requiredRunRate: match.currentInnings === 'second' ? match.calculateRequiredRunRate() : null,
-        extras: currentInnings?.extras
+        oversLimit: currentInnings?.isSuperOver
+          ? DEFAULTS.SUPER_OVER_OVERS
+          : currentInnings?.maxOvers || match.settings.overs,
+        target: currentInnings?.target || null,
+        revisedTarget: match.oversReductions.length > 0,
+        parScore: parScoreService.getParScore(match),
+        requiredRunRate: match.currentInnings === 'second' && !match.currentSuperOver
+          ? match.calculateRequiredRunRate()
+          : null,
+        extras: currentInnings?.extras,
+        dismissalDeductions: currentInnings?.dismissalDeductions || 0
       },
+      prediction: await predictionService.getPrediction(match),
       batsmen: currentInnings?.currentBatsmen,
       bowler: currentInnings?.currentBowler,
+      freeHit: currentInnings?.freeHit || false,
+      bowlerQuotas: currentInnings ? scoringService.getBowlerQuotas(match, currentInnings) : [],
       recentBalls,
       lastBall: currentInnings?.balls?.slice(-1)[0],
+      partnership: scoringService.getCurrentPartnership(currentInnings),
       fallOfWickets: currentInnings?.fallOfWickets || [],
       result: match.result
     }
@@ -1043,6 +1328,7 @@ const getScoreboard = async (req, res) => {
       match: {
         id: match._id,
         status: match.status,
+        format: match.settings.format,
         toss: match.toss,
         result: match.result
       },
@@ -1072,7 +1358,12 @@ const getScoreboard = async (req, res) => {
           overs: `${firstInnings.totalOvers}.${firstInnings.currentBall || 0}`,
           extras: firstInnings.extras,
           runRate: firstInnings.runRate,
-          fallOfWickets: firstInnings.fallOfWickets
+          oversLimit: firstInnings.maxOvers || match.settings.overs,
+          fallOfWickets: firstInnings.fallOfWickets,
+          partnership: scoringService.getCurrentPartnership(firstInnings),
+          retirements: firstInnings.retirements,
+          dismissalDeductions: firstInnings.dismissalDeductions,
+          pairs: match.isPairsFormat() ? scoringService.getPairsScorecard(match, firstInnings) : undefined
         } : null,
         second: secondInnings?.status !== INNINGS_STATUS.NOT_STARTED ? {
           battingTeam: match[secondInnings.battingTeam]?.name,
@@ -1081,16 +1372,137 @@ const getScoreboard = async (req, res) => {
           overs: `${secondInnings.totalOvers}.${secondInnings.currentBall || 0}`,
           extras: secondInnings.extras,
           runRate: secondInnings.runRate,
-          target: match.innings.first.totalRuns + 1,
+          target: secondInnings.target || null,
+          oversLimit: secondInnings.maxOvers || match.settings.overs,
           requiredRunRate: secondInnings.requiredRunRate,
-          fallOfWickets: secondInnings.fallOfWickets
+          fallOfWickets: secondInnings.fallOfWickets,
+          partnership: scoringService.getCurrentPartnership(secondInnings),
+          retirements: secondInnings.retirements,
+          dismissalDeductions: secondInnings.dismissalDeductions,
+          pairs: match.isPairsFormat() ? scoringService.getPairsScorecard(match, secondInnings) : undefined
         } : null
       },
+      superOvers: match.superOvers.map((superOver, index) => ({
+        number: index + 1,
+        innings: [superOver.first, superOver.second]
+          .filter(innings => innings.status !== INNINGS_STATUS.NOT_STARTED)
+          .map(innings => ({
+            battingTeam: match[innings.battingTeam]?.name,
+            runs: innings.totalRuns,
+            wickets: innings.totalWickets,
+            overs: `${innings.totalOvers}.${innings.currentBall || 0}`,
+            extras: innings.extras,
+            target: innings.target,
+            fallOfWickets: innings.fallOfWickets
+          }))
+      })),
+      oversReductions: match.oversReductions,
       playerPerformances: match.playerPerformances
     }
   });
 };
 
+/**
+ * @desc    Get every partnership in the match, innings by innings
+ * @route   GET /api/v1/matches/:matchId/partnerships
+ * @access  Private (Room participants only)
+ */
+const getPartnerships = async (req, res) => {
+  const { matchId } = req.params;
+
+  const match = await Match.findById(matchId);
+
+  if (!match) {
+    throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
+  }
+
+  const room = await Room.findById(match.room);
+  if (!room.isParticipant(req.user._id) && !room.isCreator(req.user._id)) {
+    throw new AuthorizationError('Only room participants can view partnerships');
+  }
+
+  const describe = (innings) => (innings?.status !== INNINGS_STATUS.NOT_STARTED ? {
+    battingTeam: match[innings.battingTeam]?.name,
+    runs: innings.totalRuns,
+    wickets: innings.totalWickets,
+    partnerships: innings.partnerships
+  } : null);
+
+  return successResponse(res, {
+    data: {
+      innings: {
+        first: describe(match.innings.first),
+        second: describe(match.innings.second)
+      },
+      superOvers: match.superOvers.map((superOver, index) => ({
+        number: index + 1,
+        first: describe(superOver.first),
+        second: describe(superOver.second)
+      }))
+    }
+  });
+};
+
+/**
+ * @desc    Get over-by-over analytics for both innings
+ * @route   GET /api/v1/matches/:matchId/analytics
+ * @access  Private (Room participants only)
+ */
+const getAnalytics = async (req, res) => {
+  const { matchId } = req.params;
+
+  const match = await Match.findById(matchId);
+
+  if (!match) {
+    throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
+  }
+
+  const room = await Room.findById(match.room);
+  if (!room.isParticipant(req.user._id) && !room.isCreator(req.user._id)) {
+    throw new AuthorizationError('Only room participants can view analytics');
+  }
+
+  return successResponse(res, {
+    data: {
+      matchStatus: match.status,
+      ballsPerOver: match.getBallsPerOver(),
+      innings: {
+        first: analyticsService.getInningsAnalytics(match, match.innings.first),
+        second: analyticsService.getInningsAnalytics(match, match.innings.second)
+      }
+    }
+  });
+};
+
+/**
+ * @desc    Get a wagon wheel for each batsman in the match
+ * @route   GET /api/v1/matches/:matchId/wagonWheel
+ * @access  Private (Room participants only)
+ */
+const getWagonWheels = async (req, res) => {
+  const { matchId } = req.params;
+  const { playerId, playerGuestId } = req.query;
+
+  const match = await Match.findById(matchId);
+
+  if (!match) {
+    throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.MATCH_NOT_FOUND]);
+  }
+
+  const room = await Room.findById(match.room);
+  if (!room.isParticipant(req.user._id) && !room.isCreator(req.user._id)) {
+    throw new AuthorizationError('Only room participants can view wagon wheels');
+  }
+
+  const player = playerId || playerGuestId
+    ? findMatchPlayer(match, { playerId, playerGuestId })
+    : null;
+
+  return successResponse(res, {
+    data: { batsmen: wagonWheelService.getMatchWagonWheels(match, player) }
+  });
+};
+
 /**
  * @desc    End match manually (abandon)
  * @route   POST /api/v1/matches/:matchId/end
@@ -1107,20 +1519,14 @@ const endMatch = async (req, res) => {
   }
 
   const room = await Room.findById(match.room).populate('participants.user');
+  matchStateService.authorize(MATCH_TRANSITIONS.ABANDON, { user: req.user, room, match });
 
-  if (!room.isCreator(req.user._id) && req.user.role !== 'admin') {
-    throw new AuthorizationError('Only creator or admin can end the match');
-  }
-
-  match.status = MATCH_STATUS.ABANDONED;
-  match.endTime = new Date();
-  match.result = {
-    resultType: 'abandoned',
-    resultText: reason || 'Match abandoned'
-  };
+  const previousStatus = match.status;
+  matchStateService.abandon(match, reason || 'Match abandoned');
 
   await match.save();
-  await Room.findByIdAndUpdate(match.room, { status: ROOM_STATUS.COMPLETED });
+  // Abandoned matches don't count, so anything already credited is withdrawn
+  await matchStateService.applyEffects(match, previousStatus, room);
 
   return successResponse(res, {
     message: 'Match ended',
@@ -1135,11 +1541,24 @@ module.exports = {
   setBowler,
   recordBall,
   startSecondInnings,
+  startSuperOver,
+  reduceOvers,
   setNewBatsman,
+  retireBatsman,
   undoLastBall,
+  amendBall,
+  deleteBall,
+  syncMatch,
+  getCommentary,
+  getManOfTheMatch,
+  voteManOfTheMatch,
+  overrideManOfTheMatch,
   getMatchById,
   getAllMatches,
   getLiveScore,
   getScoreboard,
+  getPartnerships,
+  getAnalytics,
+  getWagonWheels,
   endMatch
 };
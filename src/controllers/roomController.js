@@ -1,4 +1,4 @@
-const { Room, Match } = require('../models');
+const { Room, Match, User, RuleSet } = require('../models');
 const {
   successResponse,
   createdResponse,
@@ -15,6 +15,19 @@ const {
 const { parsePagination, parseSort } = require('../utils/helpers');
 const { ROOM_STATUS, ROOM_ROLES } = require('../config/constants');
 
+/**
+ * Check a rule set exists and the user may use it in their rooms
+ * @param {string} ruleSetId - Rule set ID
+ * @param {string} userId - User ID
+ */
+const checkRuleSetAccess = async (ruleSetId, userId) => {
+  const ruleSet = await RuleSet.findById(ruleSetId);
+
+  if (!ruleSet || !ruleSet.isAvailableTo(userId)) {
+    throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.RULE_SET_NOT_FOUND]);
+  }
+};
+
 /**
  * @desc    Create a new room
  * @route   POST /api/v1/rooms
@@ -23,6 +36,10 @@ const { ROOM_STATUS, ROOM_ROLES } = require('../config/constants');
 const createRoom = async (req, res) => {
   const { name, description, settings } = req.body;
 
+  if (settings?.ruleSet) {
+    await checkRuleSetAccess(settings.ruleSet, req.user._id);
+  }
+
   const room = await Room.create({
     name,
     description,
@@ -229,6 +246,10 @@ const updateRoom = async (req, res) => {
   if (name) room.name = name;
   if (description !== undefined) room.description = description;
 
+  if (settings?.ruleSet) {
+    await checkRuleSetAccess(settings.ruleSet, req.user._id);
+  }
+
   if (settings) {
     Object.assign(room.settings, settings);
   }
@@ -379,7 +400,7 @@ const setTeamNames = async (req, res) => {
  */
 const addPlayerToTeam = async (req, res) => {
   const { roomId, team } = req.params;
-  const { playerName, isCaptain } = req.body;
+  const { playerName, userId, isCaptain } = req.body;
 
   if (!['teamA', 'teamB'].includes(team)) {
     throw new ValidationError('Invalid team. Use teamA or teamB');
@@ -415,6 +436,20 @@ const addPlayerToTeam = async (req, res) => {
     throw new ValidationError(`Team is full (maximum ${room.settings.playersPerTeam} players)`);
   }
 
+  // Linking a registered user credits the match to their career statistics
+  if (userId) {
+    const user = await User.findById(userId).select('_id');
+    if (!user) {
+      throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.USER_NOT_FOUND]);
+    }
+
+    const alreadyLinked = [...room.teamA.players, ...room.teamB.players]
+      .some(p => p.user && p.user.toString() === userId);
+    if (alreadyLinked) {
+      throw new ConflictError(ERROR_MESSAGES[ERROR_CODES.PLAYER_ALREADY_IN_TEAM]);
+    }
+  }
+
   // If setting as captain, remove captain from existing player
   if (isCaptain) {
     targetTeam.players.forEach(p => p.isCaptain = false);
@@ -423,6 +458,7 @@ const addPlayerToTeam = async (req, res) => {
   targetTeam.players.push({
     name: playerName,
     isCaptain: isCaptain || false,
+    user: userId,
     addedBy: req.user._id
   });
 
@@ -0,0 +1,175 @@
+const { RuleSet, Room } = require('../models');
+const {
+  successResponse,
+  createdResponse,
+  paginatedResponse
+} = require('../utils/response');
+const {
+  NotFoundError,
+  AuthorizationError,
+  ValidationError,
+  ERROR_CODES,
+  ERROR_MESSAGES
+} = require('../utils/errors');
+const { parsePagination, parseSort } = require('../utils/helpers');
+const rulesService = require('../services/rulesService');
+
+/**
+ * Reject ground rules that describe a delivery that can't be scored
+ * @param {Array} rules - Ground rules
+ */
+const checkGroundRules = (rules) => {
+  const violations = rules
+    .map(rule => rulesService.getGroundRuleViolation(rule))
+    .filter(Boolean);
+
+  if (violations.length) {
+    throw new ValidationError('Invalid ground rules', violations.map(message => ({ field: 'rules', message })));
+  }
+};
+
+/**
+ * @desc    Create a ground rule set
+ * @route   POST /api/v1/ruleSets
+ * @access  Private
+ */
+const createRuleSet = async (req, res) => {
+  const { name, description, isPublic, rules } = req.body;
+
+  checkGroundRules(rules);
+
+  const ruleSet = await RuleSet.create({
+    name,
+    description,
+    isPublic,
+    rules,
+    creator: req.user._id
+  });
+
+  return createdResponse(res, {
+    message: 'Rule set created successfully',
+    data: { ruleSet }
+  });
+};
+
+/**
+ * @desc    Get rule sets the user can use: their own and public ones
+ * @route   GET /api/v1/ruleSets
+ * @access  Private
+ */
+const getRuleSets = async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const sort = parseSort(req.query.sort, ['createdAt', 'name']);
+
+  const filter = req.query.mine === 'true'
+    ? { creator: req.user._id }
+    : { $or: [{ creator: req.user._id }, { isPublic: true }] };
+
+  const [ruleSets, total] = await Promise.all([
+    RuleSet.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .populate('creator', 'username firstName lastName fullName avatar'),
+    RuleSet.countDocuments(filter)
+  ]);
+
+  return paginatedResponse(res, {
+    data: ruleSets,
+    page,
+    limit,
+    total,
+    message: 'Rule sets retrieved successfully'
+  });
+};
+
+/**
+ * @desc    Get rule set by ID
+ * @route   GET /api/v1/ruleSets/:ruleSetId
+ * @access  Private
+ */
+const getRuleSetById = async (req, res) => {
+  const ruleSet = await RuleSet.findById(req.params.ruleSetId)
+    .populate('creator', 'username firstName lastName fullName avatar');
+
+  // Private rule sets are hidden from everyone but their creator
+  if (!ruleSet || !ruleSet.isAvailableTo(req.user._id)) {
+    throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.RULE_SET_NOT_FOUND]);
+  }
+
+  return successResponse(res, {
+    data: { ruleSet }
+  });
+};
+
+/**
+ * @desc    Update a rule set (Creator only). Matches already started keep
+ *          the rules they started with.
+ * @route   PUT /api/v1/ruleSets/:ruleSetId
+ * @access  Private
+ */
+const updateRuleSet = async (req, res) => {
+  const { name, description, isPublic, rules } = req.body;
+
+  const ruleSet = await RuleSet.findById(req.params.ruleSetId);
+
+  if (!ruleSet || !ruleSet.isAvailableTo(req.user._id)) {
+    throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.RULE_SET_NOT_FOUND]);
+  }
+
+  if (!ruleSet.isCreator(req.user._id)) {
+    throw new AuthorizationError('Only the rule set creator can update it');
+  }
+
+  if (name) ruleSet.name = name;
+  if (description !== undefined) ruleSet.description = description;
+  if (isPublic !== undefined) ruleSet.isPublic = isPublic;
+
+  if (rules) {
+    checkGroundRules(rules);
+    ruleSet.rules = rules;
+  }
+
+  await ruleSet.save();
+
+  return successResponse(res, {
+    message: 'Rule set updated successfully',
+    data: { ruleSet }
+  });
+};
+
+/**
+ * @desc    Delete a rule set (Creator only). Rooms using it go back to
+ *          standard outcomes only.
+ * @route   DELETE /api/v1/ruleSets/:ruleSetId
+ * @access  Private
+ */
+const deleteRuleSet = async (req, res) => {
+  const ruleSet = await RuleSet.findById(req.params.ruleSetId);
+
+  if (!ruleSet || !ruleSet.isAvailableTo(req.user._id)) {
+    throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.RULE_SET_NOT_FOUND]);
+  }
+
+  if (!ruleSet.isCreator(req.user._id)) {
+    throw new AuthorizationError('Only the rule set creator can delete it');
+  }
+
+  await Room.updateMany(
+    { 'settings.ruleSet': ruleSet._id },
+    { $unset: { 'settings.ruleSet': 1 } }
+  );
+  await ruleSet.deleteOne();
+
+  return successResponse(res, {
+    message: 'Rule set deleted successfully'
+  });
+};
+
+module.exports = {
+  createRuleSet,
+  getRuleSets,
+  getRuleSetById,
+  updateRuleSet,
+  deleteRuleSet
+};
@@ -18,6 +18,7 @@ const {
   sanitizeObject 
 } = require('../utils/helpers');
 const { ROLES, ACCOUNT_STATUS } = require('../config/constants');
+const wagonWheelService = require('../services/wagonWheelService');
 
 /**
  * @desc    Get all users (Admin only)
@@ -279,6 +280,35 @@ const getUserStatistics = async (req, res) => {
   });
 };
 
+/**
+ * @desc    Get a user's career wagon wheel
+ * @route   GET /api/v1/users/:userId/wagonWheel
+ * @access  Public
+ */
+const getUserWagonWheel = async (req, res) => {
+  const { userId } = req.params;
+
+  const user = await User.findById(userId).select('username firstName lastName fullName avatar');
+
+  if (!user) {
+    throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.USER_NOT_FOUND]);
+  }
+
+  const wagonWheel = await wagonWheelService.getCareerWagonWheel(user._id);
+
+  return successResponse(res, {
+    data: {
+      user: {
+        id: user._id,
+        username: user.username,
+        fullName: user.fullName,
+        avatar: user.avatar
+      },
+      wagonWheel
+    }
+  });
+};
+
 /**
  * @desc    Get leaderboard
  * @route   GET /api/v1/users/leaderboard
@@ -311,6 +341,9 @@ const getLeaderboard = async (req, res) => {
     case 'catches':
       sortField = { 'statistics.catches': -1 };
       break;
+    case 'potm':
+      sortField = { 'statistics.potmAwards': -1 };
+      break;
     default:
       sortField = { 'statistics.totalRuns': -1 };
   }
@@ -384,6 +417,7 @@ module.exports = {
   updateUserRole,
   deleteUser,
   getUserStatistics,
+  getUserWagonWheel,
   getLeaderboard,
   searchUsers
 };
@@ -1,4 +1,4 @@
-const { AppError, ERROR_CODES } = require('../utils/errors');
+const { AppError, ERROR_CODES, ERROR_MESSAGES } = require('../utils/errors');
 const { errorResponse } = require('../utils/response');
 
 /**
@@ -19,6 +19,13 @@ const handleDuplicateKeyError = (err) => {
   return new AppError(message, 409, 'DUPLICATE_KEY');
 };
 
+/**
+ * Handle Version Error (Mongoose optimistic concurrency)
+ */
+const handleVersionError = () => {
+  return new AppError(ERROR_MESSAGES[ERROR_CODES.MATCH_UPDATE_CONFLICT], 409, ERROR_CODES.MATCH_UPDATE_CONFLICT);
+};
+
 /**
  * Handle Validation Error (Mongoose)
  */
@@ -110,6 +117,7 @@ const errorHandler = (err, req, res, next) => {
     // Only handle Mongoose ValidationError, not our custom ValidationError
     if (err.name === 'CastError') error = handleCastError(err);
     if (err.code === 11000) error = handleDuplicateKeyError(err);
+    if (err.name === 'VersionError') error = handleVersionError();
     if (err.name === 'ValidationError' && !err.isOperational) error = handleValidationError(err);
     if (err.name === 'JsonWebTokenError') error = handleJWTError();
     if (err.name === 'TokenExpiredError') error = handleJWTExpiredError();
@@ -6,8 +6,17 @@ const {
   DISMISSAL_TYPES, 
   TOSS_DECISIONS,
   MATCH_RESULTS,
+  BALL_CORRECTIONS,
+  CREASE_ENDS,
+  SUPER_OVER_MODES,
+  TIE_BREAKERS,
+  MATCH_FORMATS,
+  MAN_OF_THE_MATCH_DECISIONS,
+  SHOT_ZONES,
+  ARENA_WALLS,
   DEFAULTS 
 } = require('../config/constants');
+const { groundRuleSchema } = require('./RuleSet');
 
 // Ball Schema (for each delivery)
 const ballSchema = new mongoose.Schema({
@@ -20,7 +29,14 @@ const ballSchema = new mongoose.Schema({
     type: Number,
     required: true,
     min: 1,
-    max: DEFAULTS.BALLS_PER_OVER
+    validate: {
+      // Overs are as long as the match's balls-per-over setting
+      validator: function(value) {
+        const match = this.ownerDocument();
+        return typeof match.getBallsPerOver !== 'function' || value <= match.getBallsPerOver();
+      },
+      message: 'Ball number cannot exceed the balls in an over'
+    }
   },
   bowler: {
     user: {
@@ -63,6 +79,10 @@ const ballSchema = new mongoose.Schema({
     enum: Object.values(BALL_OUTCOMES),
     required: true
   },
+  // Name of the ground rule the umpire applied, for ground_rule and rule-based extras
+  groundRule: String,
+  // Idempotency key sent by the scoring client, so a resent delivery isn't recorded twice
+  clientBallId: String,
   runs: {
     batsmanRuns: {
       type: Number,
@@ -78,6 +98,17 @@ const ballSchema = new mongoose.Schema({
       type: Number,
       default: 0,
       min: 0
+    },
+    // Extras itemised by type (extraRuns is their sum)
+    wides: { type: Number, default: 0, min: 0 },
+    noBalls: { type: Number, default: 0, min: 0 },
+    byes: { type: Number, default: 0, min: 0 },
+    legByes: { type: Number, default: 0, min: 0 },
+    penalty: { type: Number, default: 0, min: 0 },
+    // Runs the batsmen physically ran, which decides the strike
+    completed: {
+      type: Number,
+      min: 0
     }
   },
   isWicket: {
@@ -89,6 +120,11 @@ const ballSchema = new mongoose.Schema({
       type: String,
       enum: Object.values(DISMISSAL_TYPES)
     },
+    // End at which the wicket fell, where the new batsman comes in
+    end: {
+      type: String,
+      enum: Object.values(CREASE_ENDS)
+    },
     batsmanOut: {
       user: {
         type: mongoose.Schema.Types.ObjectId,
@@ -126,6 +162,28 @@ const ballSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Where the batsman hit the ball, for wagon wheels
+  shot: {
+    zone: {
+      type: String,
+      enum: Object.values(SHOT_ZONES)
+    },
+    // Degrees clockwise from straight down the ground
+    angle: {
+      type: Number,
+      min: 0,
+      max: 359
+    },
+    // Metres from the batsman
+    distance: {
+      type: Number,
+      min: 0
+    },
+    wall: {
+      type: String,
+      enum: Object.values(ARENA_WALLS)
+    }
+  },
   commentary: String,
   timestamp: {
     type: Date,
@@ -189,6 +247,74 @@ const playerPerformanceSchema = new mongoose.Schema({
   }
 }, { _id: true });
 
+// Retirement Schema (a batsman leaving the crease between deliveries)
+const retirementSchema = new mongoose.Schema({
+  batsman: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    isGuest: Boolean,
+    guestName: String,
+    guestId: String
+  },
+  type: {
+    type: String,
+    enum: [DISMISSAL_TYPES.RETIRED_HURT, DISMISSAL_TYPES.RETIRED_OUT],
+    required: true
+  },
+  // Balls in the innings log when the batsman retired
+  afterBalls: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Balls in the innings log when a retired hurt batsman came back in
+  resumedAfterBalls: {
+    type: Number,
+    min: 0
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: true });
+
+// Partnership Batsman Schema (one batsman's share of a partnership)
+const partnershipBatsmanSchema = new mongoose.Schema({
+  player: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    isGuest: Boolean,
+    guestName: String,
+    guestId: String
+  },
+  runs: { type: Number, default: 0 },
+  balls: { type: Number, default: 0 }
+}, { _id: false });
+
+// Partnership Schema (a stand between two batsmen until a wicket, retirement
+// or change of pair parts them)
+const partnershipSchema = new mongoose.Schema({
+  // The wicket the stand was for: 1 for the opening stand
+  wicket: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  batsman1: partnershipBatsmanSchema,
+  batsman2: partnershipBatsmanSchema,
+  runs: { type: Number, default: 0 },
+  balls: { type: Number, default: 0 },
+  extras: { type: Number, default: 0 },
+  isUnbroken: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: true });
+
 // Innings Schema
 const inningsSchema = new mongoose.Schema({
   battingTeam: {
@@ -206,10 +332,10 @@ const inningsSchema = new mongoose.Schema({
     enum: Object.values(INNINGS_STATUS),
     default: INNINGS_STATUS.NOT_STARTED
   },
+  // Can go below zero in the pairs format, where dismissals cost runs
   totalRuns: {
     type: Number,
-    default: 0,
-    min: 0
+    default: 0
   },
   totalWickets: {
     type: Number,
@@ -231,8 +357,14 @@ const inningsSchema = new mongoose.Schema({
     noBalls: { type: Number, default: 0 },
     byes: { type: Number, default: 0 },
     legByes: { type: Number, default: 0 },
+    penalty: { type: Number, default: 0 },
     total: { type: Number, default: 0 }
   },
+  // Runs taken off for dismissals in the pairs format
+  dismissalDeductions: {
+    type: Number,
+    default: 0
+  },
   currentOver: {
     type: Number,
     default: 0
@@ -270,7 +402,23 @@ const inningsSchema = new mongoose.Schema({
     guestName: String,
     guestId: String
   },
+  isSuperOver: {
+    type: Boolean,
+    default: false
+  },
+  // Overs allotted once cut short; unset means the scheduled overs
+  maxOvers: {
+    type: Number,
+    min: 1
+  },
+  // Whether the next delivery is a free hit
+  freeHit: {
+    type: Boolean,
+    default: false
+  },
   balls: [ballSchema],
+  retirements: [retirementSchema],
+  partnerships: [partnershipSchema],
   fallOfWickets: [{
     wicketNumber: Number,
     runs: Number,
@@ -295,6 +443,12 @@ const inningsSchema = new mongoose.Schema({
   endTime: Date
 }, { _id: true });
 
+// Super Over Schema (one round of a tie-break, an innings per side)
+const superOverSchema = new mongoose.Schema({
+  first: inningsSchema,
+  second: inningsSchema
+}, { _id: true });
+
 // Main Match Schema
 const matchSchema = new mongoose.Schema({
   room: {
@@ -322,6 +476,10 @@ const matchSchema = new mongoose.Schema({
       required: true,
       default: DEFAULTS.PLAYERS_PER_TEAM
     },
+    ballsPerOver: {
+      type: Number,
+      default: DEFAULTS.BALLS_PER_OVER
+    },
     wideRuns: {
       type: Number,
       default: 1
@@ -333,8 +491,27 @@ const matchSchema = new mongoose.Schema({
     noBallFreehit: {
       type: Boolean,
       default: true
-    }
+    },
+    maxOversPerBowler: Number,
+    lastManStands: {
+      type: Boolean,
+      default: false
+    },
+    superOver: {
+      type: String,
+      enum: Object.values(SUPER_OVER_MODES),
+      default: SUPER_OVER_MODES.OFF
+    },
+    format: {
+      type: String,
+      enum: Object.values(MATCH_FORMATS),
+      default: MATCH_FORMATS.STANDARD
+    },
+    oversPerPair: Number,
+    dismissalPenalty: Number
   },
+  // The room's ground rules, copied when the match starts so later edits to the rule set don't change it
+  groundRules: [groundRuleSchema],
   teamA: {
     name: {
       type: String,
@@ -410,6 +587,12 @@ const matchSchema = new mongoose.Schema({
     type: String,
     enum: ['first', 'second']
   },
+  superOvers: [superOverSchema],
+  // Super over being played, numbered from 1; unset during the main innings
+  currentSuperOver: {
+    type: Number,
+    min: 1
+  },
   playerPerformances: [playerPerformanceSchema],
   result: {
     winner: {
@@ -424,6 +607,11 @@ const matchSchema = new mongoose.Schema({
       runs: Number,
       wickets: Number
     },
+    decidedBy: {
+      type: String,
+      enum: Object.values(TIE_BREAKERS)
+    },
+    superOvers: Number,
     resultText: String
   },
   manOfTheMatch: {
@@ -432,7 +620,114 @@ const matchSchema = new mongoose.Schema({
       ref: 'User'
     },
     isGuest: Boolean,
-    guestName: String
+    guestName: String,
+    guestId: String
+  },
+  // Participants vote for Player of the Match for a while after the match is
+  // completed; the pick then goes into manOfTheMatch
+  manOfTheMatchVoting: {
+    votes: [{
+      _id: false,
+      voter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      player: {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        isGuest: Boolean,
+        guestName: String,
+        guestId: String
+      },
+      votedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    decidedBy: {
+      type: String,
+      enum: Object.values(MAN_OF_THE_MATCH_DECISIONS)
+    },
+    decidedAt: Date,
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    impactScore: Number
+  },
+  // Cuts to the overs allotted, kept to work out the revised target
+  oversReductions: [{
+    innings: {
+      type: String,
+      enum: ['first', 'second'],
+      required: true
+    },
+    fromOvers: {
+      type: Number,
+      required: true
+    },
+    toOvers: {
+      type: Number,
+      required: true
+    },
+    // Legal balls bowled and wickets down in the innings when the overs were cut
+    balls: {
+      type: Number,
+      default: 0
+    },
+    wickets: {
+      type: Number,
+      default: 0
+    },
+    reason: String,
+    reducedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reducedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Audit trail of amended and deleted deliveries
+  corrections: [{
+    action: {
+      type: String,
+      enum: Object.values(BALL_CORRECTIONS),
+      required: true
+    },
+    innings: {
+      type: String,
+      enum: ['first', 'second']
+    },
+    superOver: Number,
+    ball: mongoose.Schema.Types.ObjectId,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    reason: String,
+    correctedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    correctedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Career statistics credited to users for this match, kept so they can be reverted
+  statisticsLedger: {
+    appliedAt: Date,
+    entries: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      stats: mongoose.Schema.Types.Mixed
+    }]
   },
   startTime: Date,
   endTime: Date,
@@ -443,6 +738,9 @@ const matchSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
+  // Scoring requests load, change and save the whole match, so a save fails
+  // instead of overwriting one that landed in between
+  optimisticConcurrency: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
@@ -454,6 +752,7 @@ matchSchema.index({ createdAt: -1 });
 matchSchema.index({ 'teamA.players.user': 1 });
 matchSchema.index({ 'teamB.players.user': 1 });
 matchSchema.index({ 'umpire.user': 1 });
+matchSchema.index({ 'playerPerformances.player.user': 1, status: 1 });
 
 // Virtual for current score summary
 matchSchema.virtual('scoreSummary').get(function() {
@@ -489,9 +788,9 @@ matchSchema.virtual('scoreSummary').get(function() {
 // Instance method to calculate run rate
 matchSchema.methods.calculateRunRate = function(innings) {
   const inningsData = this.innings[innings];
-  if (!inningsData || inningsData.totalOvers === 0) return 0;
+  if (!inningsData || !inningsData.totalBalls) return 0;
   
-  const totalOvers = inningsData.totalOvers + (inningsData.totalBalls / 6);
+  const totalOvers = inningsData.totalBalls / this.getBallsPerOver();
   return totalOvers > 0 ? (inningsData.totalRuns / totalOvers).toFixed(2) : 0;
 };
 
@@ -499,15 +798,93 @@ matchSchema.methods.calculateRunRate = function(innings) {
 matchSchema.methods.calculateRequiredRunRate = function() {
   if (this.currentInnings !== 'second') return null;
   
-  const target = this.innings.first.totalRuns + 1;
   const second = this.innings.second;
+  const target = second.target || this.innings.first.totalRuns + 1;
   const runsNeeded = target - second.totalRuns;
-  const oversRemaining = this.settings.overs - (second.totalOvers + (second.totalBalls / 6));
+  const oversAllotted = second.maxOvers || this.settings.overs;
+  const oversRemaining = oversAllotted - (second.totalBalls / this.getBallsPerOver());
   
   if (oversRemaining <= 0) return null;
   return (runsNeeded / oversRemaining).toFixed(2);
 };
 
+// Instance method to get the legal deliveries that make up an over
+matchSchema.methods.getBallsPerOver = function() {
+  return this.settings.ballsPerOver || DEFAULTS.BALLS_PER_OVER;
+};
+
+// Instance method to check if each batting pair faces a fixed number of overs
+matchSchema.methods.isPairsFormat = function() {
+  return this.settings.format === MATCH_FORMATS.PAIRS;
+};
+
+// Instance method to get the wickets that bowl a side out
+matchSchema.methods.getMaxWickets = function() {
+  // With last man stands the final batsman bats alone until they are out too
+  return this.settings.lastManStands
+    ? this.settings.playersPerTeam
+    : this.settings.playersPerTeam - 1;
+};
+
+// Instance method to get the innings pair being played: the main innings or the current super over
+matchSchema.methods.getCurrentInningsPair = function() {
+  return this.currentSuperOver ? this.superOvers[this.currentSuperOver - 1] : this.innings;
+};
+
+// Instance method to get the innings being played
+matchSchema.methods.getCurrentInnings = function() {
+  return this.currentInnings ? this.getCurrentInningsPair()?.[this.currentInnings] : undefined;
+};
+
+// Instance method to settle a tie from the super overs played
+matchSchema.methods.determineSuperOverResult = function() {
+  const superOvers = this.superOvers.length;
+  const { first, second } = this.superOvers[superOvers - 1];
+  const teamResult = (team) => team === 'teamA' ? MATCH_RESULTS.TEAM_A_WON : MATCH_RESULTS.TEAM_B_WON;
+
+  if (first.totalRuns !== second.totalRuns) {
+    const winner = first.totalRuns > second.totalRuns ? first.battingTeam : second.battingTeam;
+    return {
+      winner,
+      resultType: teamResult(winner),
+      winMargin: null,
+      decidedBy: TIE_BREAKERS.SUPER_OVER,
+      superOvers,
+      resultText: `${this[winner].name} won the Super Over`
+    };
+  }
+
+  if (this.settings.superOver === SUPER_OVER_MODES.BOUNDARY_COUNT) {
+    // Boundaries hit across the match and the super overs
+    const boundaries = { teamA: 0, teamB: 0 };
+    [this.innings, ...this.superOvers].forEach(pair => {
+      [pair.first, pair.second].forEach(innings => {
+        boundaries[innings.battingTeam] += innings.balls.filter(ball => ball.isBoundary).length;
+      });
+    });
+
+    if (boundaries.teamA !== boundaries.teamB) {
+      const winner = boundaries.teamA > boundaries.teamB ? 'teamA' : 'teamB';
+      return {
+        winner,
+        resultType: teamResult(winner),
+        winMargin: null,
+        decidedBy: TIE_BREAKERS.BOUNDARY_COUNT,
+        superOvers,
+        resultText: `${this[winner].name} won on boundary count after the Super Over`
+      };
+    }
+  }
+
+  return {
+    winner: null,
+    resultType: MATCH_RESULTS.TIE,
+    winMargin: null,
+    superOvers,
+    resultText: 'Match Tied (Super Over tied)'
+  };
+};
+
 // Instance method to determine match result
 matchSchema.methods.determineResult = function() {
   if (this.status !== MATCH_STATUS.COMPLETED) return null;
@@ -520,17 +897,29 @@ matchSchema.methods.determineResult = function() {
   const firstBattingTeam = firstInnings.battingTeam;
   const secondBattingTeam = secondInnings.battingTeam;
   
-  const firstTeamScore = firstInnings.totalRuns;
+  // Once overs are cut the chasing side plays to a revised par score
+  const isRevised = this.oversReductions?.length > 0;
+  const firstTeamScore = secondInnings.target ? secondInnings.target - 1 : firstInnings.totalRuns;
   const secondTeamScore = secondInnings.totalRuns;
+  const method = isRevised ? ' (revised target)' : '';
   
-  if (secondTeamScore > firstTeamScore) {
+  if (secondTeamScore > firstTeamScore && this.isPairsFormat()) {
+    // Pairs bat their overs out whatever the wickets, so the chasing side wins on runs too
+    const runMargin = secondTeamScore - firstTeamScore;
+    return {
+      winner: secondBattingTeam,
+      resultType: secondBattingTeam === 'teamA' ? MATCH_RESULTS.TEAM_A_WON : MATCH_RESULTS.TEAM_B_WON,
+      winMargin: { runs: runMargin },
+      resultText: `${this[secondBattingTeam].name} won by ${runMargin} run${runMargin !== 1 ? 's' : ''}`
+    };
+  } else if (secondTeamScore > firstTeamScore) {
     // Second batting team won
-    const wicketsRemaining = this.settings.playersPerTeam - 1 - secondInnings.totalWickets;
+    const wicketsRemaining = this.getMaxWickets() - secondInnings.totalWickets;
     return {
       winner: secondBattingTeam,
       resultType: secondBattingTeam === 'teamA' ? MATCH_RESULTS.TEAM_A_WON : MATCH_RESULTS.TEAM_B_WON,
       winMargin: { wickets: wicketsRemaining },
-      resultText: `${this[secondBattingTeam].name} won by ${wicketsRemaining} wicket${wicketsRemaining !== 1 ? 's' : ''}`
+      resultText: `${this[secondBattingTeam].name} won by ${wicketsRemaining} wicket${wicketsRemaining !== 1 ? 's' : ''}${method}`
     };
   } else if (firstTeamScore > secondTeamScore) {
     // First batting team won
@@ -539,15 +928,17 @@ matchSchema.methods.determineResult = function() {
       winner: firstBattingTeam,
       resultType: firstBattingTeam === 'teamA' ? MATCH_RESULTS.TEAM_A_WON : MATCH_RESULTS.TEAM_B_WON,
       winMargin: { runs: runMargin },
-      resultText: `${this[firstBattingTeam].name} won by ${runMargin} run${runMargin !== 1 ? 's' : ''}`
+      resultText: `${this[firstBattingTeam].name} won by ${runMargin} run${runMargin !== 1 ? 's' : ''}${method}`
     };
+  } else if (this.superOvers?.length) {
+    return this.determineSuperOverResult();
   } else {
     // Tie
     return {
       winner: null,
       resultType: MATCH_RESULTS.TIE,
       winMargin: null,
-      resultText: 'Match Tied'
+      resultText: `Match Tied${method}`
     };
   }
 };
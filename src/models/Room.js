@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { ROOM_STATUS, ROOM_ROLES, DEFAULTS, VALIDATION } = require('../config/constants');
+const { ROOM_STATUS, ROOM_ROLES, SUPER_OVER_MODES, MATCH_FORMATS, DEFAULTS, VALIDATION } = require('../config/constants');
 
 const roomSchema = new mongoose.Schema({
   name: {
@@ -69,6 +69,12 @@ const roomSchema = new mongoose.Schema({
       min: [2, 'Minimum 2 players per team'],
       max: [11, 'Maximum 11 players per team']
     },
+    ballsPerOver: {
+      type: Number,
+      default: DEFAULTS.BALLS_PER_OVER,
+      min: [4, 'Minimum 4 balls per over'],
+      max: [10, 'Maximum 10 balls per over']
+    },
     wideRuns: {
       type: Number,
       default: 1,
@@ -84,6 +90,47 @@ const roomSchema = new mongoose.Schema({
     noBallFreehit: {
       type: Boolean,
       default: true
+    },
+    // The last batsman left bats on alone instead of the innings ending
+    lastManStands: {
+      type: Boolean,
+      default: false
+    },
+    // How a tied match is settled
+    superOver: {
+      type: String,
+      enum: Object.values(SUPER_OVER_MODES),
+      default: SUPER_OVER_MODES.OFF
+    },
+    // Leave unset to allow overs / 5, rounded up
+    maxOversPerBowler: {
+      type: Number,
+      min: [1, 'Minimum 1 over per bowler'],
+      max: [50, 'Maximum 50 overs per bowler']
+    },
+    // Pairs format: each batting pair faces oversPerPair overs and every
+    // dismissal costs dismissalPenalty runs instead of ending the innings
+    format: {
+      type: String,
+      enum: Object.values(MATCH_FORMATS),
+      default: MATCH_FORMATS.STANDARD
+    },
+    oversPerPair: {
+      type: Number,
+      default: DEFAULTS.OVERS_PER_PAIR,
+      min: [1, 'Minimum 1 over per pair'],
+      max: [10, 'Maximum 10 overs per pair']
+    },
+    dismissalPenalty: {
+      type: Number,
+      default: DEFAULTS.DISMISSAL_PENALTY,
+      min: [0, 'Dismissal penalty cannot be negative'],
+      max: [20, 'Maximum dismissal penalty is 20 runs']
+    },
+    // Named ground-rule outcomes the umpire can record
+    ruleSet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RuleSet'
     }
   },
   // Team A - players added by Team A In-charge
@@ -104,6 +151,11 @@ const roomSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       },
+      // Optional link to a registered user so their career statistics are credited
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
       addedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
@@ -128,6 +180,11 @@ const roomSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       },
+      // Optional link to a registered user so their career statistics are credited
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
       addedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { DISMISSAL_TYPES, GROUND_RULE_EXTRAS } = require('../config/constants');
+
+// A named outcome from a box-cricket ground, e.g. "back net on the full = 4"
+const groundRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Ground rule name is required'],
+    trim: true,
+    maxlength: [40, 'Ground rule name cannot exceed 40 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Ground rule description cannot exceed 200 characters']
+  },
+  // Runs awarded, scored off the bat unless the rule awards them as extras.
+  // Wide and no-ball rules add these to the match's wide or no-ball runs.
+  runs: {
+    type: Number,
+    default: 0,
+    min: [0, 'Ground rule runs cannot be negative'],
+    max: [10, 'Ground rule runs cannot exceed 10']
+  },
+  extra: {
+    type: String,
+    enum: Object.values(GROUND_RULE_EXTRAS),
+    default: GROUND_RULE_EXTRAS.NONE
+  },
+  // Runs the batsmen actually ran, which decides the strike. Leave unset to
+  // treat a 4 or 6 as a boundary and anything else as run.
+  runsCompleted: {
+    type: Number,
+    min: [0, 'Runs completed cannot be negative']
+  },
+  isWicket: {
+    type: Boolean,
+    default: false
+  },
+  dismissalType: {
+    type: String,
+    enum: Object.values(DISMISSAL_TYPES)
+  },
+  // Whether the delivery counts towards the over. Wide and no-ball rules never do.
+  isLegalDelivery: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const ruleSetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule set name is required'],
+    trim: true,
+    minlength: [3, 'Rule set name must be at least 3 characters'],
+    maxlength: [50, 'Rule set name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Public rule sets can be used by anyone's rooms, private ones only by their creator's
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  rules: {
+    type: [groundRuleSchema],
+    validate: [
+      {
+        validator: rules => rules.length > 0,
+        message: 'A rule set needs at least one ground rule'
+      },
+      {
+        validator: rules => new Set(rules.map(rule => rule.name.toLowerCase())).size === rules.length,
+        message: 'Ground rule names must be unique within a rule set'
+      }
+    ]
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ruleSetSchema.index({ creator: 1 });
+ruleSetSchema.index({ isPublic: 1, createdAt: -1 });
+
+// Instance method to check if user may use the rule set in their rooms
+ruleSetSchema.methods.isAvailableTo = function (userId) {
+  return this.isPublic || this.isCreator(userId);
+};
+
+// Instance method to check if user is the rule set's creator
+ruleSetSchema.methods.isCreator = function (userId) {
+  return this.creator.toString() === userId.toString();
+};
+
+const RuleSet = mongoose.model('RuleSet', ruleSetSchema);
+
+module.exports = { RuleSet, groundRuleSchema };
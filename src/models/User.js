@@ -114,6 +114,8 @@ const userSchema = new mongoose.Schema({
     catches: { type: Number, default: 0 },
     runOuts: { type: Number, default: 0 },
     stumpings: { type: Number, default: 0 },
+    // Awards
+    potmAwards: { type: Number, default: 0 },
     // Umpiring
     matchesUmpired: { type: Number, default: 0 }
   },
@@ -2,11 +2,13 @@ const User = require('./User');
 const Room = require('./Room');
 const Match = require('./Match');
 const { Notification, NOTIFICATION_TYPES } = require('./Notification');
+const { RuleSet } = require('./RuleSet');
 
 module.exports = {
   User,
   Room,
   Match,
   Notification,
-  NOTIFICATION_TYPES
+  NOTIFICATION_TYPES,
+  RuleSet
 };
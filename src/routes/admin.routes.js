@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { adminController } = require('../controllers');
 const { catchAsync, authenticate, isAdmin } = require('../middlewares');
-const { mongoIdValidation, paginationValidation } = require('../validators');
+const { mongoIdValidation, paginationValidation, recomputeStatisticsValidation } = require('../validators');
 
 /**
  * @swagger
@@ -232,6 +232,43 @@ router.get('/matches', paginationValidation, catchAsync(adminController.getMatch
  */
 router.post('/matches/:matchId/end', mongoIdValidation('matchId'), catchAsync(adminController.forceEndMatch));
 
+/**
+ * @swagger
+ * /api/v1/admin/statistics/recompute:
+ *   post:
+ *     summary: Rebuild match performances and career statistics from ball data
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Only recompute this user and the matches they played
+ *               matchId:
+ *                 type: string
+ *                 description: Only recompute this match and its linked users
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Report differences without writing anything
+ *               batchSize:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1000
+ *                 default: 100
+ *     responses:
+ *       200:
+ *         description: Diff report of matches and users whose figures changed
+ *       404:
+ *         description: User or match not found
+ */
+router.post('/statistics/recompute', recomputeStatisticsValidation, catchAsync(adminController.recomputeStatistics));
+
 /**
  * @swagger
  * /api/v1/admin/audit-logs:
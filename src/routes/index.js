@@ -8,6 +8,7 @@ const matchRoutes = require('./match.routes');
 const adminRoutes = require('./admin.routes');
 const friendRoutes = require('./friend.routes');
 const notificationRoutes = require('./notification.routes');
+const ruleSetRoutes = require('./ruleSet.routes');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -27,5 +28,6 @@ router.use('/matches', matchRoutes);
 router.use('/admin', adminRoutes);
 router.use('/friends', friendRoutes);
 router.use('/notifications', notificationRoutes);
+router.use('/ruleSets', ruleSetRoutes);
 
 module.exports = router;
@@ -8,7 +8,15 @@ const {
   setBatsmenValidation,
   setBowlerValidation,
   recordBallValidation,
+  amendBallValidation,
+  deleteBallValidation,
+  syncMatchValidation,
+  commentaryValidation,
+  wagonWheelValidation,
+  manOfTheMatchValidation,
   setNewBatsmanValidation,
+  retireBatsmanValidation,
+  reduceOversValidation,
   mongoIdValidation,
   paginationValidation
 } = require('../validators');
@@ -81,6 +89,11 @@ router.get('/:matchId', mongoIdValidation('matchId'), catchAsync(matchController
  * /api/v1/matches/{matchId}/live:
  *   get:
  *     summary: Get live score (Room participants only)
+ *     description: |
+ *       Includes a prediction: projected totals at the current run rate and one and two
+ *       runs an over faster during the first innings, and the chasing side's chance of
+ *       winning during the second. The chance comes from a model fitted on past completed
+ *       matches with the same overs, players per team and format.
  *     tags: [Matches]
  *     security:
  *       - bearerAuth: []
@@ -124,6 +137,141 @@ router.get('/:matchId/live', authenticate, mongoIdValidation('matchId'), catchAs
  */
 router.get('/:matchId/scoreboard', authenticate, mongoIdValidation('matchId'), catchAsync(matchController.getScoreboard));
 
+/**
+ * @swagger
+ * /api/v1/matches/{matchId}/partnerships:
+ *   get:
+ *     summary: Get every partnership in the match, innings by innings
+ *     description: |
+ *       A partnership runs until a wicket, a retirement or a change of pair parts the
+ *       batsmen, with each batsman's runs and balls. The last one is unbroken while
+ *       the pair are still at the crease.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Partnerships for each innings and super over
+ *       403:
+ *         description: Room participants only
+ */
+router.get('/:matchId/partnerships', authenticate, mongoIdValidation('matchId'), catchAsync(matchController.getPartnerships));
+
+/**
+ * @swagger
+ * /api/v1/matches/{matchId}/analytics:
+ *   get:
+ *     summary: Get over-by-over analytics for both innings
+ *     description: |
+ *       Runs, wickets and extras for every over with running totals, for Manhattan and
+ *       worm charts, plus totals for the opening two overs, the middle overs and the
+ *       final over. Worked out from the recorded balls, so undos and corrections show
+ *       up straight away.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Over breakdown and phase totals per innings (null until an innings starts)
+ *       403:
+ *         description: Room participants only
+ */
+router.get('/:matchId/analytics', authenticate, mongoIdValidation('matchId'), catchAsync(matchController.getAnalytics));
+
+/**
+ * @swagger
+ * /api/v1/matches/{matchId}/wagonWheel:
+ *   get:
+ *     summary: Get a wagon wheel for each batsman in the match
+ *     description: |
+ *       Shots, runs, fours and sixes by zone and by arena wall, plus the angle and
+ *       distance of every shot that has one, from the balls recorded with a shot.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: playerId
+ *         schema:
+ *           type: string
+ *         description: Only this batsman
+ *       - in: query
+ *         name: playerGuestId
+ *         schema:
+ *           type: string
+ *         description: Only this guest batsman
+ *     responses:
+ *       200:
+ *         description: Wagon wheels, most runs first
+ *       403:
+ *         description: Room participants only
+ */
+router.get('/:matchId/wagonWheel', authenticate, wagonWheelValidation, catchAsync(matchController.getWagonWheels));
+
+/**
+ * @swagger
+ * /api/v1/matches/{matchId}/commentary:
+ *   get:
+ *     summary: Get ball-by-ball commentary for an innings, newest first
+ *     description: |
+ *       Generated from the recorded deliveries: a line per ball (with any commentary the
+ *       umpire typed), milestone and partnership lines, and a summary at the end of each
+ *       over. New lines are pushed on the match channel as `commentary` events.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: innings
+ *         schema:
+ *           type: string
+ *           enum: [first, second]
+ *         description: Defaults to the innings being played
+ *       - in: query
+ *         name: superOver
+ *         schema:
+ *           type: integer
+ *         description: Super over number, for a super over's innings
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Commentary lines (type ball, wicket, milestone, partnership or over_summary)
+ *       404:
+ *         description: Match or innings not found
+ */
+router.get('/:matchId/commentary', authenticate, commentaryValidation, catchAsync(matchController.getCommentary));
+
 /**
  * @swagger
  * /api/v1/matches/{matchId}/toss:
@@ -157,10 +305,10 @@ router.get('/:matchId/scoreboard', authenticate, mongoIdValidation('matchId'), c
  *     responses:
  *       200:
  *         description: Toss completed
- *       400:
- *         description: Toss already done
  *       403:
  *         description: Only umpire can conduct toss
+ *       409:
+ *         description: Toss already done (INVALID_MATCH_TRANSITION)
  */
 router.post('/:matchId/toss', authenticate, conductTossValidation, catchAsync(matchController.conductToss));
 
@@ -237,6 +385,7 @@ router.post('/:matchId/bowler', authenticate, setBowlerValidation, catchAsync(ma
  * /api/v1/matches/{matchId}/ball:
  *   post:
  *     summary: Record a ball (Umpire/Host only)
+ *     description: Resending a ball with the same clientBallId (or Idempotency-Key) returns the ball already recorded instead of scoring it twice
  *     tags: [Matches]
  *     security:
  *       - bearerAuth: []
@@ -246,27 +395,64 @@ router.post('/:matchId/bowler', authenticate, setBowlerValidation, catchAsync(ma
  *         required: true
  *         schema:
  *           type: string
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 64
+ *         description: Alternative to clientBallId in the body
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - outcome
  *             properties:
+ *               clientBallId:
+ *                 type: string
+ *                 maxLength: 64
+ *                 description: Client-generated ID for the delivery, so a resent request isn't recorded twice
+ *               expectedOver:
+ *                 type: integer
+ *                 description: Completed overs the scorer expects the innings to be at (4 for 4.3)
+ *               expectedBall:
+ *                 type: integer
+ *                 description: Legal balls the scorer expects in the current over (3 for 4.3)
  *               outcome:
  *                 type: string
  *                 enum: [dot, '1', '2', '3', '4', '6', wide, no_ball, bye, leg_bye, wicket]
+ *                 description: Required unless a ground rule is named
+ *               groundRule:
+ *                 type: string
+ *                 description: Name of one of the match's ground rules, which sets the outcome, runs and dismissal. Name the batsman out and fielder as usual
  *               runs:
  *                 type: integer
  *                 minimum: 0
  *                 maximum: 7
+ *                 description: Runs off the bat (no_ball, default), run on a wide, or byes/leg byes
+ *               batsmanRuns:
+ *                 type: integer
+ *                 description: Runs credited to the striker, including overthrows (overrides the outcome)
+ *               byes:
+ *                 type: integer
+ *                 description: Bye runs, e.g. byes off a no-ball
+ *               legByes:
+ *                 type: integer
+ *               penaltyRuns:
+ *                 type: integer
+ *               runsCompleted:
+ *                 type: integer
+ *                 description: Runs physically run, which decides the strike (e.g. 1 for a single plus four overthrows). Defaults to the runs scored, or 0 for a 4 or 6
+ *               wicketEnd:
+ *                 type: string
+ *                 enum: [striker, non_striker]
+ *                 description: End at which the wicket fell (run outs), where the new batsman comes in
  *               isWicket:
  *                 type: boolean
  *               dismissalType:
  *                 type: string
- *                 enum: [bowled, caught, caught_and_bowled, run_out, stumped, lbw, hit_wicket, retired_hurt, obstructing_field, timed_out, handled_ball]
+ *                 enum: [bowled, caught, caught_and_bowled, run_out, stumped, lbw, hit_wicket, obstructing_field, handled_ball]
+ *                 description: Must be possible off the outcome (e.g. only run_out or obstructing_field off a no_ball). caught, run_out and stumped need a fielder
  *               batsmanOutId:
  *                 type: string
  *               batsmanOutGuestId:
@@ -275,13 +461,17 @@ router.post('/:matchId/bowler', authenticate, setBowlerValidation, catchAsync(ma
  *                 type: string
  *               fielderGuestId:
  *                 type: string
+ *               shot:
+ *                 $ref: '#/components/schemas/Shot'
  *               commentary:
  *                 type: string
  *     responses:
  *       200:
- *         description: Ball recorded
+ *         description: Ball recorded, or already recorded under the same clientBallId (data.duplicate)
  *       400:
  *         description: Invalid input
+ *       409:
+ *         description: The match isn't in progress (INVALID_MATCH_TRANSITION), the innings isn't at the expected over and ball (BALL_POSITION_MISMATCH), or another request updated the match first (MATCH_UPDATE_CONFLICT)
  */
 router.post('/:matchId/ball', authenticate, scoringLimiter, recordBallValidation, catchAsync(matchController.recordBall));
 
@@ -304,9 +494,288 @@ router.post('/:matchId/ball', authenticate, scoringLimiter, recordBallValidation
  *         description: Ball undone
  *       400:
  *         description: No balls to undo
+ *       403:
+ *         description: Only umpire can undo
+ *       409:
+ *         description: The match was never scored or has been abandoned (INVALID_MATCH_TRANSITION)
  */
 router.delete('/:matchId/ball', authenticate, mongoIdValidation('matchId'), catchAsync(matchController.undoLastBall));
 
+/**
+ * @swagger
+ * /api/v1/matches/{matchId}/balls/{ballId}:
+ *   patch:
+ *     summary: Amend any recorded ball and recompute the match (Umpire/Host only)
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: ballId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [dot, '1', '2', '3', '4', '6', wide, no_ball, bye, leg_bye, wicket]
+ *                 description: Required unless a ground rule is named
+ *               groundRule:
+ *                 type: string
+ *                 description: Name of one of the match's ground rules, which sets the outcome, runs and dismissal
+ *               runs:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 7
+ *                 description: Runs off the bat (no_ball, default), run on a wide, or byes/leg byes
+ *               batsmanRuns:
+ *                 type: integer
+ *                 description: Runs credited to the striker, including overthrows (overrides the outcome)
+ *               byes:
+ *                 type: integer
+ *                 description: Bye runs, e.g. byes off a no-ball
+ *               legByes:
+ *                 type: integer
+ *               penaltyRuns:
+ *                 type: integer
+ *               runsCompleted:
+ *                 type: integer
+ *                 description: Runs physically run, which decides the strike (e.g. 1 for a single plus four overthrows). Defaults to the runs scored, or 0 for a 4 or 6
+ *               wicketEnd:
+ *                 type: string
+ *                 enum: [striker, non_striker]
+ *                 description: End at which the wicket fell (run outs), where the new batsman comes in
+ *               isWicket:
+ *                 type: boolean
+ *               dismissalType:
+ *                 type: string
+ *               batsmanOutId:
+ *                 type: string
+ *               batsmanOutGuestId:
+ *                 type: string
+ *               fielderId:
+ *                 type: string
+ *               fielderGuestId:
+ *                 type: string
+ *               shot:
+ *                 $ref: '#/components/schemas/Shot'
+ *               commentary:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 description: Why the ball is being corrected
+ *     responses:
+ *       200:
+ *         description: Ball amended and innings recomputed
+ *       400:
+ *         description: Invalid input or the correction leaves the innings inconsistent
+ *       404:
+ *         description: Match or ball not found
+ *       409:
+ *         description: The match was never scored or has been abandoned (INVALID_MATCH_TRANSITION)
+ *   delete:
+ *     summary: Delete any recorded ball and recompute the match (Umpire/Host only)
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: ballId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Ball deleted and innings recomputed
+ *       400:
+ *         description: The correction leaves the innings inconsistent
+ *       404:
+ *         description: Match or ball not found
+ *       409:
+ *         description: The match was never scored or has been abandoned (INVALID_MATCH_TRANSITION)
+ */
+router.patch('/:matchId/balls/:ballId', authenticate, scoringLimiter, amendBallValidation, catchAsync(matchController.amendBall));
+router.delete('/:matchId/balls/:ballId', authenticate, scoringLimiter, deleteBallValidation, catchAsync(matchController.deleteBall));
+
+/**
+ * @swagger
+ * /api/v1/matches/{matchId}/sync:
+ *   post:
+ *     summary: Sync scoring recorded offline (Umpire/Host only)
+ *     description: |
+ *       Applies an ordered batch of scoring actions through the same rules as their own
+ *       endpoints. The batch is all or nothing: if any action conflicts with the match on
+ *       the server, nothing is saved. Balls whose clientBallId the server already has are
+ *       skipped, so a batch can be resent. Listeners get one score_update for the batch.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - actions
+ *             properties:
+ *               actions:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 500
+ *                 description: Actions in the order they were scored. Each takes the body fields of its endpoint (toss, batsmen, bowler, newBatsman, ball, innings/second, superOver); undo takes none
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - type
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [toss, batsmen, bowler, new_batsman, ball, undo, second_innings, super_over]
+ *                   additionalProperties: true
+ *     responses:
+ *       200:
+ *         description: Batch applied, with a result per action (applied, or duplicate for balls already on the server)
+ *       400:
+ *         description: Invalid input, listing every malformed field across the batch
+ *       409:
+ *         description: An action conflicts with the match on the server (SYNC_CONFLICT, errors names the first action rejected and its own code, such as INVALID_MATCH_TRANSITION), or another request updated the match first (MATCH_UPDATE_CONFLICT)
+ */
+router.post('/:matchId/sync', authenticate, scoringLimiter, syncMatchValidation, catchAsync(matchController.syncMatch));
+
+/**
+ * @swagger
+ * /api/v1/matches/{matchId}/manOfTheMatch:
+ *   get:
+ *     summary: Get Player of the Match impact scores, votes and pick
+ *     description: |
+ *       Once a match is completed every player gets an impact score from their runs and
+ *       scoring rate, wickets and economy, and catches, run outs and stumpings. Voting stays
+ *       open for 12 hours; when it closes the most voted player wins, or the top impact
+ *       score if nobody voted.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Impact scores, suggested player, vote tally and the pick once decided
+ *       400:
+ *         description: Match not completed
+ */
+router.get('/:matchId/manOfTheMatch', authenticate, mongoIdValidation('matchId'), catchAsync(matchController.getManOfTheMatch));
+
+/**
+ * @swagger
+ * /api/v1/matches/{matchId}/manOfTheMatch:
+ *   put:
+ *     summary: Pick Player of the Match in place of the vote (Creator or umpire)
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               playerId:
+ *                 type: string
+ *               playerGuestId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Player of the Match picked and notified
+ *       400:
+ *         description: Voting closed or player not in the match
+ *       403:
+ *         description: Creator or umpire only
+ */
+router.put('/:matchId/manOfTheMatch', authenticate, manOfTheMatchValidation, catchAsync(matchController.overrideManOfTheMatch));
+
+/**
+ * @swagger
+ * /api/v1/matches/{matchId}/manOfTheMatch/votes:
+ *   post:
+ *     summary: Vote for Player of the Match (Room participants)
+ *     description: Voting again replaces your earlier vote. You can't vote for yourself.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               playerId:
+ *                 type: string
+ *               playerGuestId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Vote recorded
+ *       400:
+ *         description: Voting closed or player not in the match
+ *       403:
+ *         description: Room participants only
+ */
+router.post('/:matchId/manOfTheMatch/votes', authenticate, manOfTheMatchValidation, catchAsync(matchController.voteManOfTheMatch));
+
 /**
  * @swagger
  * /api/v1/matches/{matchId}/newBatsman:
@@ -338,6 +807,47 @@ router.delete('/:matchId/ball', authenticate, mongoIdValidation('matchId'), catc
  */
 router.post('/:matchId/newBatsman', authenticate, setNewBatsmanValidation, catchAsync(matchController.setNewBatsman));
 
+/**
+ * @swagger
+ * /api/v1/matches/{matchId}/retire:
+ *   post:
+ *     summary: Retire a batsman between deliveries (Umpire/Host only)
+ *     description: Doesn't use up a ball. Retired out counts as a wicket; a batsman who retires hurt can resume later through newBatsman.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - retirementType
+ *             properties:
+ *               batsmanId:
+ *                 type: string
+ *               batsmanGuestId:
+ *                 type: string
+ *               retirementType:
+ *                 type: string
+ *                 enum: [retired_hurt, retired_out]
+ *     responses:
+ *       200:
+ *         description: Batsman retired
+ *       400:
+ *         description: Batsman not at the crease
+ *       409:
+ *         description: Match not in progress (INVALID_MATCH_TRANSITION)
+ */
+router.post('/:matchId/retire', authenticate, retireBatsmanValidation, catchAsync(matchController.retireBatsman));
+
 /**
  * @swagger
  * /api/v1/matches/{matchId}/innings/second:
@@ -355,11 +865,78 @@ router.post('/:matchId/newBatsman', authenticate, setNewBatsmanValidation, catch
  *     responses:
  *       200:
  *         description: Second innings started
- *       400:
- *         description: Not in innings break
+ *       403:
+ *         description: Only umpire can start the second innings
+ *       409:
+ *         description: Not in innings break (INVALID_MATCH_TRANSITION)
  */
 router.post('/:matchId/innings/second', authenticate, mongoIdValidation('matchId'), catchAsync(matchController.startSecondInnings));
 
+/**
+ * @swagger
+ * /api/v1/matches/{matchId}/reduceOvers:
+ *   post:
+ *     summary: Cut the overs when play is cut short (Umpire/Host only)
+ *     description: |
+ *       In the first innings both innings get the new overs; at the innings break or during the chase only the second innings does.
+ *       Once overs are cut the chasing side plays to a revised target, scaled from the first innings score by the batting resources (overs and wickets) each side had.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - overs
+ *             properties:
+ *               overs:
+ *                 type: integer
+ *                 minimum: 1
+ *               reason:
+ *                 type: string
+ *                 maxLength: 200
+ *     responses:
+ *       200:
+ *         description: Overs reduced, with the revised target and par score
+ *       400:
+ *         description: Overs not lower than now, or already bowled
+ *       409:
+ *         description: Match not in progress or at the innings break (INVALID_MATCH_TRANSITION)
+ */
+router.post('/:matchId/reduceOvers', authenticate, reduceOversValidation, catchAsync(matchController.reduceOvers));
+
+/**
+ * @swagger
+ * /api/v1/matches/{matchId}/superOver:
+ *   post:
+ *     summary: Start a super over to settle a tie (Umpire/Host only)
+ *     description: Available when the match is tied and the room plays super overs. The side that batted second bats first.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Super over ready to start
+ *       409:
+ *         description: Match is not waiting for a super over (INVALID_MATCH_TRANSITION)
+ */
+router.post('/:matchId/superOver', authenticate, mongoIdValidation('matchId'), catchAsync(matchController.startSuperOver));
+
 /**
  * @swagger
  * /api/v1/matches/{matchId}/end:
@@ -387,6 +964,8 @@ router.post('/:matchId/innings/second', authenticate, mongoIdValidation('matchId
  *         description: Match ended
  *       403:
  *         description: Only host/admin can end match
+ *       409:
+ *         description: Match already completed or abandoned (INVALID_MATCH_TRANSITION)
  */
 router.post('/:matchId/end', authenticate, mongoIdValidation('matchId'), catchAsync(matchController.endMatch));
 
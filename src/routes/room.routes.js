@@ -57,6 +57,46 @@ const {
  *                     minimum: 2
  *                     maximum: 11
  *                     default: 6
+ *                   ballsPerOver:
+ *                     type: integer
+ *                     minimum: 4
+ *                     maximum: 10
+ *                     default: 6
+ *                     description: Legal deliveries in an over
+ *                   maxOversPerBowler:
+ *                     type: integer
+ *                     minimum: 1
+ *                     maximum: 50
+ *                     description: Defaults to overs / 5, rounded up
+ *                   lastManStands:
+ *                     type: boolean
+ *                     default: false
+ *                     description: Let the last batsman bat alone instead of the innings ending
+ *                   superOver:
+ *                     type: string
+ *                     enum: [off, repeat, boundary_count]
+ *                     default: 'off'
+ *                     description: Settle a tie with super overs until one side wins, or one super over then a boundary count
+ *                   format:
+ *                     type: string
+ *                     enum: [standard, pairs]
+ *                     default: standard
+ *                     description: In pairs, each batting pair faces a fixed spell of overs and dismissals cost runs instead of ending the innings
+ *                   oversPerPair:
+ *                     type: integer
+ *                     minimum: 1
+ *                     maximum: 10
+ *                     default: 2
+ *                     description: Pairs format only. Overs must split evenly into spells, with enough players for every pair
+ *                   dismissalPenalty:
+ *                     type: integer
+ *                     minimum: 0
+ *                     maximum: 20
+ *                     default: 5
+ *                     description: Pairs format only. Runs taken off for each dismissal
+ *                   ruleSet:
+ *                     type: string
+ *                     description: ID of a rule set you created or a public one, whose ground rules the umpire can record
  *     responses:
  *       201:
  *         description: Room created successfully with unique code
@@ -348,6 +388,9 @@ router.put('/:roomId/teams', authenticate, mongoIdValidation('roomId'), catchAsy
  *               playerName:
  *                 type: string
  *                 description: Name of the player to add
+ *               userId:
+ *                 type: string
+ *                 description: Registered user to link so their career statistics are credited
  *               isCaptain:
  *                 type: boolean
  *                 default: false
@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const { ruleSetController } = require('../controllers');
+const { catchAsync, authenticate } = require('../middlewares');
+const {
+  createRuleSetValidation,
+  updateRuleSetValidation,
+  mongoIdValidation,
+  paginationValidation
+} = require('../validators');
+
+// All rule set routes require authentication
+router.use(authenticate);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Rule Sets
+ *   description: Box-cricket ground rules that rooms can score with
+ */
+
+/**
+ * @swagger
+ * /api/v1/ruleSets:
+ *   post:
+ *     summary: Create a ground rule set
+ *     tags: [Rule Sets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - rules
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 50
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               isPublic:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Let other users' rooms use the rule set
+ *               rules:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 30
+ *                 items:
+ *                   $ref: '#/components/schemas/GroundRule'
+ *     responses:
+ *       201:
+ *         description: Rule set created
+ *       400:
+ *         description: Validation error
+ */
+router.post('/', createRuleSetValidation, catchAsync(ruleSetController.createRuleSet));
+
+/**
+ * @swagger
+ * /api/v1/ruleSets:
+ *   get:
+ *     summary: Get your rule sets and public ones
+ *     tags: [Rule Sets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *         description: Only list rule sets you created
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Rule sets list
+ */
+router.get('/', paginationValidation, catchAsync(ruleSetController.getRuleSets));
+
+/**
+ * @swagger
+ * /api/v1/ruleSets/{ruleSetId}:
+ *   get:
+ *     summary: Get rule set by ID
+ *     tags: [Rule Sets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleSetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rule set details
+ *       404:
+ *         description: Rule set not found
+ */
+router.get('/:ruleSetId', mongoIdValidation('ruleSetId'), catchAsync(ruleSetController.getRuleSetById));
+
+/**
+ * @swagger
+ * /api/v1/ruleSets/{ruleSetId}:
+ *   put:
+ *     summary: Update a rule set (Creator only)
+ *     description: Matches already started keep the rules they started with
+ *     tags: [Rule Sets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleSetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               isPublic:
+ *                 type: boolean
+ *               rules:
+ *                 type: array
+ *                 description: Replaces all the rules in the set
+ *                 items:
+ *                   $ref: '#/components/schemas/GroundRule'
+ *     responses:
+ *       200:
+ *         description: Rule set updated
+ *       403:
+ *         description: Creator only
+ */
+router.put('/:ruleSetId', updateRuleSetValidation, catchAsync(ruleSetController.updateRuleSet));
+
+/**
+ * @swagger
+ * /api/v1/ruleSets/{ruleSetId}:
+ *   delete:
+ *     summary: Delete a rule set (Creator only)
+ *     description: Rooms using the rule set go back to standard outcomes only
+ *     tags: [Rule Sets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleSetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rule set deleted
+ *       403:
+ *         description: Creator only
+ */
+router.delete('/:ruleSetId', mongoIdValidation('ruleSetId'), catchAsync(ruleSetController.deleteRuleSet));
+
+module.exports = router;
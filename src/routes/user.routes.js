@@ -28,7 +28,7 @@ const {
  *         name: type
  *         schema:
  *           type: string
- *           enum: [runs, wickets, matches, wins, sixes, fours, catches]
+ *           enum: [runs, wickets, matches, wins, sixes, fours, catches, potm]
  *         description: Leaderboard type
  *       - in: query
  *         name: limit
@@ -285,4 +285,24 @@ router.delete('/:userId', authenticate, isAdmin, mongoIdValidation('userId'), ca
  */
 router.get('/:userId/statistics', mongoIdValidation('userId'), catchAsync(userController.getUserStatistics));
 
+/**
+ * @swagger
+ * /api/v1/users/{userId}/wagonWheel:
+ *   get:
+ *     summary: Get a user's wagon wheel across their completed matches
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shots, runs and boundaries by zone and arena wall
+ *       404:
+ *         description: User not found
+ */
+router.get('/:userId/wagonWheel', mongoIdValidation('userId'), catchAsync(userController.getUserWagonWheel));
+
 module.exports = router;
@@ -38,6 +38,7 @@ const userSchema = new mongoose.Schema({
     catches: { type: Number, default: 0 },
     runOuts: { type: Number, default: 0 },
     stumpings: { type: Number, default: 0 },
+    potmAwards: { type: Number, default: 0 },
     matchesUmpired: { type: Number, default: 0 }
   },
   friends: [],
@@ -0,0 +1,106 @@
+/**
+ * Script to rebuild match performances and career statistics from ball data
+ * Run with: node src/scripts/recomputeStatistics.js [--dry-run] [--user <id>] [--match <id>] [--batch-size <n>]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const statisticsService = require('../services/statisticsService');
+
+const MONGODB_URL = process.env.NODE_ENV === 'test'
+  ? process.env.MONGODB_URI_TEST
+  : process.env.MONGODB_URL;
+
+function parseArgs(argv) {
+  const options = { dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--user':
+        options.userId = argv[++i];
+        break;
+      case '--match':
+        options.matchId = argv[++i];
+        break;
+      case '--batch-size':
+        options.batchSize = parseInt(argv[++i], 10);
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (options.userId && options.matchId) {
+    throw new Error('Provide either --user or --match, not both');
+  }
+
+  [options.userId, options.matchId].filter(Boolean).forEach(id => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(`Invalid ID: ${id}`);
+    }
+  });
+
+  if (options.batchSize !== undefined && !(options.batchSize > 0)) {
+    throw new Error('--batch-size must be a positive integer');
+  }
+
+  return options;
+}
+
+async function recomputeStatistics() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URL);
+    console.log('Connected to MongoDB');
+
+    const report = await statisticsService.recomputeStatistics(options);
+
+    console.log('\n========================================');
+    console.log(report.dryRun ? 'Statistics recompute (dry run)' : 'Statistics recomputed');
+    console.log('========================================');
+    console.log('Scope:', JSON.stringify(report.scope));
+    console.log(`Matches: ${report.matches.changed} changed of ${report.matches.scanned} scanned` +
+      (report.matches.failed.length ? `, ${report.matches.failed.length} failed` : ''));
+    console.log(`Users: ${report.users.changed} changed of ${report.users.scanned} scanned`);
+
+    report.matches.details.forEach(({ matchId, changes, ledgerRewritten }) => {
+      console.log(`\nMatch ${matchId}`);
+      changes.forEach(change => {
+        console.log(`  ${change.player} (${change.team}) ${change.field}: ${change.before} -> ${change.after}`);
+      });
+      if (ledgerRewritten) {
+        console.log('  statistics ledger rewritten');
+      }
+    });
+
+    report.matches.failed.forEach(({ matchId, error }) => {
+      console.log(`\nMatch ${matchId} not rebuilt: ${error}`);
+    });
+
+    report.users.details.forEach(({ userId, username, changes }) => {
+      console.log(`\nUser ${username} (${userId})`);
+      Object.entries(changes).forEach(([field, { before, after }]) => {
+        console.log(`  ${field}: ${before} -> ${after}`);
+      });
+    });
+
+    if (report.dryRun) {
+      console.log('\nDry run - nothing was written.');
+    }
+    console.log('========================================\n');
+
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+recomputeStatistics();
@@ -11,6 +11,8 @@ const connectDB = require('./config/database');
 const routes = require('./routes');
 const swaggerSpec = require('./swagger/swagger.config');
 const { initializeSocket } = require('./services/socketService');
+const { scheduleOpenVotes } = require('./services/manOfTheMatchService');
+const { startModelRefresh } = require('./services/predictionService');
 const { errorHandler, notFoundHandler, apiLimiter } = require('./middlewares');
 
 // Initialize Express app
@@ -22,8 +24,13 @@ const server = http.createServer(app);
 // Initialize Socket.IO
 initializeSocket(server);
 
-// Connect to Database
-connectDB();
+// Connect to Database, then pick up Player of the Match votes still open
+connectDB()
+  .then(() => scheduleOpenVotes())
+  .catch((error) => console.error(`❌ Player of the Match scheduling failed: ${error.message}`));
+
+// Refit the live prediction's chase models in the background, off the request path
+startModelRefresh();
 
 // Security Middleware
 app.use(helmet({
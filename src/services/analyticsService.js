@@ -0,0 +1,148 @@
+const {
+  INNINGS_PHASES,
+  DEFAULTS
+} = require('../config/constants');
+
+const toRate = (runs, balls, ballsPerOver) => {
+  return balls > 0 ? parseFloat((runs / (balls / ballsPerOver)).toFixed(2)) : 0;
+};
+
+/**
+ * Get the overs an innings is allotted, after any cut
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings subdocument
+ * @returns {number}
+ */
+const getOversLimit = (match, innings) => {
+  if (innings.isSuperOver) return DEFAULTS.SUPER_OVER_OVERS;
+  return innings.maxOvers || match.settings.overs;
+};
+
+/**
+ * Get which stage of the innings an over falls in. The final over takes
+ * precedence, so a two-over innings has an opening and a final over.
+ * @param {number} over - Over number, 1-based
+ * @param {number} oversLimit - Overs the innings is allotted
+ * @returns {string} - INNINGS_PHASES value
+ */
+const getPhase = (over, oversLimit) => {
+  if (over >= oversLimit) return INNINGS_PHASES.FINAL_OVER;
+  if (over <= DEFAULTS.OPENING_PHASE_OVERS) return INNINGS_PHASES.OPENING;
+  return INNINGS_PHASES.MIDDLE;
+};
+
+/**
+ * Break an innings down over by over, with running totals for worm charts.
+ * Built from the ball log, so undone and amended balls are always reflected.
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings subdocument
+ * @returns {Array} - [{ over, phase, bowler, runs, wickets, extras, deductions, balls, cumulativeRuns, cumulativeWickets, runRate }]
+ */
+const getOverBreakdown = (match, innings) => {
+  const ballsPerOver = match.getBallsPerOver();
+  const oversLimit = getOversLimit(match, innings);
+  // In the pairs format every dismissal costs the batting side runs
+  const dismissalPenalty = match.isPairsFormat() && !innings.isSuperOver
+    ? match.settings.dismissalPenalty
+    : 0;
+
+  const overs = [];
+  let cumulativeRuns = 0;
+  let cumulativeWickets = 0;
+  let cumulativeBalls = 0;
+
+  innings.balls.forEach(ball => {
+    let over = overs[overs.length - 1];
+
+    if (!over || over.over !== ball.overNumber) {
+      over = {
+        over: ball.overNumber,
+        phase: getPhase(ball.overNumber, oversLimit),
+        bowler: ball.bowler,
+        runs: 0,
+        wickets: 0,
+        extras: 0,
+        deductions: 0,
+        balls: 0
+      };
+      overs.push(over);
+    }
+
+    over.runs += ball.runs.totalRuns;
+    over.extras += ball.runs.totalRuns - ball.runs.batsmanRuns;
+
+    if (ball.isWicket) {
+      over.wickets += 1;
+      over.deductions += dismissalPenalty;
+    }
+
+    if (ball.isLegalDelivery) over.balls += 1;
+  });
+
+  return overs.map(over => {
+    cumulativeRuns += over.runs - over.deductions;
+    cumulativeWickets += over.wickets;
+    cumulativeBalls += over.balls;
+
+    return {
+      ...over,
+      cumulativeRuns,
+      cumulativeWickets,
+      runRate: toRate(cumulativeRuns, cumulativeBalls, ballsPerOver)
+    };
+  });
+};
+
+/**
+ * Total the overs in each stage of the innings
+ * @param {Array} overs - From getOverBreakdown
+ * @param {number} ballsPerOver - Legal balls in an over
+ * @returns {Object} - { opening, middle, final_over }: { overs, runs, wickets, extras, balls, runRate }
+ */
+const getPhaseSummary = (overs, ballsPerOver) => {
+  return Object.values(INNINGS_PHASES).reduce((phases, phase) => {
+    const inPhase = overs.filter(over => over.phase === phase);
+    const runs = inPhase.reduce((total, over) => total + over.runs - over.deductions, 0);
+    const balls = inPhase.reduce((total, over) => total + over.balls, 0);
+
+    phases[phase] = {
+      overs: inPhase.map(over => over.over),
+      runs,
+      wickets: inPhase.reduce((total, over) => total + over.wickets, 0),
+      extras: inPhase.reduce((total, over) => total + over.extras, 0),
+      balls,
+      runRate: toRate(runs, balls, ballsPerOver)
+    };
+
+    return phases;
+  }, {});
+};
+
+/**
+ * Get over-by-over analytics for an innings: the breakdown for Manhattan and
+ * worm charts and the phase totals
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings subdocument
+ * @returns {Object|null} - null if the innings hasn't started
+ */
+const getInningsAnalytics = (match, innings) => {
+  if (!innings?.battingTeam || !innings.balls.length) return null;
+
+  const overs = getOverBreakdown(match, innings);
+
+  return {
+    battingTeam: match[innings.battingTeam]?.name,
+    team: innings.battingTeam,
+    runs: innings.totalRuns,
+    wickets: innings.totalWickets,
+    oversLimit: getOversLimit(match, innings),
+    overs,
+    phases: getPhaseSummary(overs, match.getBallsPerOver())
+  };
+};
+
+module.exports = {
+  getPhase,
+  getOverBreakdown,
+  getInningsAnalytics
+};
@@ -0,0 +1,305 @@
+const User = require('../models/User');
+const {
+  BALL_OUTCOMES,
+  DISMISSAL_TYPES,
+  COMMENTARY_TYPES,
+  ARENA_WALLS
+} = require('../config/constants');
+const { getUserId, isSamePlayer } = require('./scoringService');
+const rulesService = require('./rulesService');
+
+// Scores worth a line of their own. Box cricket innings are short, so 25 counts.
+const BATTING_MILESTONES = [25, 50, 100];
+const PARTNERSHIP_MILESTONES = [25, 50, 100];
+const TEAM_MILESTONE_STEP = 50;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Look up display names for the registered players in a match. Guests carry
+ * their own names on every ball.
+ * @param {Object} match - Match document
+ * @param {Array} players - Only these player references; both teams when omitted
+ * @returns {Map<string, string>} - User ID -> name
+ */
+const loadPlayerNames = async (match, players = [...match.teamA.players, ...match.teamB.players]) => {
+  const userIds = players
+    .map(player => getUserId(player?.user))
+    .filter(Boolean);
+
+  if (!userIds.length) return new Map();
+
+  const users = await User.find({ _id: { $in: userIds } }).select('firstName username');
+
+  return new Map(users.map(user => [user._id.toString(), user.firstName || user.username]));
+};
+
+/**
+ * Describe how a batsman got out, e.g. "caught by Sam"
+ * @param {Object} wicket - Ball wicket details
+ * @param {Function} nameOf - Player name lookup
+ * @returns {string}
+ */
+const describeDismissal = ({ dismissalType, fielder }, nameOf) => {
+  const byFielder = fielder && nameOf(fielder) ? ` by ${nameOf(fielder)}` : '';
+
+  switch (dismissalType) {
+    case DISMISSAL_TYPES.CAUGHT:
+      return `caught${byFielder}`;
+    case DISMISSAL_TYPES.CAUGHT_AND_BOWLED:
+      return 'caught and bowled';
+    case DISMISSAL_TYPES.RUN_OUT:
+      return `run out${byFielder}`;
+    case DISMISSAL_TYPES.STUMPED:
+      return `stumped${byFielder}`;
+    case DISMISSAL_TYPES.LBW:
+      return 'lbw';
+    case DISMISSAL_TYPES.GROUND_RULE:
+      return 'out under a ground rule';
+    default:
+      return (dismissalType || 'out').replace(/_/g, ' ');
+  }
+};
+
+/**
+ * Describe what a delivery produced, e.g. "FOUR", "wide, 2 runs", "no ball, 1 run"
+ * @param {Object} ball - Ball subdocument
+ * @returns {string}
+ */
+const describeRuns = (ball) => {
+  const { batsmanRuns, wides, noBalls, byes, legByes, penalty, totalRuns } = ball.runs;
+  const parts = [];
+
+  if (ball.groundRule) parts.push(ball.groundRule);
+
+  if (wides) {
+    parts.push(wides === 1 ? 'wide' : `wide, ${plural(wides - 1, 'run')}`);
+  } else if (noBalls) {
+    parts.push('no ball');
+  }
+
+  if (ball.isBoundary && batsmanRuns === 4) parts.push('FOUR');
+  else if (ball.isBoundary && batsmanRuns === 6) parts.push('SIX');
+  else if (batsmanRuns) parts.push(plural(batsmanRuns, 'run'));
+
+  if (byes) parts.push(plural(byes, 'bye'));
+  if (legByes) parts.push(plural(legByes, 'leg bye'));
+  if (penalty) parts.push(plural(penalty, 'penalty run'));
+
+  // A wicket says enough on its own
+  if (!totalRuns && !ball.isWicket) parts.push('no run');
+
+  return parts.join(', ');
+};
+
+/**
+ * Describe where a shot went, e.g. "to mid wicket, off the leg side wall"
+ * @param {Object} shot - Ball shot details
+ * @returns {string}
+ */
+const describeShot = (shot) => {
+  const parts = [];
+
+  if (shot?.zone) parts.push(`to ${shot.zone.replace(/_/g, ' ')}`);
+  if (shot?.wall) {
+    parts.push(shot.wall === ARENA_WALLS.ROOF ? 'off the roof' : `off the ${shot.wall.replace(/_/g, ' ')} wall`);
+  }
+
+  return parts.join(', ');
+};
+
+/**
+ * Work through an innings' deliveries, keeping the running figures the
+ * commentary quotes, and write the lines for the balls wanted
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings subdocument
+ * @param {Map<string, string>} names - From loadPlayerNames
+ * @param {Object} range - Write lines for the balls from index `from` up to `to`; earlier
+ *                         balls' lines are only counted and later balls left out
+ * @returns {Object} - { lines, total }: lines in the order they happened
+ *                     ({ id, type, over, ballId, text, timestamp }), and how many lines
+ *                     the innings has up to `to`
+ */
+const generateCommentary = (match, innings, names, { from = 0, to = innings.balls.length } = {}) => {
+  const nameOf = (player) => player?.guestName || names.get(getUserId(player?.user)) || 'Player';
+  const teamName = match[innings.battingTeam]?.name;
+  const ballsPerOver = match.getBallsPerOver();
+  const balls = innings.balls.slice(0, to);
+
+  const lines = [];
+  let total = 0;
+  const batsmen = [];
+  const bowlers = [];
+  const partnership = { runs: 0, balls: 0 };
+  const over = { runs: 0, wickets: 0 };
+  let score = 0;
+  let wickets = 0;
+  let legalBalls = 0;
+
+  const figuresFor = (list, player) => {
+    let figures = list.find(entry => isSamePlayer(entry.player, player));
+    if (!figures) {
+      figures = { player, runs: 0, balls: 0, wickets: 0 };
+      list.push(figures);
+    }
+    return figures;
+  };
+  // Line IDs stay the same however often the commentary is regenerated. The
+  // text is only worked out for the lines being written.
+  const addLine = (ball, index, type, label, describe, key = type) => {
+    total += 1;
+    if (index < from) return;
+
+    lines.push({
+      id: `${ball._id}:${key}`,
+      type,
+      over: label,
+      ballId: ball._id,
+      text: describe(),
+      timestamp: ball.timestamp
+    });
+  };
+
+  balls.forEach((ball, index) => {
+    const label = `${ball.overNumber - 1}.${ball.ballNumber}`;
+    const batsman = figuresFor(batsmen, ball.batsman);
+    const bowler = figuresFor(bowlers, ball.bowler);
+    const { batsmanRuns, wides, noBalls, totalRuns } = ball.runs;
+    const previousScore = score;
+    const previousBatsmanRuns = batsman.runs;
+    const previousPartnership = partnership.runs;
+
+    score += totalRuns;
+    over.runs += totalRuns;
+    batsman.runs += batsmanRuns;
+    bowler.runs += batsmanRuns + wides + noBalls;
+    partnership.runs += totalRuns;
+
+    if (ball.isLegalDelivery || ball.outcome === BALL_OUTCOMES.NO_BALL) batsman.balls += 1;
+    if (ball.isLegalDelivery) {
+      bowler.balls += 1;
+      partnership.balls += 1;
+      legalBalls += 1;
+    }
+
+    if (ball.isWicket) {
+      wickets += 1;
+      over.wickets += 1;
+      if (rulesService.isBowlerWicket(ball.wicket.dismissalType)) bowler.wickets += 1;
+    }
+
+    // The over's last legal ball closes it, or its last ball when a correction left it short
+    const next = innings.balls[index + 1];
+    const isOverEnd = next
+      ? next.overNumber !== ball.overNumber
+      : ball.isLegalDelivery && ball.ballNumber === ballsPerOver;
+
+    addLine(ball, index, ball.isWicket ? COMMENTARY_TYPES.WICKET : COMMENTARY_TYPES.BALL, label, () => {
+      const parts = [describeRuns(ball), describeShot(ball.shot)];
+
+      if (ball.isWicket) {
+        const out = figuresFor(batsmen, ball.wicket.batsmanOut);
+        parts.push(`OUT! ${describeDismissal(ball.wicket, nameOf)}. ${nameOf(ball.wicket.batsmanOut)} ${out.runs} (${out.balls})`);
+      }
+
+      let text = `${label} ${nameOf(ball.bowler)} to ${nameOf(ball.batsman)}, ${parts.filter(Boolean).join(', ')}`;
+
+      if (ball.isFreeHit) text = `Free hit: ${text}`;
+      if (ball.commentary) text += `, ${ball.commentary}`;
+
+      return text;
+    });
+
+    BATTING_MILESTONES
+      .filter(milestone => previousBatsmanRuns < milestone && batsman.runs >= milestone)
+      .forEach(milestone => {
+        addLine(ball, index, COMMENTARY_TYPES.MILESTONE, label,
+          () => `${nameOf(ball.batsman)} reaches ${milestone} off ${plural(batsman.balls, 'ball')}`,
+          `batsman_${milestone}`);
+      });
+
+    const teamMilestone = Math.floor(score / TEAM_MILESTONE_STEP) * TEAM_MILESTONE_STEP;
+    if (teamMilestone > previousScore) {
+      addLine(ball, index, COMMENTARY_TYPES.MILESTONE, label,
+        () => `${teamName} reach ${teamMilestone} in ${plural(legalBalls, 'ball')}`, `team_${teamMilestone}`);
+    }
+
+    PARTNERSHIP_MILESTONES
+      .filter(milestone => previousPartnership < milestone && partnership.runs >= milestone)
+      .forEach(milestone => {
+        addLine(ball, index, COMMENTARY_TYPES.PARTNERSHIP, label,
+          () => `${milestone} partnership between ${nameOf(ball.batsman)} and ${nameOf(ball.nonStriker)} off ${plural(partnership.balls, 'ball')}`,
+          `partnership_${milestone}`);
+      });
+
+    if (isOverEnd) {
+      addLine(ball, index, COMMENTARY_TYPES.OVER_SUMMARY, label, () =>
+        `End of over ${ball.overNumber}: ${plural(over.runs, 'run')}, ${plural(over.wickets, 'wicket')}. ` +
+        `${teamName} ${score}/${wickets}. ${nameOf(ball.bowler)} ${bowler.wickets}/${bowler.runs} ` +
+        `from ${Math.floor(bowler.balls / ballsPerOver)}.${bowler.balls % ballsPerOver} overs`);
+    }
+
+    if (ball.isWicket) {
+      partnership.runs = 0;
+      partnership.balls = 0;
+    }
+
+    if (isOverEnd) {
+      over.runs = 0;
+      over.wickets = 0;
+    }
+  });
+
+  return { lines, total };
+};
+
+/**
+ * Generate the commentary for an innings from its deliveries: a line per ball,
+ * plus lines for batting, partnership and team milestones and a summary at the
+ * end of each over. Generated from the ball log, so undone and amended balls
+ * are always reflected.
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings subdocument
+ * @param {Map<string, string>} names - From loadPlayerNames
+ * @returns {Array} - Lines in the order they happened: { id, type, over, ballId, text, timestamp }
+ */
+const buildInningsCommentary = (match, innings, names = new Map()) => {
+  return generateCommentary(match, innings, names).lines;
+};
+
+/**
+ * Generate the lines for one delivery as it is recorded, the same lines
+ * buildInningsCommentary gives it
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings the ball belongs to
+ * @param {Object} ball - Ball record
+ * @param {Map<string, string>} names - From loadPlayerNames
+ * @returns {Array} - The ball's lines: { id, type, over, ballId, text, timestamp }
+ */
+const buildBallCommentary = (match, innings, ball, names = new Map()) => {
+  const index = innings.balls.findIndex(entry => entry._id.equals(ball._id));
+  return generateCommentary(match, innings, names, { from: index, to: index + 1 }).lines;
+};
+
+/**
+ * Generate one page of an innings' commentary, newest first. Every ball has
+ * at least one line, so only the latest skip + limit balls need writing.
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings subdocument
+ * @param {Object} page - { skip, limit } in lines
+ * @param {Map<string, string>} names - From loadPlayerNames
+ * @returns {Object} - { lines, total }: the page's lines, newest first, and the innings' line count
+ */
+const buildCommentaryPage = (match, innings, { skip, limit }, names = new Map()) => {
+  const from = Math.max(innings.balls.length - (skip + limit), 0);
+  const { lines, total } = generateCommentary(match, innings, names, { from });
+
+  return { lines: lines.reverse().slice(skip, skip + limit), total };
+};
+
+module.exports = {
+  loadPlayerNames,
+  buildInningsCommentary,
+  buildBallCommentary,
+  buildCommentaryPage
+};
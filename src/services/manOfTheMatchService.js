@@ -0,0 +1,340 @@
+const Match = require('../models/Match');
+const {
+  MATCH_STATUS,
+  MAN_OF_THE_MATCH_DECISIONS,
+  NOTIFICATION_TYPES,
+  DEFAULTS
+} = require('../config/constants');
+const { ValidationError } = require('../utils/errors');
+const { getUserId, isSamePlayer } = require('./scoringService');
+const statisticsService = require('./statisticsService');
+const socketService = require('./socketService');
+const notificationService = require('./notificationService');
+
+// Points per unit of each contribution. Scoring rate and economy are measured
+// against the match's own runs per ball, so a quick 20 counts for more on a
+// slow pitch than in a run fest.
+const IMPACT_WEIGHTS = {
+  RUN: 1,
+  SCORING_RATE: 0.5,
+  WICKET: 20,
+  ECONOMY: 1,
+  DISMISSAL_ASSIST: 8
+};
+
+const VOTING_WINDOW_MS = DEFAULTS.MAN_OF_THE_MATCH_VOTING_HOURS * 60 * 60 * 1000;
+
+// Timers that make the pick when each match's voting closes, keyed by match ID
+const decisionTimers = new Map();
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Plain player reference, as stored on a pick or vote
+ * @param {Object} player - Player reference
+ * @returns {Object}
+ */
+const toPlayerRef = (player) => ({
+  user: player.user?._id || player.user,
+  isGuest: player.isGuest,
+  guestName: player.guestName,
+  guestId: player.guestId
+});
+
+/**
+ * Score every player's impact on the match from their performance: runs and
+ * how quickly they came, wickets and how cheaply they were bought, and catches,
+ * run outs and stumpings
+ * @param {Object} match - Match document
+ * @returns {Array} - [{ player, team, impactScore, batting, bowling, fielding }], best first
+ */
+const getImpactScores = (match) => {
+  const performances = match.playerPerformances || [];
+  const runs = performances.reduce((total, p) => total + p.batting.runs, 0);
+  const ballsFaced = performances.reduce((total, p) => total + p.batting.ballsFaced, 0);
+  const runsPerBall = ballsFaced ? runs / ballsFaced : 0;
+  const winner = match.result?.winner;
+
+  return performances
+    .map(({ player, team, batting, bowling, fielding }) => {
+      const battingImpact = batting.runs * IMPACT_WEIGHTS.RUN +
+        (batting.runs - runsPerBall * batting.ballsFaced) * IMPACT_WEIGHTS.SCORING_RATE;
+      const bowlingImpact = bowling.wickets * IMPACT_WEIGHTS.WICKET +
+        (runsPerBall * bowling.balls - bowling.runs) * IMPACT_WEIGHTS.ECONOMY;
+      const fieldingImpact = (fielding.catches + fielding.runOuts + fielding.stumpings) *
+        IMPACT_WEIGHTS.DISMISSAL_ASSIST;
+
+      return {
+        player: toPlayerRef(player),
+        team,
+        impactScore: round(battingImpact + bowlingImpact + fieldingImpact),
+        batting: round(battingImpact),
+        bowling: round(bowlingImpact),
+        fielding: round(fieldingImpact)
+      };
+    })
+    // Level scores go to the winning side
+    .sort((a, b) => b.impactScore - a.impactScore ||
+      (b.team === winner) - (a.team === winner));
+};
+
+/**
+ * Get when Player of the Match voting closes
+ * @param {Object} match - Match document
+ * @returns {Date|null} - null until the match is completed
+ */
+const getVotingClosesAt = (match) => {
+  if (match.status !== MATCH_STATUS.COMPLETED || !match.endTime) return null;
+  return new Date(match.endTime.getTime() + VOTING_WINDOW_MS);
+};
+
+/**
+ * Check if participants can still vote or the host can still override
+ * @param {Object} match - Match document
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+const isVotingOpen = (match, now = new Date()) => {
+  const closesAt = getVotingClosesAt(match);
+  return Boolean(closesAt) && !match.manOfTheMatchVoting?.decidedAt && now < closesAt;
+};
+
+/**
+ * Count the votes per player, most voted first. Level counts go to the
+ * higher impact score.
+ * @param {Object} match - Match document
+ * @param {Array} impactScores - From getImpactScores
+ * @returns {Array} - [{ player, votes, impactScore }]
+ */
+const tallyVotes = (match, impactScores = getImpactScores(match)) => {
+  const tally = [];
+
+  (match.manOfTheMatchVoting?.votes || []).forEach(({ player }) => {
+    const entry = tally.find(t => isSamePlayer(t.player, player));
+    if (entry) {
+      entry.votes += 1;
+    } else {
+      const impact = impactScores.find(score => isSamePlayer(score.player, player));
+      tally.push({ player: toPlayerRef(player), votes: 1, impactScore: impact?.impactScore ?? 0 });
+    }
+  });
+
+  return tally.sort((a, b) => b.votes - a.votes || b.impactScore - a.impactScore);
+};
+
+/**
+ * Set the Player of the Match and close voting
+ * @param {Object} match - Match document
+ * @param {Object} player - Player reference
+ * @param {string} decidedBy - MAN_OF_THE_MATCH_DECISIONS value
+ * @param {string} overriddenBy - User who overrode the vote
+ */
+const decide = (match, player, decidedBy, overriddenBy) => {
+  const impact = getImpactScores(match).find(score => isSamePlayer(score.player, player));
+
+  match.manOfTheMatch = toPlayerRef(player);
+  match.manOfTheMatchVoting.decidedBy = decidedBy;
+  match.manOfTheMatchVoting.decidedAt = new Date();
+  match.manOfTheMatchVoting.overriddenBy = overriddenBy;
+  match.manOfTheMatchVoting.impactScore = impact?.impactScore ?? 0;
+};
+
+/**
+ * Record a participant's vote, replacing any vote they already cast
+ * @param {Object} match - Match document
+ * @param {string} voterId - Voting user
+ * @param {Object} player - Team player voted for
+ */
+const castVote = (match, voterId, player) => {
+  if (!isVotingOpen(match)) {
+    throw new ValidationError('Player of the Match voting is closed');
+  }
+
+  if (player.user && getUserId(player.user) === getUserId(voterId)) {
+    throw new ValidationError('You cannot vote for yourself');
+  }
+
+  const votes = match.manOfTheMatchVoting.votes;
+  const index = votes.findIndex(vote => getUserId(vote.voter) === getUserId(voterId));
+  const vote = { voter: voterId, player: toPlayerRef(player), votedAt: new Date() };
+
+  if (index === -1) {
+    votes.push(vote);
+  } else {
+    votes.set(index, vote);
+  }
+};
+
+/**
+ * Pick the Player of the Match in place of the vote
+ * @param {Object} match - Match document
+ * @param {string} userId - Host or umpire overriding
+ * @param {Object} player - Team player picked
+ */
+const override = (match, userId, player) => {
+  if (!isVotingOpen(match)) {
+    throw new ValidationError('Player of the Match voting is closed');
+  }
+
+  decide(match, player, MAN_OF_THE_MATCH_DECISIONS.OVERRIDE, userId);
+};
+
+/**
+ * Close voting once the window has passed: the most voted player wins, or
+ * the top impact score when nobody voted
+ * @param {Object} match - Match document
+ * @param {Date} now - Current time
+ * @returns {boolean} - Whether the pick was made now
+ */
+const decideIfDue = (match, now = new Date()) => {
+  const closesAt = getVotingClosesAt(match);
+
+  if (!closesAt || match.manOfTheMatchVoting?.decidedAt || now < closesAt) return false;
+
+  const impactScores = getImpactScores(match);
+  const [topVoted] = tallyVotes(match, impactScores);
+
+  if (topVoted) {
+    decide(match, topVoted.player, MAN_OF_THE_MATCH_DECISIONS.VOTES);
+    return true;
+  }
+
+  if (impactScores.length) {
+    decide(match, impactScores[0].player, MAN_OF_THE_MATCH_DECISIONS.IMPACT);
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Stop the timer waiting to make a match's pick, if there is one
+ * @param {string} matchId - Match ID
+ */
+const cancelDecision = (matchId) => {
+  const key = matchId.toString();
+
+  clearTimeout(decisionTimers.get(key));
+  decisionTimers.delete(key);
+};
+
+/**
+ * Save a Player of the Match pick, credit it in career statistics, announce
+ * it to the match and tell the player
+ * @param {Object} match - Match document with the pick just made
+ */
+const announce = async (match) => {
+  cancelDecision(match._id);
+
+  await match.save();
+  // Count the award in career statistics
+  await statisticsService.syncMatchStatisticsOrRetry(match);
+
+  const { manOfTheMatch, manOfTheMatchVoting } = match;
+  const pick = {
+    matchId: match._id,
+    player: manOfTheMatch,
+    impactScore: manOfTheMatchVoting.impactScore,
+    decidedBy: manOfTheMatchVoting.decidedBy
+  };
+
+  socketService.emitManOfTheMatch(match._id.toString(), pick);
+
+  if (manOfTheMatch.user) {
+    await notificationService.createAndEmit({
+      recipient: manOfTheMatch.user,
+      type: NOTIFICATION_TYPES.MAN_OF_THE_MATCH,
+      title: 'Player of the Match',
+      message: `You were named Player of the Match in ${match.teamA.name} vs ${match.teamB.name}`,
+      data: { matchId: match._id, roomId: match.room, decidedBy: pick.decidedBy }
+    });
+  }
+};
+
+/**
+ * Make the pick for a match whose voting has closed, reloading it so the
+ * decision sees every vote cast while the timer ran
+ * @param {string} matchId - Match ID
+ */
+const decideWhenDue = async (matchId) => {
+  decisionTimers.delete(matchId.toString());
+
+  try {
+    const match = await Match.findById(matchId);
+
+    if (match && decideIfDue(match)) {
+      await announce(match);
+    }
+  } catch (error) {
+    console.error(`Player of the Match decision failed for match ${matchId}: ${error.message}`);
+  }
+};
+
+/**
+ * Start the timer that makes the pick when voting closes, replacing any
+ * earlier one. A match that is no longer completed or already has its pick
+ * gets none.
+ * @param {Object} match - Match document
+ */
+const scheduleDecision = (match) => {
+  cancelDecision(match._id);
+
+  const closesAt = getVotingClosesAt(match);
+  if (!closesAt || match.manOfTheMatchVoting?.decidedAt) return;
+
+  const timer = setTimeout(() => decideWhenDue(match._id), Math.max(closesAt - Date.now(), 0));
+  // An open vote shouldn't keep the process alive on shutdown
+  timer.unref();
+  decisionTimers.set(match._id.toString(), timer);
+};
+
+/**
+ * Start the timers for every completed match still waiting on its pick, as
+ * the server starts. Matches whose voting closed while it was down get
+ * their pick straight away.
+ */
+const scheduleOpenVotes = async () => {
+  const matches = await Match.find({
+    status: MATCH_STATUS.COMPLETED,
+    endTime: { $exists: true },
+    'manOfTheMatchVoting.decidedAt': null
+  }).select('status endTime manOfTheMatchVoting.decidedAt');
+
+  matches.forEach(scheduleDecision);
+};
+
+/**
+ * Describe the Player of the Match race: impact scores, votes and the pick
+ * @param {Object} match - Match document
+ * @returns {Object}
+ */
+const getSummary = (match) => {
+  const impactScores = getImpactScores(match);
+  const voting = match.manOfTheMatchVoting;
+
+  return {
+    manOfTheMatch: voting?.decidedAt ? match.manOfTheMatch : null,
+    suggested: impactScores[0] || null,
+    impactScores,
+    votes: tallyVotes(match, impactScores),
+    isVotingOpen: isVotingOpen(match),
+    votingClosesAt: getVotingClosesAt(match),
+    decidedBy: voting?.decidedBy || null,
+    decidedAt: voting?.decidedAt || null
+  };
+};
+
+module.exports = {
+  getImpactScores,
+  getVotingClosesAt,
+  isVotingOpen,
+  tallyVotes,
+  castVote,
+  override,
+  decideIfDue,
+  announce,
+  scheduleDecision,
+  cancelDecision,
+  scheduleOpenVotes,
+  getSummary
+};
@@ -0,0 +1,344 @@
+const Room = require('../models/Room');
+const {
+  ROLES,
+  MATCH_STATUS,
+  ROOM_STATUS,
+  MATCH_TRANSITIONS,
+  MATCH_ACTORS,
+  NOTIFICATION_TYPES
+} = require('../config/constants');
+const {
+  AuthorizationError,
+  ConflictError,
+  ERROR_CODES,
+  ERROR_MESSAGES
+} = require('../utils/errors');
+const socketService = require('./socketService');
+const notificationService = require('./notificationService');
+const statisticsService = require('./statisticsService');
+const manOfTheMatchService = require('./manOfTheMatchService');
+
+const {
+  SCHEDULED,
+  TOSS,
+  IN_PROGRESS,
+  INNINGS_BREAK,
+  SUPER_OVER,
+  COMPLETED,
+  ABANDONED,
+  CANCELLED
+} = MATCH_STATUS;
+
+// Every status a scored match can be in once the toss is done
+const LIVE_STATUSES = [IN_PROGRESS, INNINGS_BREAK, SUPER_OVER];
+const SCORED_STATUSES = [...LIVE_STATUSES, COMPLETED];
+
+/**
+ * What each transition may be triggered from, the statuses it may leave the
+ * match in besides the one it started from, and who may trigger it
+ */
+const TRANSITIONS = {
+  [MATCH_TRANSITIONS.START]: {
+    action: 'start the match',
+    from: [SCHEDULED],
+    to: [TOSS],
+    actors: [MATCH_ACTORS.CREATOR],
+    forbidden: ERROR_MESSAGES[ERROR_CODES.NOT_ROOM_CREATOR]
+  },
+  [MATCH_TRANSITIONS.TOSS]: {
+    action: 'conduct the toss',
+    from: [TOSS],
+    to: [IN_PROGRESS],
+    actors: [MATCH_ACTORS.UMPIRE],
+    forbidden: ERROR_MESSAGES[ERROR_CODES.NOT_UMPIRE]
+  },
+  [MATCH_TRANSITIONS.SCORE]: {
+    action: 'score',
+    from: [IN_PROGRESS],
+    to: [INNINGS_BREAK, SUPER_OVER, COMPLETED],
+    actors: [MATCH_ACTORS.UMPIRE],
+    forbidden: ERROR_MESSAGES[ERROR_CODES.NOT_UMPIRE]
+  },
+  [MATCH_TRANSITIONS.CORRECT]: {
+    action: 'correct balls',
+    from: SCORED_STATUSES,
+    to: SCORED_STATUSES,
+    actors: [MATCH_ACTORS.UMPIRE],
+    forbidden: ERROR_MESSAGES[ERROR_CODES.NOT_UMPIRE]
+  },
+  [MATCH_TRANSITIONS.REDUCE_OVERS]: {
+    action: 'cut the overs',
+    from: [IN_PROGRESS, INNINGS_BREAK],
+    to: [INNINGS_BREAK, SUPER_OVER, COMPLETED],
+    actors: [MATCH_ACTORS.UMPIRE],
+    forbidden: ERROR_MESSAGES[ERROR_CODES.NOT_UMPIRE]
+  },
+  // Each synced action is checked against its own transition as well
+  [MATCH_TRANSITIONS.SYNC]: {
+    action: 'sync offline scoring',
+    from: [TOSS, ...SCORED_STATUSES],
+    to: SCORED_STATUSES,
+    actors: [MATCH_ACTORS.UMPIRE],
+    forbidden: ERROR_MESSAGES[ERROR_CODES.NOT_UMPIRE]
+  },
+  [MATCH_TRANSITIONS.START_SECOND_INNINGS]: {
+    action: 'start the second innings',
+    from: [INNINGS_BREAK],
+    to: [IN_PROGRESS],
+    actors: [MATCH_ACTORS.UMPIRE],
+    forbidden: ERROR_MESSAGES[ERROR_CODES.NOT_UMPIRE]
+  },
+  [MATCH_TRANSITIONS.START_SUPER_OVER]: {
+    action: 'start a super over',
+    from: [SUPER_OVER],
+    to: [IN_PROGRESS],
+    actors: [MATCH_ACTORS.UMPIRE],
+    forbidden: ERROR_MESSAGES[ERROR_CODES.NOT_UMPIRE]
+  },
+  [MATCH_TRANSITIONS.ABANDON]: {
+    action: 'abandon the match',
+    from: [SCHEDULED, TOSS, ...LIVE_STATUSES],
+    to: [ABANDONED],
+    actors: [MATCH_ACTORS.CREATOR, MATCH_ACTORS.ADMIN],
+    forbidden: 'Only creator or admin can end the match'
+  }
+};
+
+// How each status reads in an error message
+const STATUS_LABELS = {
+  [SCHEDULED]: 'scheduled',
+  [TOSS]: 'waiting for the toss',
+  [IN_PROGRESS]: 'in progress',
+  [INNINGS_BREAK]: 'at the innings break',
+  [SUPER_OVER]: 'tied and waiting for a super over',
+  [COMPLETED]: 'completed',
+  [ABANDONED]: 'abandoned',
+  [CANCELLED]: 'cancelled'
+};
+
+/**
+ * Get the room status that goes with a match status
+ * @param {string} status - Match status
+ * @returns {string|null} - null while the match hasn't started
+ */
+const getRoomStatus = (status) => {
+  if (status === SCHEDULED) return null;
+  if ([COMPLETED, ABANDONED, CANCELLED].includes(status)) return ROOM_STATUS.COMPLETED;
+  return ROOM_STATUS.IN_MATCH;
+};
+
+/**
+ * Work out whose part a user plays in a match
+ * @param {Object} user - Requesting user
+ * @param {Object} room - Room document
+ * @param {Object} match - Match document, if it exists yet
+ * @returns {Array} - MATCH_ACTORS values
+ */
+const getActors = (user, room, match) => {
+  const actors = [];
+  const isCreator = Boolean(room?.isCreator(user._id));
+  const isUmpire = match?.umpire?.user?.toString() === user._id.toString();
+
+  if (isCreator) actors.push(MATCH_ACTORS.CREATOR);
+  // In solo mode the creator umpires their own match
+  if (isUmpire || (room?.isSoloMode && isCreator)) actors.push(MATCH_ACTORS.UMPIRE);
+  if (user.role === ROLES.ADMIN) actors.push(MATCH_ACTORS.ADMIN);
+
+  return actors;
+};
+
+/**
+ * Check a user may trigger a transition
+ * @param {string} name - MATCH_TRANSITIONS value
+ * @param {Object} context - { user, room, match }
+ * @throws {AuthorizationError}
+ */
+const authorize = (name, { user, room, match }) => {
+  const rule = TRANSITIONS[name];
+  const actors = getActors(user, room, match);
+
+  if (!rule.actors.some(actor => actors.includes(actor))) {
+    throw new AuthorizationError(rule.forbidden);
+  }
+};
+
+/**
+ * Check whether a transition can be made from the match's current status
+ * @param {Object} match - Match document
+ * @param {string} name - MATCH_TRANSITIONS value
+ * @returns {boolean}
+ */
+const canTransition = (match, name) => TRANSITIONS[name].from.includes(match.status);
+
+/**
+ * Throw the error for a transition the match's status doesn't allow
+ * @param {string} name - MATCH_TRANSITIONS value
+ * @param {string} status - The status at fault
+ * @throws {ConflictError}
+ */
+const rejectTransition = (name, status) => {
+  throw new ConflictError(
+    `Can't ${TRANSITIONS[name].action}: the match is ${STATUS_LABELS[status] || status}`,
+    ERROR_CODES.INVALID_MATCH_TRANSITION,
+    [{ field: 'status', transition: name, status, allowedFrom: TRANSITIONS[name].from }]
+  );
+};
+
+/**
+ * Make a transition: check the match's status allows it, apply the change,
+ * then check the status the change left the match in. Nothing is saved, so
+ * a rejected transition leaves nothing to undo.
+ * @param {Object} match - Match document
+ * @param {string} name - MATCH_TRANSITIONS value
+ * @param {Function} apply - Makes the change and returns its result; by
+ *                           default moves the match to the transition's only status
+ * @returns {*} - What apply returned
+ * @throws {ConflictError} - INVALID_MATCH_TRANSITION
+ */
+const transition = (match, name, apply) => {
+  const { to } = TRANSITIONS[name];
+  const previousStatus = match.status;
+
+  if (!canTransition(match, name)) {
+    rejectTransition(name, previousStatus);
+  }
+
+  let result;
+  if (apply) {
+    result = apply();
+  } else {
+    match.status = to[0];
+  }
+
+  if (match.status !== previousStatus && !to.includes(match.status)) {
+    rejectTransition(name, match.status);
+  }
+
+  return result;
+};
+
+/**
+ * Abandon a match, recording why as its result
+ * @param {Object} match - Match document
+ * @param {string} reason - Result text
+ */
+const abandon = (match, reason) => {
+  transition(match, MATCH_TRANSITIONS.ABANDON, () => {
+    match.status = ABANDONED;
+    match.endTime = new Date();
+    match.result = {
+      resultType: 'abandoned',
+      resultText: reason
+    };
+  });
+};
+
+/**
+ * Announce a finished match to the match channel and every room participant
+ * @param {Object} match - Completed match document
+ * @param {Object} room - Room document
+ */
+const notifyMatchCompleted = async (match, room) => {
+  socketService.emitMatchEnd(match._id.toString(), match.result);
+
+  const participantUserIds = (room?.participants || [])
+    .filter(p => p.user)
+    .map(p => p.user._id || p.user);
+
+  for (const userId of participantUserIds) {
+    await notificationService.createAndEmit({
+      recipient: userId,
+      type: NOTIFICATION_TYPES.MATCH_ENDED,
+      title: 'Match Completed',
+      message: match.result?.resultText || 'Match has ended',
+      data: { roomId: room._id, matchId: match._id, result: match.result }
+    });
+  }
+};
+
+/**
+ * Announce an innings starting or ending when the status change means one did
+ * @param {Object} match - Match document
+ * @param {string} previousStatus - Match status before the change
+ */
+const announceInnings = (match, previousStatus) => {
+  const matchId = match._id.toString();
+  const superOver = match.currentSuperOver || null;
+
+  if (previousStatus === IN_PROGRESS && match.status === INNINGS_BREAK) {
+    const { first, second } = match.getCurrentInningsPair();
+
+    socketService.emitInningsEnd(matchId, {
+      innings: 'first',
+      superOver,
+      battingTeam: match[first.battingTeam].name,
+      score: `${first.totalRuns}/${first.totalWickets}`,
+      // Set with the innings break, revised if the overs were cut
+      target: second.target
+    });
+  }
+
+  // Undoing back out of a break reopens an innings that already has balls
+  const innings = match.getCurrentInnings();
+  if ([TOSS, INNINGS_BREAK, SUPER_OVER].includes(previousStatus) && match.status === IN_PROGRESS &&
+    !innings.balls.length) {
+    socketService.emitInningsStart(matchId, {
+      innings: match.currentInnings,
+      superOver,
+      battingTeam: match[innings.battingTeam].name,
+      target: innings.target || null
+    });
+  }
+};
+
+/**
+ * Bring everything that follows the match status up to date after a saved
+ * transition: the room status, career statistics, the Player of the Match
+ * timer, innings events and the match end announcement
+ * @param {Object} match - Match document, already saved
+ * @param {string} previousStatus - Match status before the transition
+ * @param {Object} room - Room document, for the participants to notify
+ */
+const applyEffects = async (match, previousStatus, room) => {
+  if (match.status === previousStatus && match.status !== COMPLETED) return;
+
+  const roomStatus = getRoomStatus(match.status);
+  if (roomStatus && roomStatus !== getRoomStatus(previousStatus)) {
+    await Room.findByIdAndUpdate(match.room, { status: roomStatus });
+  }
+
+  // Credit career statistics once the match is decided, rework them when a
+  // decided match is corrected or reopened, and withdraw them if it's abandoned
+  if ([previousStatus, match.status].includes(COMPLETED) || match.status === ABANDONED) {
+    await statisticsService.syncMatchStatisticsOrRetry(match);
+  }
+
+  // Player of the Match is picked when voting closes, so the timer follows
+  // the match in and out of completion
+  if (match.status === COMPLETED) {
+    manOfTheMatchService.scheduleDecision(match);
+  } else if (previousStatus === COMPLETED) {
+    manOfTheMatchService.cancelDecision(match._id);
+  }
+
+  if (match.status === previousStatus) return;
+
+  if (match.currentInnings) {
+    announceInnings(match, previousStatus);
+  }
+
+  if (match.status === COMPLETED) {
+    await notifyMatchCompleted(match, room);
+  } else if (match.status === ABANDONED) {
+    socketService.emitMatchEnd(match._id.toString(), match.result);
+  }
+};
+
+module.exports = {
+  getActors,
+  authorize,
+  canTransition,
+  transition,
+  abandon,
+  applyEffects
+};
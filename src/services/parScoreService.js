@@ -0,0 +1,111 @@
+// How quickly scoring potential builds up over an innings. Overs are scaled to
+// the scheduled match length, so a 5-over box game keeps the same curve shape
+// as a longer one.
+const RESOURCE_DECAY = 1.5;
+
+/**
+ * Get the share of a side's batting resources left with a number of overs
+ * to come and wickets lost. Resources grow with overs remaining, levelling off
+ * sooner the fewer wickets are in hand.
+ * @param {Object} match - Match document
+ * @param {number} oversRemaining - Overs left, fractional for part overs
+ * @param {number} wicketsLost - Wickets down
+ * @returns {number} - Percentage of a full innings' resources
+ */
+const getResourcePercentage = (match, oversRemaining, wicketsLost) => {
+  const maxWickets = match.getMaxWickets();
+  const wicketsInHand = Math.max(maxWickets - wicketsLost, 0) / maxWickets;
+
+  if (oversRemaining <= 0 || wicketsInHand === 0) return 0;
+
+  const decay = RESOURCE_DECAY / match.settings.overs;
+  const resources = (overs, wickets) => wickets * (1 - Math.exp(-decay * overs / wickets));
+
+  return (resources(oversRemaining, wicketsInHand) / resources(match.settings.overs, 1)) * 100;
+};
+
+/**
+ * Get the resources an innings has to use after every cut to its overs. Each
+ * cut removes the resources between the overs left before and after it, at
+ * the wickets down when it was made.
+ * @param {Object} match - Match document
+ * @param {string} key - 'first' or 'second'
+ * @returns {number} - Percentage of a full innings' resources
+ */
+const getResourcesAvailable = (match, key) => {
+  return (match.oversReductions || [])
+    .filter(reduction => reduction.innings === key)
+    .reduce((available, reduction) => {
+      const oversBowled = reduction.balls / match.getBallsPerOver();
+      const lost =
+        getResourcePercentage(match, reduction.fromOvers - oversBowled, reduction.wickets) -
+        getResourcePercentage(match, reduction.toOvers - oversBowled, reduction.wickets);
+
+      return available - lost;
+    }, 100);
+};
+
+/**
+ * Get the share of the first innings score the chasing side is measured
+ * against. The score is only ever scaled down: a chase with at least the
+ * first innings' resources keeps the plain target, since there's no way to
+ * know what the first innings would have made with more.
+ * @param {Object} match - Match document
+ * @param {number} resourcesUsed - Chasing side's resources, as a percentage
+ * @returns {number} - Fraction of the first innings score
+ */
+const getScoreShare = (match, resourcesUsed) => {
+  const firstResources = getResourcesAvailable(match, 'first');
+  const secondResources = getResourcesAvailable(match, 'second');
+
+  return resourcesUsed / Math.max(firstResources, secondResources);
+};
+
+/**
+ * Scale the first innings score by the resources each side had, giving the
+ * score the chasing side needs to tie
+ * @param {Object} match - Match document
+ * @returns {number} - Unrounded par score for the whole second innings
+ */
+const getFinalParScore = (match) => {
+  const share = getScoreShare(match, getResourcesAvailable(match, 'second'));
+
+  return match.innings.first.totalRuns * share;
+};
+
+/**
+ * Get the chase target once overs have been cut
+ * @param {Object} match - Match document
+ * @returns {number}
+ */
+const getRevisedTarget = (match) => {
+  return Math.floor(getFinalParScore(match)) + 1;
+};
+
+/**
+ * Get the score the chasing side should have by now to be level, given the
+ * resources they have already used
+ * @param {Object} match - Match document
+ * @returns {number|null} - Par score, or null outside a standard second innings
+ */
+const getParScore = (match) => {
+  const second = match.innings.second;
+  if (match.currentInnings !== 'second' || match.currentSuperOver || !second) return null;
+
+  // Pairs bat out their overs whatever the wickets, so resources don't apply
+  if (match.isPairsFormat()) return null;
+
+  const oversAllotted = second.maxOvers || match.settings.overs;
+  const oversRemaining = oversAllotted - (second.totalBalls / match.getBallsPerOver());
+  const resourcesLeft = getResourcePercentage(match, oversRemaining, second.totalWickets);
+  const resourcesUsed = getResourcesAvailable(match, 'second') - resourcesLeft;
+
+  return Math.floor(match.innings.first.totalRuns * getScoreShare(match, resourcesUsed));
+};
+
+module.exports = {
+  getResourcePercentage,
+  getResourcesAvailable,
+  getRevisedTarget,
+  getParScore
+};
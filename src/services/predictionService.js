@@ -0,0 +1,309 @@
+const Match = require('../models/Match');
+const {
+  MATCH_STATUS,
+  MATCH_FORMATS
+} = require('../config/constants');
+
+// Starting point for the chase model, and what it stays close to until there
+// are enough past matches to say otherwise: level at about 8 an over with all
+// wickets in hand, dropping away as the asking rate climbs or wickets fall.
+const PRIOR_WEIGHTS = {
+  intercept: 1.5,
+  requiredRate: -2,
+  wicketsInHand: 1.5
+};
+// How hard the fit is pulled back towards the prior, in samples' worth
+const PRIOR_STRENGTH = 50;
+const LEARNING_RATE = 0.5;
+const FIT_ITERATIONS = 300;
+// Iterations of a fit between event loop yields
+const FIT_ITERATIONS_PER_YIELD = 10;
+const MAX_TRAINING_MATCHES = 200;
+// Asking rates above this are all but lost, however far above
+const MAX_REQUIRED_RATE = 6;
+const MODEL_REFRESH_MS = 60 * 60 * 1000;
+// Run rates above the current one to project the first innings at
+const PROJECTION_STEPS = [0, 1, 2];
+
+// Fitted models by match settings, refitted in the background
+const modelCache = new Map();
+// Settings of every model asked for, and fits under way, by the same key
+const modelSettings = new Map();
+const pendingFits = new Map();
+
+const sigmoid = (value) => 1 / (1 + Math.exp(-value));
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Describe a chase at one point for the model
+ * @param {Object} state - { runsNeeded, ballsLeft, wicketsInHand, maxWickets, isPairs }
+ * @returns {Object} - { requiredRate, wicketsInHand } features
+ */
+const toFeatures = ({ runsNeeded, ballsLeft, wicketsInHand, maxWickets, isPairs }) => ({
+  requiredRate: Math.min(runsNeeded / ballsLeft, MAX_REQUIRED_RATE),
+  // Wickets cost runs rather than end the innings in the pairs format
+  wicketsInHand: isPairs ? 1 : wicketsInHand / maxWickets
+});
+
+/**
+ * Chance the chasing side wins from a chase state, by the model
+ * @param {Object} weights - Model weights
+ * @param {Object} features - From toFeatures
+ * @returns {number} - 0 to 1
+ */
+const predict = (weights, features) => sigmoid(
+  weights.intercept +
+  weights.requiredRate * features.requiredRate +
+  weights.wicketsInHand * features.wicketsInHand
+);
+
+/**
+ * Get the chase states after every ball of a match's second innings, with
+ * whether the chasing side went on to win
+ * @param {Object} match - Completed match document
+ * @returns {Array} - [{ features, won }]
+ */
+const getChaseSamples = (match) => {
+  const { first, second } = match.innings;
+  const ballsPerOver = match.getBallsPerOver();
+  const isPairs = match.isPairsFormat();
+  const target = second.target || first.totalRuns + 1;
+  const totalBalls = (second.maxOvers || match.settings.overs) * ballsPerOver;
+  const maxWickets = match.getMaxWickets();
+  const won = match.result.winner === second.battingTeam ? 1 : 0;
+
+  const samples = [];
+  let runs = 0;
+  let wickets = 0;
+  let balls = 0;
+
+  [null, ...second.balls].forEach(ball => {
+    if (ball) {
+      runs += ball.runs.totalRuns;
+      if (ball.isWicket) {
+        wickets += 1;
+        if (isPairs) runs -= match.settings.dismissalPenalty;
+      }
+      if (ball.isLegalDelivery) balls += 1;
+    }
+
+    const state = {
+      runsNeeded: target - runs,
+      ballsLeft: totalBalls - balls,
+      wicketsInHand: maxWickets - wickets,
+      maxWickets,
+      isPairs
+    };
+
+    // Only points where the chase was still open tell the model anything
+    if (state.runsNeeded > 0 && state.ballsLeft > 0 && (isPairs || state.wicketsInHand > 0)) {
+      samples.push({ features: toFeatures(state), won });
+    }
+  });
+
+  return samples;
+};
+
+/**
+ * Fit the chase model by logistic regression, regularised towards the prior,
+ * yielding to the event loop as it goes so requests aren't held up
+ * @param {Array} samples - From getChaseSamples
+ * @returns {Promise<Object>} - Model weights
+ */
+const fitModel = async (samples) => {
+  const weights = { ...PRIOR_WEIGHTS };
+  if (!samples.length) return weights;
+
+  for (let i = 0; i < FIT_ITERATIONS; i++) {
+    if (i % FIT_ITERATIONS_PER_YIELD === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const gradient = { intercept: 0, requiredRate: 0, wicketsInHand: 0 };
+
+    samples.forEach(({ features, won }) => {
+      const error = predict(weights, features) - won;
+      gradient.intercept += error;
+      gradient.requiredRate += error * features.requiredRate;
+      gradient.wicketsInHand += error * features.wicketsInHand;
+    });
+
+    Object.keys(weights).forEach(key => {
+      const pull = PRIOR_STRENGTH * (weights[key] - PRIOR_WEIGHTS[key]);
+      weights[key] -= LEARNING_RATE * (gradient[key] + pull) / (samples.length + PRIOR_STRENGTH);
+    });
+  }
+
+  return weights;
+};
+
+/**
+ * Fit the chase model for one set of match settings from past completed
+ * matches, keeping the model already fitted if this fit fails
+ * @param {string} key - Model key
+ * @returns {Promise} - Settles once the fit is done
+ */
+const fitChaseModel = (key) => {
+  if (pendingFits.has(key)) return pendingFits.get(key);
+
+  const { overs, playersPerTeam, isPairs } = modelSettings.get(key);
+
+  const fit = (async () => {
+    const history = await Match.find({
+      status: MATCH_STATUS.COMPLETED,
+      'settings.overs': overs,
+      'settings.playersPerTeam': playersPerTeam,
+      'settings.format': isPairs ? MATCH_FORMATS.PAIRS : { $ne: MATCH_FORMATS.PAIRS },
+      'result.winner': { $ne: null }
+    })
+      .sort({ endTime: -1 })
+      .limit(MAX_TRAINING_MATCHES)
+      .select('settings innings.first.totalRuns innings.second result.winner result.decidedBy');
+
+    // Ties settled by a super over or boundary count aren't won or lost in the chase
+    const chases = history.filter(past =>
+      past.innings.second?.balls?.length && !past.result.decidedBy
+    );
+
+    modelCache.set(key, {
+      weights: await fitModel(chases.flatMap(getChaseSamples)),
+      matches: chases.length
+    });
+  })()
+    .catch(error => console.warn(`Chase model fit failed for ${key}: ${error.message}`))
+    .finally(() => pendingFits.delete(key));
+
+  pendingFits.set(key, fit);
+  return fit;
+};
+
+/**
+ * Refit every chase model asked for so far, one at a time
+ * @returns {Promise}
+ */
+const refreshChaseModels = async () => {
+  for (const key of modelSettings.keys()) {
+    await fitChaseModel(key);
+  }
+};
+
+/**
+ * Keep the chase models fresh on a timer, for the life of the server
+ */
+const startModelRefresh = () => {
+  setInterval(refreshChaseModels, MODEL_REFRESH_MS).unref();
+};
+
+/**
+ * Get the chase model for matches played with the same overs, players per
+ * team and format. Only the fitted model is read here: the first time some
+ * settings are asked for, their fit is started in the background and the
+ * prior stands in until it's done.
+ * @param {Object} match - Match document
+ * @returns {Object} - { weights, matches } fitted on that many matches
+ */
+const getChaseModel = (match) => {
+  const { overs, playersPerTeam } = match.settings;
+  const isPairs = match.isPairsFormat();
+  const key = `${isPairs ? MATCH_FORMATS.PAIRS : MATCH_FORMATS.STANDARD}:${overs}:${playersPerTeam}`;
+
+  if (!modelSettings.has(key)) {
+    modelSettings.set(key, { overs, playersPerTeam, isPairs });
+    fitChaseModel(key);
+  }
+
+  return modelCache.get(key) || { weights: PRIOR_WEIGHTS, matches: 0 };
+};
+
+/**
+ * Project the first innings total at the current run rate and at one and
+ * two runs an over faster
+ * @param {Object} match - Match document
+ * @param {Object} innings - First innings subdocument
+ * @returns {Array|null} - [{ runRate, projectedScore }], null before the first ball
+ */
+const getProjectedScores = (match, innings) => {
+  if (!innings.totalBalls) return null;
+
+  const ballsPerOver = match.getBallsPerOver();
+  const oversBowled = innings.totalBalls / ballsPerOver;
+  const oversRemaining = Math.max((innings.maxOvers || match.settings.overs) - oversBowled, 0);
+  const runRate = innings.totalRuns / oversBowled;
+
+  return PROJECTION_STEPS.map(step => ({
+    runRate: round(runRate + step),
+    projectedScore: Math.round(innings.totalRuns + (runRate + step) * oversRemaining)
+  }));
+};
+
+/**
+ * Estimate the chasing side's chance of winning from where the chase stands
+ * @param {Object} match - Match document
+ * @param {Object} innings - Second innings subdocument
+ * @returns {Object} - { chasingTeam, chasing, defending, matchesFitted } percentages
+ */
+const getWinProbability = (match, innings) => {
+  const isPairs = match.isPairsFormat();
+  const target = innings.target || match.innings.first.totalRuns + 1;
+  const maxWickets = match.getMaxWickets();
+  const state = {
+    runsNeeded: target - innings.totalRuns,
+    ballsLeft: (innings.maxOvers || match.settings.overs) * match.getBallsPerOver() - innings.totalBalls,
+    wicketsInHand: maxWickets - innings.totalWickets,
+    maxWickets,
+    isPairs
+  };
+
+  const model = getChaseModel(match);
+
+  let chance;
+  if (state.runsNeeded <= 0) {
+    chance = 1;
+  } else if (state.ballsLeft <= 0 || (!isPairs && state.wicketsInHand <= 0)) {
+    chance = 0;
+  } else {
+    chance = predict(model.weights, toFeatures(state));
+  }
+
+  return {
+    chasingTeam: innings.battingTeam,
+    chasing: round(chance * 100),
+    defending: round((1 - chance) * 100),
+    matchesFitted: model.matches
+  };
+};
+
+/**
+ * Get the live prediction for the innings being played: projected totals
+ * in the first innings, the chasing side's chance of winning in the second.
+ * Callers send this after the match is saved, so a failure leaves the
+ * prediction out rather than failing the request.
+ * @param {Object} match - Match document
+ * @returns {Promise<Object|null>} - { projectedScores, winProbability }, null when no innings is live
+ *                                   or the prediction couldn't be made
+ */
+const getPrediction = async (match) => {
+  if (match.status !== MATCH_STATUS.IN_PROGRESS || match.currentSuperOver) return null;
+
+  const { first, second } = match.innings;
+
+  try {
+    if (match.currentInnings === 'first') {
+      return { projectedScores: getProjectedScores(match, first), winProbability: null };
+    }
+
+    return { projectedScores: null, winProbability: getWinProbability(match, second) };
+  } catch (error) {
+    console.warn(`Prediction unavailable for match ${match._id}: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  refreshChaseModels,
+  startModelRefresh,
+  getProjectedScores,
+  getWinProbability,
+  getPrediction
+};
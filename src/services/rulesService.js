@@ -0,0 +1,258 @@
+const { BALL_OUTCOMES, DISMISSAL_TYPES, GROUND_RULE_EXTRAS } = require('../config/constants');
+
+// Dismissals credited to the bowler's wicket tally
+const BOWLER_DISMISSALS = [
+  DISMISSAL_TYPES.BOWLED,
+  DISMISSAL_TYPES.CAUGHT,
+  DISMISSAL_TYPES.CAUGHT_AND_BOWLED,
+  DISMISSAL_TYPES.STUMPED,
+  DISMISSAL_TYPES.LBW,
+  DISMISSAL_TYPES.HIT_WICKET
+];
+
+// Dismissals that must name the fielder involved
+const FIELDER_DISMISSALS = [
+  DISMISSAL_TYPES.CAUGHT,
+  DISMISSAL_TYPES.RUN_OUT,
+  DISMISSAL_TYPES.STUMPED
+];
+
+// Dismissals that happen between deliveries rather than off one
+const NON_DELIVERY_DISMISSALS = [
+  DISMISSAL_TYPES.RETIRED_HURT,
+  DISMISSAL_TYPES.RETIRED_OUT,
+  DISMISSAL_TYPES.TIMED_OUT
+];
+
+// Ways a batsman can leave the crease between deliveries through the retire action
+const RETIREMENT_TYPES = [
+  DISMISSAL_TYPES.RETIRED_HURT,
+  DISMISSAL_TYPES.RETIRED_OUT
+];
+
+// The only ways a batsman can be out off a free hit
+const FREE_HIT_DISMISSALS = [
+  DISMISSAL_TYPES.RUN_OUT,
+  DISMISSAL_TYPES.OBSTRUCTING_FIELD,
+  DISMISSAL_TYPES.HANDLED_BALL
+];
+
+// Dismissals possible while the batsmen are running
+const RUNNING_DISMISSALS = [
+  DISMISSAL_TYPES.RUN_OUT,
+  DISMISSAL_TYPES.OBSTRUCTING_FIELD,
+  DISMISSAL_TYPES.HANDLED_BALL
+];
+
+// Ground-rule dismissals only come from a rule that says so
+const DELIVERY_DISMISSALS = Object.values(DISMISSAL_TYPES)
+  .filter(type => !NON_DELIVERY_DISMISSALS.includes(type) && type !== DISMISSAL_TYPES.GROUND_RULE);
+
+// Dismissals allowed for each delivery outcome
+const OUTCOME_DISMISSALS = {
+  [BALL_OUTCOMES.DOT]: DELIVERY_DISMISSALS,
+  [BALL_OUTCOMES.WICKET]: DELIVERY_DISMISSALS,
+  [BALL_OUTCOMES.ONE]: RUNNING_DISMISSALS,
+  [BALL_OUTCOMES.TWO]: RUNNING_DISMISSALS,
+  [BALL_OUTCOMES.THREE]: RUNNING_DISMISSALS,
+  [BALL_OUTCOMES.FOUR]: RUNNING_DISMISSALS,
+  [BALL_OUTCOMES.SIX]: [],
+  [BALL_OUTCOMES.WIDE]: [
+    DISMISSAL_TYPES.STUMPED,
+    DISMISSAL_TYPES.HIT_WICKET,
+    ...RUNNING_DISMISSALS
+  ],
+  [BALL_OUTCOMES.NO_BALL]: [
+    DISMISSAL_TYPES.RUN_OUT,
+    DISMISSAL_TYPES.OBSTRUCTING_FIELD
+  ],
+  [BALL_OUTCOMES.BYE]: [
+    DISMISSAL_TYPES.STUMPED,
+    DISMISSAL_TYPES.HIT_WICKET,
+    ...RUNNING_DISMISSALS
+  ],
+  [BALL_OUTCOMES.LEG_BYE]: [
+    DISMISSAL_TYPES.STUMPED,
+    DISMISSAL_TYPES.HIT_WICKET,
+    ...RUNNING_DISMISSALS
+  ],
+  [BALL_OUTCOMES.GROUND_RULE]: [
+    ...DELIVERY_DISMISSALS,
+    DISMISSAL_TYPES.GROUND_RULE
+  ]
+};
+
+// The delivery outcome a ground rule is recorded as, by what it scores its runs as
+const GROUND_RULE_OUTCOMES = {
+  [GROUND_RULE_EXTRAS.NONE]: BALL_OUTCOMES.GROUND_RULE,
+  [GROUND_RULE_EXTRAS.WIDE]: BALL_OUTCOMES.WIDE,
+  [GROUND_RULE_EXTRAS.NO_BALL]: BALL_OUTCOMES.NO_BALL,
+  [GROUND_RULE_EXTRAS.BYE]: BALL_OUTCOMES.BYE,
+  [GROUND_RULE_EXTRAS.LEG_BYE]: BALL_OUTCOMES.LEG_BYE
+};
+
+/**
+ * Get how many overs each bowler may bowl in an innings
+ * @param {Object} settings - Room or match settings
+ * @returns {number}
+ */
+const getMaxOversPerBowler = (settings) => {
+  return settings.maxOversPerBowler || Math.ceil(settings.overs / 5);
+};
+
+/**
+ * Check the pairs format settings schedule every pair a full spell
+ * @param {Object} settings - Room or match settings
+ * @returns {string|null} - Why the schedule doesn't work, if it doesn't
+ */
+const getPairsScheduleViolation = (settings) => {
+  const { overs, oversPerPair, playersPerTeam } = settings;
+
+  if (overs % oversPerPair !== 0) {
+    return `${overs} overs can't be split into ${oversPerPair}-over spells for each pair`;
+  }
+
+  const pairs = overs / oversPerPair;
+  if (pairs * 2 > playersPerTeam) {
+    return `${pairs} batting pairs need at least ${pairs * 2} players per team`;
+  }
+
+  return null;
+};
+
+/**
+ * Check if a dismissal counts towards the bowler's wickets
+ * @param {string} dismissalType - Dismissal type
+ * @returns {boolean}
+ */
+const isBowlerWicket = (dismissalType) => {
+  return BOWLER_DISMISSALS.includes(dismissalType);
+};
+
+/**
+ * Check if a retirement costs the batting side a wicket. A batsman who
+ * retires hurt isn't out and may resume their innings.
+ * @param {string} retirementType - Retirement type
+ * @returns {boolean}
+ */
+const isRetirementWicket = (retirementType) => {
+  return retirementType === DISMISSAL_TYPES.RETIRED_OUT;
+};
+
+/**
+ * Check if a dismissal must name a fielder
+ * @param {string} dismissalType - Dismissal type
+ * @returns {boolean}
+ */
+const requiresFielder = (dismissalType) => {
+  return FIELDER_DISMISSALS.includes(dismissalType);
+};
+
+/**
+ * Check a delivery's dismissal against its outcome and free-hit status
+ * @param {Object} ball - Ball record
+ * @returns {string|null} - Why the delivery can't stand, if it can't
+ */
+const getDeliveryViolation = (ball) => {
+  if (!ball.isWicket) return null;
+
+  const dismissalType = ball.wicket?.dismissalType;
+
+  if (!dismissalType) {
+    return 'Dismissal type is required for a wicket';
+  }
+
+  if (RETIREMENT_TYPES.includes(dismissalType)) {
+    return 'Use the retire action to retire a batsman between deliveries';
+  }
+
+  if (NON_DELIVERY_DISMISSALS.includes(dismissalType)) {
+    return `A batsman can't be ${dismissalType} off a delivery`;
+  }
+
+  const allowed = OUTCOME_DISMISSALS[ball.outcome] || DELIVERY_DISMISSALS;
+  if (!allowed.includes(dismissalType)) {
+    return allowed.length
+      ? `Only ${allowed.join(', ')} dismissals are allowed off a ${ball.outcome} delivery`
+      : `A batsman can't be out off a ${ball.outcome} delivery`;
+  }
+
+  if (ball.isFreeHit && !FREE_HIT_DISMISSALS.includes(dismissalType)) {
+    return `Only ${FREE_HIT_DISMISSALS.join(', ')} dismissals are allowed on a free hit`;
+  }
+
+  return null;
+};
+
+/**
+ * Get the delivery outcome a ground rule is recorded as
+ * @param {Object} rule - Ground rule
+ * @returns {string}
+ */
+const getGroundRuleOutcome = (rule) => {
+  return GROUND_RULE_OUTCOMES[rule.extra || GROUND_RULE_EXTRAS.NONE];
+};
+
+/**
+ * Check a ground rule describes a delivery that can be scored
+ * @param {Object} rule - Ground rule
+ * @returns {string|null} - Why the rule can't be used, if it can't
+ */
+const getGroundRuleViolation = (rule) => {
+  const outcome = getGroundRuleOutcome(rule);
+
+  if ([BALL_OUTCOMES.WIDE, BALL_OUTCOMES.NO_BALL].includes(outcome) && rule.isLegalDelivery) {
+    return `${rule.name}: a ${outcome} can't be a legal delivery`;
+  }
+
+  if (rule.runsCompleted > rule.runs) {
+    return `${rule.name}: runs completed cannot exceed the runs awarded`;
+  }
+
+  if (!rule.isWicket) {
+    return rule.dismissalType ? `${rule.name}: only a wicket rule takes a dismissal type` : null;
+  }
+
+  const violation = getDeliveryViolation({
+    outcome,
+    isWicket: true,
+    wicket: { dismissalType: rule.dismissalType || DISMISSAL_TYPES.GROUND_RULE }
+  });
+
+  return violation ? `${rule.name}: ${violation}` : null;
+};
+
+/**
+ * Check a wicket being recorded names everyone the dismissal needs
+ * @param {Object} ball - Ball record
+ * @returns {string|null} - What's missing, if anything
+ */
+const getMissingWicketDetail = (ball) => {
+  if (!ball.isWicket) return null;
+
+  const { dismissalType, fielder } = ball.wicket || {};
+  const hasFielder = Boolean(fielder && (fielder.user || fielder.guestId || fielder.guestName));
+
+  if (requiresFielder(dismissalType) && !hasFielder) {
+    return `A fielder is required for ${dismissalType}`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  BOWLER_DISMISSALS,
+  FIELDER_DISMISSALS,
+  FREE_HIT_DISMISSALS,
+  OUTCOME_DISMISSALS,
+  RETIREMENT_TYPES,
+  getMaxOversPerBowler,
+  getPairsScheduleViolation,
+  getGroundRuleOutcome,
+  getGroundRuleViolation,
+  isBowlerWicket,
+  isRetirementWicket,
+  requiresFielder,
+  getDeliveryViolation,
+  getMissingWicketDetail
+};
@@ -0,0 +1,2012 @@
+const {
+  MATCH_STATUS,
+  INNINGS_STATUS,
+  TOSS_DECISIONS,
+  BALL_OUTCOMES,
+  DISMISSAL_TYPES,
+  CREASE_ENDS,
+  SUPER_OVER_MODES,
+  DEFAULTS
+} = require('../config/constants');
+const {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  ERROR_CODES,
+  ERROR_MESSAGES
+} = require('../utils/errors');
+const rulesService = require('./rulesService');
+const parScoreService = require('./parScoreService');
+
+/**
+ * Get a comparable ID from a player user reference (populated or not)
+ * @param {Object|string} user - User ObjectId or populated user
+ * @returns {string|null}
+ */
+const getUserId = (user) => {
+  if (!user) return null;
+  return (user._id || user).toString();
+};
+
+/**
+ * Check if a player reference points at an actual player
+ * @param {Object} player - Player reference ({ user } or guest fields)
+ * @returns {boolean}
+ */
+const hasPlayer = (player) => {
+  return Boolean(player && (player.user || player.guestId || player.guestName));
+};
+
+/**
+ * Check if two player references point at the same player
+ * @param {Object} a - Player reference
+ * @param {Object} b - Player reference
+ * @returns {boolean}
+ */
+const isSamePlayer = (a, b) => {
+  if (!hasPlayer(a) || !hasPlayer(b)) return false;
+
+  if (a.user || b.user) {
+    return getUserId(a.user) === getUserId(b.user);
+  }
+
+  if (a.guestId && b.guestId) {
+    return a.guestId === b.guestId;
+  }
+
+  return Boolean(a.guestName) && a.guestName === b.guestName;
+};
+
+/**
+ * Find a player in a match team by user ID or guest ID
+ * @param {Object} team - Match team (teamA/teamB)
+ * @param {Object} ids - { userId, guestId }
+ * @returns {Object|null} - Player reference suitable for ball/innings records
+ */
+const findTeamPlayer = (team, { userId, guestId }) => {
+  let player;
+
+  if (userId) {
+    player = team.players.find(p => getUserId(p.user) === userId.toString());
+  } else if (guestId) {
+    player = team.players.find(p => p.guestId === guestId);
+  }
+
+  if (!player) return null;
+
+  return {
+    user: player.user,
+    isGuest: !player.user,
+    guestName: player.guestName,
+    guestId: player.guestId
+  };
+};
+
+/**
+ * Find a player's performance entry, creating it if missing
+ * @param {Object} match - Match document
+ * @param {Object} player - Player reference
+ * @param {string} team - 'teamA' or 'teamB'
+ * @returns {Object|null} - Performance subdocument
+ */
+const findPerformance = (match, player, team) => {
+  if (!hasPlayer(player)) return null;
+
+  const existing = match.playerPerformances.find(
+    p => p.team === team && isSamePlayer(p.player, player)
+  );
+
+  if (existing) return existing;
+
+  match.playerPerformances.push({
+    player: {
+      user: player.user,
+      isGuest: !player.user,
+      guestName: player.guestName,
+      guestId: player.guestId
+    },
+    team
+  });
+
+  return match.playerPerformances[match.playerPerformances.length - 1];
+};
+
+/**
+ * Format a ball count as cricket overs (e.g. 15 balls -> 2.3, or 3.0 with 5-ball overs)
+ * @param {number} balls - Legal balls bowled
+ * @param {number} ballsPerOver - Legal balls in an over
+ * @returns {number}
+ */
+const ballsToOvers = (balls, ballsPerOver = DEFAULTS.BALLS_PER_OVER) => {
+  return parseFloat(`${Math.floor(balls / ballsPerOver)}.${balls % ballsPerOver}`);
+};
+
+/**
+ * Check if a ball itemises its runs (balls recorded before runs were
+ * itemised only carry batsman, extra and total runs)
+ * @param {Object} ball - Ball record
+ * @returns {boolean}
+ */
+const isItemised = (ball) => {
+  return ball.runs.completed !== undefined && ball.runs.completed !== null;
+};
+
+/**
+ * Split a ball's extras by type
+ * @param {Object} ball - Ball record
+ * @returns {Object} - { wides, noBalls, byes, legByes, penalty }
+ */
+const getExtras = (ball) => {
+  const { runs } = ball;
+
+  if (isItemised(ball)) {
+    return {
+      wides: runs.wides || 0,
+      noBalls: runs.noBalls || 0,
+      byes: runs.byes || 0,
+      legByes: runs.legByes || 0,
+      penalty: runs.penalty || 0
+    };
+  }
+
+  // Un-itemised extras all belong to the delivery's outcome
+  const extras = { wides: 0, noBalls: 0, byes: 0, legByes: 0, penalty: 0 };
+  const extraType = {
+    [BALL_OUTCOMES.WIDE]: 'wides',
+    [BALL_OUTCOMES.NO_BALL]: 'noBalls',
+    [BALL_OUTCOMES.BYE]: 'byes',
+    [BALL_OUTCOMES.LEG_BYE]: 'legByes'
+  }[ball.outcome];
+
+  if (extraType) extras[extraType] = runs.extraRuns;
+  return extras;
+};
+
+/**
+ * Get the runs the batsmen physically completed, which decides the strike
+ * @param {Object} ball - Ball record
+ * @returns {number}
+ */
+const getRunsCompleted = (ball) => {
+  if (isItemised(ball)) return ball.runs.completed;
+  return ball.isLegalDelivery ? ball.runs.batsmanRuns : 0;
+};
+
+/**
+ * Get the boundary the striker hit off the bat (4, 6 or 0)
+ * @param {Object} ball - Ball record
+ * @returns {number}
+ */
+const getBoundaryHit = (ball) => {
+  const { batsmanRuns } = ball.runs;
+  if (isItemised(ball) && !ball.isBoundary) return 0;
+  return [4, 6].includes(batsmanRuns) ? batsmanRuns : 0;
+};
+
+/**
+ * Give a batter the next batting position if they don't have one yet
+ * @param {Object} match - Match document
+ * @param {Object} performance - Batter performance subdocument
+ */
+const assignBattingPosition = (match, performance) => {
+  if (!performance || performance.batting.battingPosition) return;
+
+  const lastPosition = match.playerPerformances
+    .filter(p => p.team === performance.team)
+    .reduce((max, p) => Math.max(max, p.batting.battingPosition || 0), 0);
+
+  performance.batting.battingPosition = lastPosition + 1;
+};
+
+/**
+ * Update striker, bowler and fielder figures for a delivery
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings the ball belongs to
+ * @param {Object} ball - Ball record
+ */
+const updatePlayerPerformances = (match, innings, ball) => {
+  // Super overs only settle a tie; they don't count towards player figures
+  if (innings.isSuperOver) return;
+
+  const { battingTeam, bowlingTeam } = innings;
+
+  const striker = findPerformance(match, ball.batsman, battingTeam);
+  const nonStriker = findPerformance(match, ball.nonStriker, battingTeam);
+  const bowler = findPerformance(match, ball.bowler, bowlingTeam);
+
+  assignBattingPosition(match, striker);
+  assignBattingPosition(match, nonStriker);
+
+  // Batting
+  if (striker) {
+    const batting = striker.batting;
+    batting.runs += ball.runs.batsmanRuns;
+
+    // Wides and dead balls called under a ground rule are not counted as balls faced
+    if (ball.isLegalDelivery || ball.outcome === BALL_OUTCOMES.NO_BALL) {
+      batting.ballsFaced += 1;
+    }
+
+    const boundary = getBoundaryHit(ball);
+    if (boundary === 4) batting.fours += 1;
+    if (boundary === 6) batting.sixes += 1;
+
+    batting.strikeRate = batting.ballsFaced > 0
+      ? parseFloat(((batting.runs / batting.ballsFaced) * 100).toFixed(2))
+      : 0;
+  }
+
+  // Bowling
+  if (bowler) {
+    const bowling = bowler.bowling;
+    const extras = getExtras(ball);
+
+    // Byes, leg byes and penalty runs are not charged to the bowler
+    bowling.runs += ball.runs.batsmanRuns + extras.wides + extras.noBalls;
+
+    if (ball.outcome === BALL_OUTCOMES.WIDE) bowling.wides += 1;
+    if (ball.outcome === BALL_OUTCOMES.NO_BALL) bowling.noBalls += 1;
+
+    if (ball.isLegalDelivery) {
+      bowling.balls += 1;
+      bowling.overs = ballsToOvers(bowling.balls, match.getBallsPerOver());
+    }
+
+    bowling.economyRate = bowling.balls > 0
+      ? parseFloat((bowling.runs / (bowling.balls / match.getBallsPerOver())).toFixed(2))
+      : 0;
+  }
+
+  if (!ball.isWicket || !ball.wicket) return;
+
+  // Dismissal
+  const { dismissalType, batsmanOut, fielder } = ball.wicket;
+  const isBowlerWicket = rulesService.isBowlerWicket(dismissalType);
+  const outPerformance = findPerformance(match, batsmanOut, battingTeam);
+
+  if (outPerformance) {
+    outPerformance.batting.isOut = true;
+    outPerformance.batting.dismissalType = dismissalType;
+    if (isBowlerWicket && ball.bowler) {
+      outPerformance.batting.dismissedBy = {
+        user: ball.bowler.user,
+        isGuest: ball.bowler.isGuest,
+        guestName: ball.bowler.guestName
+      };
+    }
+  }
+
+  if (bowler && isBowlerWicket) {
+    bowler.bowling.wickets += 1;
+  }
+
+  // Fielding
+  if (dismissalType === DISMISSAL_TYPES.CAUGHT_AND_BOWLED) {
+    if (bowler) bowler.fielding.catches += 1;
+    return;
+  }
+
+  const fielderPerformance = findPerformance(match, fielder, bowlingTeam);
+  if (!fielderPerformance) return;
+
+  if (dismissalType === DISMISSAL_TYPES.CAUGHT) {
+    fielderPerformance.fielding.catches += 1;
+  } else if (dismissalType === DISMISSAL_TYPES.RUN_OUT) {
+    fielderPerformance.fielding.runOuts += 1;
+  } else if (dismissalType === DISMISSAL_TYPES.STUMPED) {
+    fielderPerformance.fielding.stumpings += 1;
+  }
+};
+
+/**
+ * Update a batsman's figures for retiring or coming back in
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings the retirement belongs to
+ * @param {Object} retirement - Retirement record
+ * @param {boolean} isResumed - Whether the batsman is coming back in
+ */
+const updateRetirementPerformance = (match, innings, retirement, isResumed) => {
+  if (innings.isSuperOver) return;
+
+  const performance = findPerformance(match, retirement.batsman, innings.battingTeam);
+  if (!performance) return;
+
+  assignBattingPosition(match, performance);
+
+  if (isResumed) {
+    performance.batting.dismissalType = undefined;
+    return;
+  }
+
+  performance.batting.dismissalType = retirement.type;
+  performance.batting.isOut = rulesService.isRetirementWicket(retirement.type);
+};
+
+/**
+ * Get the retirements and resumptions that happened once a given number of
+ * balls had been bowled, in the order they were recorded
+ * @param {Object} innings - Innings subdocument
+ * @param {number} position - Balls bowled in the innings
+ * @returns {Array} - [{ retirement, isResumed }]
+ */
+const getRetirementEvents = (innings, position) => {
+  const events = [];
+
+  (innings.retirements || []).forEach(retirement => {
+    if (retirement.afterBalls === position) {
+      events.push({ retirement, isResumed: false });
+    }
+    if (retirement.resumedAfterBalls === position) {
+      events.push({ retirement, isResumed: true });
+    }
+  });
+
+  return events;
+};
+
+/**
+ * Zero every player's batting, bowling and fielding figures
+ * @param {Object} match - Match document
+ */
+const resetPlayerPerformances = (match) => {
+  match.playerPerformances.forEach(performance => {
+    performance.batting = { runs: 0, ballsFaced: 0, fours: 0, sixes: 0, strikeRate: 0, isOut: false };
+    performance.bowling = { overs: 0, balls: 0, runs: 0, wickets: 0, wides: 0, noBalls: 0, economyRate: 0 };
+    performance.fielding = { catches: 0, runOuts: 0, stumpings: 0 };
+  });
+};
+
+/**
+ * Rebuild every player's figures from the recorded ball data
+ * @param {Object} match - Match document
+ */
+const rebuildPlayerPerformances = (match) => {
+  resetPlayerPerformances(match);
+
+  ['first', 'second'].forEach(key => {
+    const innings = match.innings?.[key];
+    if (!innings) return;
+
+    const applyRetirements = (position) => {
+      getRetirementEvents(innings, position).forEach(({ retirement, isResumed }) => {
+        updateRetirementPerformance(match, innings, retirement, isResumed);
+      });
+    };
+
+    applyRetirements(0);
+    innings.balls.forEach((ball, index) => {
+      updatePlayerPerformances(match, innings, ball);
+      applyRetirements(index + 1);
+    });
+  });
+};
+
+/**
+ * Copy a player reference into a plain object for current batsmen/bowler slots
+ * @param {Object} player - Player reference
+ * @returns {Object}
+ */
+const toPlayerRef = (player) => {
+  if (!hasPlayer(player)) return {};
+
+  return {
+    user: player.user,
+    isGuest: player.isGuest,
+    guestName: player.guestName,
+    guestId: player.guestId
+  };
+};
+
+/**
+ * Get the partnership still at the crease
+ * @param {Object} innings - Innings subdocument
+ * @returns {Object|null}
+ */
+const getCurrentPartnership = (innings) => {
+  const partnership = innings?.partnerships?.[innings.partnerships.length - 1];
+  return partnership?.isUnbroken ? partnership : null;
+};
+
+/**
+ * Bring the partnership up to date with a delivery, starting a new one if
+ * the batsmen at the crease have changed
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings the ball belongs to
+ * @param {Object} ball - Ball record
+ */
+const updatePartnership = (match, innings, ball) => {
+  // An empty end matches an empty end, for a batsman batting alone
+  const isSameEnd = (a, b) => isSamePlayer(a, b) || (!hasPlayer(a) && !hasPlayer(b));
+  let partnership = getCurrentPartnership(innings);
+
+  const isSamePair = partnership && (
+    (isSameEnd(partnership.batsman1.player, ball.batsman) && isSameEnd(partnership.batsman2.player, ball.nonStriker)) ||
+    (isSameEnd(partnership.batsman1.player, ball.nonStriker) && isSameEnd(partnership.batsman2.player, ball.batsman))
+  );
+
+  if (!isSamePair) {
+    if (partnership) partnership.isUnbroken = false;
+
+    innings.partnerships.push({
+      wicket: innings.totalWickets + 1,
+      batsman1: { player: toPlayerRef(ball.batsman) },
+      batsman2: { player: toPlayerRef(ball.nonStriker) }
+    });
+    partnership = innings.partnerships[innings.partnerships.length - 1];
+  }
+
+  const striker = isSamePlayer(partnership.batsman1.player, ball.batsman)
+    ? partnership.batsman1
+    : partnership.batsman2;
+
+  partnership.runs += ball.runs.totalRuns;
+  partnership.extras += ball.runs.totalRuns - ball.runs.batsmanRuns;
+  striker.runs += ball.runs.batsmanRuns;
+
+  if (ball.isLegalDelivery) partnership.balls += 1;
+  if (ball.isLegalDelivery || ball.outcome === BALL_OUTCOMES.NO_BALL) striker.balls += 1;
+
+  // In the pairs format a dismissal costs runs but the pair bats on
+  if (ball.isWicket && !isPairsInnings(match, innings)) {
+    partnership.isUnbroken = false;
+  }
+};
+
+/**
+ * Swap the striker and non-striker
+ * @param {Object} innings - Innings subdocument
+ */
+const rotateStrike = (innings) => {
+  const { striker, nonStriker } = innings.currentBatsmen;
+  innings.currentBatsmen = {
+    striker: toPlayerRef(nonStriker),
+    nonStriker: toPlayerRef(striker)
+  };
+};
+
+/**
+ * Put a batsman in at whichever end is empty, the striker's end if both are
+ * @param {Object} innings - Innings subdocument
+ * @param {Object} batsman - Player reference
+ */
+const fillVacantEnd = (innings, batsman) => {
+  const { striker, nonStriker } = innings.currentBatsmen;
+
+  if (hasPlayer(striker) && !hasPlayer(nonStriker)) {
+    innings.currentBatsmen.nonStriker = toPlayerRef(batsman);
+  } else {
+    innings.currentBatsmen.striker = toPlayerRef(batsman);
+  }
+};
+
+/**
+ * List the main innings and every super over as innings pairs
+ * @param {Object} match - Match document
+ * @returns {Array} - [{ pair, superOver }], superOver numbered from 1
+ */
+const getInningsPairs = (match) => {
+  return [
+    { pair: match.innings, superOver: null },
+    ...(match.superOvers || []).map((pair, index) => ({ pair, superOver: index + 1 }))
+  ];
+};
+
+/**
+ * Get the overs and wickets an innings is limited to
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings subdocument
+ * @returns {Object} - { maxOvers, maxWickets }
+ */
+const getInningsLimits = (match, innings) => {
+  if (innings.isSuperOver) {
+    return {
+      maxOvers: DEFAULTS.SUPER_OVER_OVERS,
+      maxWickets: Math.min(DEFAULTS.SUPER_OVER_WICKETS, match.settings.playersPerTeam - 1)
+    };
+  }
+
+  return {
+    maxOvers: innings.maxOvers || match.settings.overs,
+    // Pairs bat out their overs however many times they are dismissed
+    maxWickets: isPairsInnings(match, innings) ? Infinity : match.getMaxWickets()
+  };
+};
+
+/**
+ * Check if an innings is played in the pairs format. Super overs settling a
+ * tie are always played to the standard rules.
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings subdocument
+ * @returns {boolean}
+ */
+const isPairsInnings = (match, innings) => {
+  return match.isPairsFormat() && !innings.isSuperOver;
+};
+
+/**
+ * Get which batting pair an over belongs to in the pairs format
+ * @param {Object} match - Match document
+ * @param {number} overNumber - Over number, from 1
+ * @returns {number} - Pair number, from 1
+ */
+const getPairNumber = (match, overNumber) => {
+  return Math.ceil(overNumber / match.settings.oversPerPair);
+};
+
+/**
+ * Check if a batsman batted for an earlier pair than the one now in,
+ * by a given point in the innings
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings subdocument
+ * @param {Object} player - Player reference
+ * @param {number} [position] - Balls bowled so far; defaults to the whole innings
+ * @returns {boolean}
+ */
+const hasBattedForEarlierPair = (match, innings, player, position = innings.balls.length) => {
+  const pairNumber = getPairNumber(match, innings.currentOver || 1);
+
+  return innings.balls
+    .slice(0, position)
+    .some(ball =>
+      getPairNumber(match, ball.overNumber) < pairNumber &&
+      (isSamePlayer(ball.batsman, player) || isSamePlayer(ball.nonStriker, player))
+    );
+};
+
+/**
+ * Find the same side's innings in the super over before this one
+ * @param {Object} match - Match document
+ * @param {Object} innings - Super over innings
+ * @returns {Object|null} - Innings subdocument
+ */
+const getPreviousSuperOverInnings = (match, innings) => {
+  if (!innings.isSuperOver) return null;
+
+  const superOvers = match.superOvers || [];
+  const index = superOvers.findIndex(pair => pair.first === innings || pair.second === innings);
+  if (index < 1) return null;
+
+  const previous = superOvers[index - 1];
+  return [previous.first, previous.second].find(i => i.battingTeam === innings.battingTeam) || null;
+};
+
+/**
+ * Check if a batsman was out by a given point in the innings, off a
+ * delivery or by retiring out
+ * @param {Object} innings - Innings subdocument
+ * @param {Object} player - Player reference
+ * @param {number} [position] - Balls bowled so far; defaults to the whole innings
+ * @returns {boolean}
+ */
+const isDismissed = (innings, player, position = innings.balls.length) => {
+  const isOutOffBall = innings.balls
+    .slice(0, position)
+    .some(ball => ball.isWicket && isSamePlayer(ball.wicket?.batsmanOut, player));
+
+  const isRetiredOut = (innings.retirements || []).some(retirement =>
+    retirement.afterBalls <= position &&
+    rulesService.isRetirementWicket(retirement.type) &&
+    isSamePlayer(retirement.batsman, player)
+  );
+
+  return isOutOffBall || isRetiredOut;
+};
+
+/**
+ * Get why a batsman can no longer bat at a given point in the innings:
+ * being out, or in the pairs format having batted for an earlier pair
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings subdocument
+ * @param {Object} player - Player reference
+ * @param {number} [position] - Balls bowled so far; defaults to the whole innings
+ * @returns {string|null}
+ */
+const getBattingBar = (match, innings, player, position = innings.balls.length) => {
+  const name = player.guestName || 'Batsman';
+
+  if (isPairsInnings(match, innings)) {
+    return hasBattedForEarlierPair(match, innings, player, position)
+      ? `${name} has already batted for an earlier pair`
+      : null;
+  }
+
+  return isDismissed(innings, player, position) ? `${name} is already out` : null;
+};
+
+/**
+ * Check a batsman may go in: not already out this innings (or, in the pairs
+ * format, not already through their pair's overs), and not
+ * dismissed in the previous super over
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings subdocument
+ * @param {Object} batsman - Player reference
+ */
+const checkBatsmanEligibility = (match, innings, batsman) => {
+  const name = batsman.guestName || 'Batsman';
+
+  const reason = getBattingBar(match, innings, batsman);
+  if (reason) {
+    throw new ValidationError(reason);
+  }
+
+  const previous = getPreviousSuperOverInnings(match, innings);
+  if (previous && isDismissed(previous, batsman)) {
+    throw new ValidationError(`${name} was dismissed in the previous super over and can't bat in this one`);
+  }
+};
+
+/**
+ * Check if the batting side is down to its last batsman, who bats alone
+ * under last man stands
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings subdocument
+ * @returns {boolean}
+ */
+const isLastManStanding = (match, innings) => {
+  return Boolean(match.settings.lastManStands) && !innings.isSuperOver &&
+    innings.totalWickets === match.getMaxWickets() - 1;
+};
+
+/**
+ * Leave the last batsman alone at the striker's end once their partner is out
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings subdocument
+ */
+const settleLastManStanding = (match, innings) => {
+  if (!isLastManStanding(match, innings)) return;
+
+  const { striker, nonStriker } = innings.currentBatsmen;
+  const survivor = hasPlayer(striker) ? striker : nonStriker;
+
+  innings.currentBatsmen = { striker: toPlayerRef(survivor), nonStriker: {} };
+};
+
+/**
+ * Get the overs each bowler has bowled in (including one in progress)
+ * @param {Object} innings - Innings subdocument
+ * @param {Object} bowler - Player reference
+ * @returns {Set<number>} - Over numbers
+ */
+const getOversBowledBy = (innings, bowler) => {
+  return new Set(
+    innings.balls
+      .filter(ball => isSamePlayer(ball.bowler, bowler))
+      .map(ball => ball.overNumber)
+  );
+};
+
+/**
+ * Get each bowling side player's overs bowled and remaining quota
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings subdocument
+ * @returns {Array} - [{ bowler, oversBowled, oversRemaining }]
+ */
+const getBowlerQuotas = (match, innings) => {
+  const maxOvers = rulesService.getMaxOversPerBowler(match.settings);
+
+  return match[innings.bowlingTeam].players.map(player => {
+    const oversBowled = getOversBowledBy(innings, player).size;
+    return {
+      bowler: toPlayerRef(player),
+      oversBowled,
+      oversRemaining: Math.max(maxOvers - oversBowled, 0)
+    };
+  });
+};
+
+/**
+ * Find why a bowler can't bowl the current over, if they can't: they bowled
+ * the previous over, or they've used up their quota
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings subdocument
+ * @param {Object} bowler - Player reference
+ * @param {number} position - Only balls before this index count
+ * @returns {string|null}
+ */
+const getBowlingBar = (match, innings, bowler, position = innings.balls.length) => {
+  const name = bowler.guestName || 'This bowler';
+  const currentOver = innings.currentOver;
+  const balls = innings.balls.slice(0, position);
+
+  const previousOverBalls = balls.filter(ball => ball.overNumber === currentOver - 1);
+  const previousBowler = previousOverBalls[previousOverBalls.length - 1]?.bowler;
+
+  if (isSamePlayer(previousBowler, bowler)) {
+    return `${name} bowled the previous over and can't bowl consecutive overs`;
+  }
+
+  const maxOvers = rulesService.getMaxOversPerBowler(match.settings);
+  const oversBowled = getOversBowledBy({ balls }, bowler);
+  oversBowled.delete(currentOver);
+
+  if (oversBowled.size >= maxOvers) {
+    return `${name} has already bowled the maximum of ${maxOvers} over${maxOvers !== 1 ? 's' : ''}`;
+  }
+
+  return null;
+};
+
+/**
+ * Check a bowler may bowl the current over: not the one who finished the
+ * previous over, still within their quota, and not the previous super over's bowler
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings subdocument
+ * @param {Object} bowler - Player reference
+ */
+const checkBowlerEligibility = (match, innings, bowler) => {
+  const name = bowler.guestName || 'This bowler';
+
+  const reason = getBowlingBar(match, innings, bowler);
+  if (reason) {
+    throw new ValidationError(reason);
+  }
+
+  const previous = getPreviousSuperOverInnings(match, innings);
+  if (previous?.balls.some(ball => isSamePlayer(ball.bowler, bowler))) {
+    throw new ValidationError(`${name} bowled the previous super over and can't bowl this one`);
+  }
+};
+
+/**
+ * Find one of the match's ground rules by name
+ * @param {Object} match - Match document
+ * @param {string} name - Rule name, in any case
+ * @returns {Object} - Ground rule
+ */
+const findGroundRule = (match, name) => {
+  const key = name.trim().toLowerCase();
+  const rule = (match.groundRules || []).find(groundRule => groundRule.name.toLowerCase() === key);
+
+  if (!rule) {
+    throw new ValidationError(`No ground rule named "${name}" in this match`);
+  }
+
+  return rule;
+};
+
+/**
+ * Turn a ground rule into the scoring input it stands for. The rule decides
+ * the outcome, runs and dismissal; who was out and any fielder still come
+ * from the umpire.
+ * @param {Object} input - Scoring input as sent by the umpire
+ * @param {Object} rule - Ground rule
+ * @returns {Object} - Scoring input
+ */
+const toGroundRuleInput = (input, rule) => ({
+  ...input,
+  outcome: rulesService.getGroundRuleOutcome(rule),
+  runs: rule.runs,
+  batsmanRuns: undefined,
+  byes: undefined,
+  legByes: undefined,
+  runsCompleted: rule.runsCompleted ?? undefined,
+  isWicket: rule.isWicket,
+  dismissalType: rule.isWicket ? rule.dismissalType || DISMISSAL_TYPES.GROUND_RULE : undefined
+});
+
+/**
+ * Build a ball record from scoring input
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings the ball belongs to
+ * @param {Object} input - Outcome, runs and wicket details, or a ground rule name, as sent by the umpire
+ * @param {Object} context - { batsman, nonStriker, bowler, isFreeHit } for the delivery
+ * @returns {Object} - Ball record
+ */
+const buildBall = (match, innings, input, context) => {
+  const groundRule = input.groundRule ? findGroundRule(match, input.groundRule) : null;
+  const scoring = groundRule ? toGroundRuleInput(input, groundRule) : input;
+
+  const {
+    outcome,
+    runs = 0,
+    isWicket = false,
+    dismissalType,
+    batsmanOutId,
+    batsmanOutGuestId,
+    fielderId,
+    fielderGuestId,
+    wicketEnd,
+    penaltyRuns = 0,
+    shot,
+    commentary
+  } = scoring;
+
+  // Start from the runs the outcome implies
+  let batsmanRuns = 0;
+  let wides = 0;
+  let noBalls = 0;
+  let byes = 0;
+  let legByes = 0;
+  let isLegalDelivery = true;
+
+  switch (outcome) {
+    case BALL_OUTCOMES.DOT:
+    case BALL_OUTCOMES.WICKET:
+      break;
+    case BALL_OUTCOMES.ONE:
+    case BALL_OUTCOMES.TWO:
+    case BALL_OUTCOMES.THREE:
+    case BALL_OUTCOMES.FOUR:
+    case BALL_OUTCOMES.SIX:
+      batsmanRuns = parseInt(outcome);
+      break;
+    case BALL_OUTCOMES.WIDE:
+      wides = match.settings.wideRuns + runs;
+      isLegalDelivery = false;
+      break;
+    case BALL_OUTCOMES.NO_BALL:
+      noBalls = match.settings.noBallRuns;
+      batsmanRuns = runs;
+      isLegalDelivery = false;
+      break;
+    case BALL_OUTCOMES.BYE:
+      byes = runs || 1;
+      break;
+    case BALL_OUTCOMES.LEG_BYE:
+      legByes = runs || 1;
+      break;
+    case BALL_OUTCOMES.GROUND_RULE:
+      if (!groundRule) {
+        throw new ValidationError('Name the ground rule to record a ground rule outcome');
+      }
+      batsmanRuns = runs;
+      break;
+    default:
+      batsmanRuns = runs;
+  }
+
+  // A ground rule can make any delivery a dead one that doesn't count towards the over
+  if (groundRule && !groundRule.isLegalDelivery) isLegalDelivery = false;
+
+  // Itemised runs, when sent, replace what the outcome implies
+  if (scoring.batsmanRuns !== undefined) batsmanRuns = scoring.batsmanRuns;
+  if (scoring.byes !== undefined) byes = scoring.byes;
+  if (scoring.legByes !== undefined) legByes = scoring.legByes;
+
+  if (outcome === BALL_OUTCOMES.WIDE && (batsmanRuns > 0 || byes > 0 || legByes > 0)) {
+    throw new ValidationError('Runs taken off a wide are scored as wides');
+  }
+
+  if ([batsmanRuns, byes, legByes].filter(value => value > 0).length > 1) {
+    throw new ValidationError('Runs can only be scored off the bat, as byes or as leg byes on one delivery');
+  }
+
+  // Runs scored by running or reaching the boundary
+  const runsScored = batsmanRuns + byes + legByes + (outcome === BALL_OUTCOMES.WIDE ? runs : 0);
+
+  // Boundaries are not run, so unless told otherwise a 4 or 6 means no runs completed
+  let runsCompleted = [4, 6].includes(runsScored) ? 0 : runsScored;
+  if (scoring.runsCompleted !== undefined) {
+    runsCompleted = scoring.runsCompleted;
+  }
+
+  if (runsCompleted > runsScored) {
+    throw new ValidationError('Runs completed cannot exceed the runs scored');
+  }
+
+  const extraRuns = wides + noBalls + byes + legByes + penaltyRuns;
+  const totalRuns = batsmanRuns + extraRuns;
+  const isBoundary = [4, 6].includes(batsmanRuns) && runsCompleted === 0;
+
+  // Create ball record
+  const ball = {
+    bowler: toPlayerRef(context.bowler),
+    batsman: toPlayerRef(context.batsman),
+    nonStriker: toPlayerRef(context.nonStriker),
+    outcome,
+    groundRule: groundRule?.name,
+    runs: {
+      batsmanRuns,
+      extraRuns,
+      totalRuns,
+      wides,
+      noBalls,
+      byes,
+      legByes,
+      penalty: penaltyRuns,
+      completed: runsCompleted
+    },
+    isWicket,
+    isLegalDelivery,
+    isFreeHit: Boolean(context.isFreeHit),
+    isBoundary,
+    shot,
+    commentary,
+    timestamp: new Date()
+  };
+
+  // Handle wicket
+  if (isWicket || outcome === BALL_OUTCOMES.WICKET) {
+    ball.isWicket = true;
+    ball.wicket = {
+      dismissalType,
+      end: wicketEnd
+    };
+
+    // Set batsman out
+    if (batsmanOutId || batsmanOutGuestId) {
+      ball.wicket.batsmanOut = findTeamPlayer(match[innings.battingTeam], {
+        userId: batsmanOutId,
+        guestId: batsmanOutGuestId
+      });
+      if (!ball.wicket.batsmanOut) {
+        throw new ValidationError('Dismissed batsman not found in batting team');
+      }
+    } else {
+      ball.wicket.batsmanOut = ball.batsman;
+    }
+
+    if (!isSamePlayer(ball.wicket.batsmanOut, ball.batsman) && !isSamePlayer(ball.wicket.batsmanOut, ball.nonStriker)) {
+      throw new ValidationError('Dismissed batsman is not at the crease');
+    }
+
+    // Set fielder if applicable
+    if (fielderId || fielderGuestId) {
+      ball.wicket.fielder = findTeamPlayer(match[innings.bowlingTeam], {
+        userId: fielderId,
+        guestId: fielderGuestId
+      });
+      if (!ball.wicket.fielder) {
+        throw new ValidationError('Fielder not found in bowling team');
+      }
+    }
+  }
+
+  const violation = rulesService.getDeliveryViolation(ball) || rulesService.getMissingWicketDetail(ball);
+  if (violation) {
+    throw new ValidationError(violation);
+  }
+
+  return ball;
+};
+
+/**
+ * Clear an innings back to its state before the first delivery
+ * @param {Object} innings - Innings subdocument
+ */
+const resetInnings = (innings) => {
+  const hasStarted = innings.status !== INNINGS_STATUS.NOT_STARTED || innings.balls.length > 0;
+
+  innings.status = hasStarted ? INNINGS_STATUS.IN_PROGRESS : INNINGS_STATUS.NOT_STARTED;
+  innings.totalRuns = 0;
+  innings.totalWickets = 0;
+  innings.totalOvers = 0;
+  innings.totalBalls = 0;
+  innings.extras = { wides: 0, noBalls: 0, byes: 0, legByes: 0, penalty: 0, total: 0 };
+  innings.dismissalDeductions = 0;
+  innings.currentOver = hasStarted ? 1 : 0;
+  innings.currentBall = 0;
+  innings.fallOfWickets = [];
+  innings.partnerships = [];
+  innings.runRate = 0;
+  innings.freeHit = false;
+};
+
+/**
+ * Apply a delivery to the innings: score, extras, wickets, player figures,
+ * strike rotation and the end of the over. The ball itself is not added to
+ * the innings, so this is used both when recording and when replaying.
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings the ball belongs to
+ * @param {Object} ball - Ball record
+ * @param {boolean} overEnds - Whether the ball closes its over, for an over
+ *                            whose balls are already settled; counted from
+ *                            legal balls when omitted
+ */
+const applyBall = (match, innings, ball, overEnds) => {
+  const { totalRuns } = ball.runs;
+  const extras = getExtras(ball);
+
+  if (innings.status === INNINGS_STATUS.NOT_STARTED) {
+    innings.status = INNINGS_STATUS.IN_PROGRESS;
+    innings.currentOver = 1;
+  }
+
+  ball.overNumber = innings.currentOver;
+  ball.ballNumber = innings.currentBall + 1;
+  ball.isFreeHit = Boolean(innings.freeHit);
+
+  // Whoever faced and bowled this delivery are the ones at the crease
+  innings.currentBatsmen = {
+    striker: toPlayerRef(ball.batsman),
+    nonStriker: toPlayerRef(ball.nonStriker)
+  };
+  innings.currentBowler = toPlayerRef(ball.bowler);
+
+  innings.extras.wides += extras.wides;
+  innings.extras.noBalls += extras.noBalls;
+  innings.extras.byes += extras.byes;
+  innings.extras.legByes += extras.legByes;
+  innings.extras.penalty = (innings.extras.penalty || 0) + extras.penalty;
+
+  innings.extras.total =
+    innings.extras.wides +
+    innings.extras.noBalls +
+    innings.extras.byes +
+    innings.extras.legByes +
+    innings.extras.penalty;
+
+  updatePlayerPerformances(match, innings, ball);
+  updatePartnership(match, innings, ball);
+
+  innings.totalRuns += totalRuns;
+
+  const isPairs = isPairsInnings(match, innings);
+
+  if (ball.isWicket) {
+    innings.totalWickets += 1;
+
+    if (isPairs) {
+      innings.totalRuns -= match.settings.dismissalPenalty;
+      innings.dismissalDeductions += match.settings.dismissalPenalty;
+    }
+
+    innings.fallOfWickets.push({
+      wicketNumber: innings.totalWickets,
+      runs: innings.totalRuns,
+      overs: innings.currentOver,
+      balls: innings.currentBall + (ball.isLegalDelivery ? 1 : 0),
+      batsman: ball.wicket?.batsmanOut
+    });
+  }
+
+  // Update ball count for legal deliveries
+  if (ball.isLegalDelivery) {
+    innings.currentBall += 1;
+    innings.totalBalls += 1;
+  }
+
+  // A batsman batting alone keeps the strike
+  const isBattingAlone = !hasPlayer(ball.nonStriker);
+
+  // Batsmen change ends for every run they complete
+  if (getRunsCompleted(ball) % 2 === 1 && !isBattingAlone) {
+    rotateStrike(innings);
+  }
+
+  // The dismissed batsman's end waits for setNewBatsman, except in the
+  // pairs format where they bat on
+  if (ball.isWicket && !isPairs) {
+    const { batsmanOut, end } = ball.wicket || {};
+    const { striker, nonStriker } = innings.currentBatsmen;
+
+    if (end) {
+      // The survivor finishes at the other end from where the wicket fell
+      const survivor = toPlayerRef(isSamePlayer(striker, batsmanOut) ? nonStriker : striker);
+      innings.currentBatsmen = end === CREASE_ENDS.STRIKER
+        ? { striker: {}, nonStriker: survivor }
+        : { striker: survivor, nonStriker: {} };
+    } else if (isSamePlayer(striker, batsmanOut)) {
+      innings.currentBatsmen.striker = {};
+    } else if (isSamePlayer(nonStriker, batsmanOut)) {
+      innings.currentBatsmen.nonStriker = {};
+    }
+  }
+
+  // Check for over completion
+  if (overEnds ?? (ball.isLegalDelivery && innings.currentBall >= match.getBallsPerOver())) {
+    innings.currentOver += 1;
+    innings.totalOvers += 1;
+    innings.currentBall = 0;
+
+    // Swap batsmen at end of over and clear bowler for new over
+    if (!isBattingAlone) rotateStrike(innings);
+    innings.currentBowler = {};
+
+    // The next pair comes in once this pair's overs are done
+    if (isPairs && innings.totalOvers % match.settings.oversPerPair === 0) {
+      innings.currentBatsmen = { striker: {}, nonStriker: {} };
+    }
+  }
+
+  settleLastManStanding(match, innings);
+
+  // A no-ball earns a free hit; a wide in between carries it over
+  if (ball.outcome === BALL_OUTCOMES.NO_BALL && match.settings.noBallFreehit) {
+    innings.freeHit = true;
+  } else if (ball.isLegalDelivery) {
+    innings.freeHit = false;
+  }
+
+  const totalOvers = innings.totalOvers + (innings.currentBall / match.getBallsPerOver());
+  innings.runRate = totalOvers > 0 ? parseFloat((innings.totalRuns / totalOvers).toFixed(2)) : 0;
+};
+
+/**
+ * Apply a retirement or resumption to the innings. Retiring empties the
+ * batsman's end, and costs a wicket if they retired out.
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings the retirement belongs to
+ * @param {Object} retirement - Retirement record
+ * @param {boolean} isResumed - Whether the batsman is coming back in
+ */
+const applyRetirement = (match, innings, retirement, isResumed) => {
+  updateRetirementPerformance(match, innings, retirement, isResumed);
+
+  if (isResumed) {
+    fillVacantEnd(innings, retirement.batsman);
+    return;
+  }
+
+  const { striker, nonStriker } = innings.currentBatsmen;
+  if (isSamePlayer(striker, retirement.batsman)) {
+    innings.currentBatsmen.striker = {};
+  } else if (isSamePlayer(nonStriker, retirement.batsman)) {
+    innings.currentBatsmen.nonStriker = {};
+  }
+
+  const partnership = getCurrentPartnership(innings);
+  if (partnership) partnership.isUnbroken = false;
+
+  if (rulesService.isRetirementWicket(retirement.type)) {
+    innings.totalWickets += 1;
+    innings.fallOfWickets.push({
+      wicketNumber: innings.totalWickets,
+      runs: innings.totalRuns,
+      overs: innings.currentOver,
+      balls: innings.currentBall,
+      batsman: retirement.batsman
+    });
+
+    settleLastManStanding(match, innings);
+  }
+};
+
+/**
+ * Apply every retirement and resumption recorded once a given number of
+ * balls had been bowled
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings subdocument
+ * @param {number} position - Balls bowled in the innings
+ */
+const applyRetirementsAt = (match, innings, position) => {
+  getRetirementEvents(innings, position).forEach(({ retirement, isResumed }) => {
+    applyRetirement(match, innings, retirement, isResumed);
+  });
+};
+
+/**
+ * Retire a batsman at the crease between deliveries
+ * @param {Object} match - Match document
+ * @param {Object} innings - Current innings
+ * @param {Object} batsman - Player reference
+ * @param {string} type - retired_hurt or retired_out
+ * @returns {Object} - The recorded retirement
+ */
+const retireBatsman = (match, innings, batsman, type) => {
+  const { striker, nonStriker } = innings.currentBatsmen;
+
+  if (!isSamePlayer(striker, batsman) && !isSamePlayer(nonStriker, batsman)) {
+    throw new ValidationError('Batsman is not at the crease');
+  }
+
+  if (isPairsInnings(match, innings) && rulesService.isRetirementWicket(type)) {
+    throw new ValidationError("Batsmen can't retire out in the pairs format");
+  }
+
+  innings.retirements.push({
+    batsman: toPlayerRef(batsman),
+    type,
+    afterBalls: innings.balls.length
+  });
+  const retirement = innings.retirements[innings.retirements.length - 1];
+
+  applyRetirement(match, innings, retirement, false);
+
+  return retirement;
+};
+
+/**
+ * Send a batsman in to fill the vacant end. A batsman who retired hurt
+ * resumes their innings; one who is out can't come back.
+ * @param {Object} match - Match document
+ * @param {Object} innings - Current innings
+ * @param {Object} batsman - Player reference
+ * @returns {Object|null} - The retirement being resumed, if any
+ */
+const sendInBatsman = (match, innings, batsman) => {
+  const name = batsman.guestName || 'Batsman';
+  const { striker, nonStriker } = innings.currentBatsmen;
+
+  if (isSamePlayer(striker, batsman) || isSamePlayer(nonStriker, batsman)) {
+    throw new ValidationError(`${name} is already at the crease`);
+  }
+
+  checkBatsmanEligibility(match, innings, batsman);
+
+  const retirement = innings.retirements.find(r =>
+    r.resumedAfterBalls == null && isSamePlayer(r.batsman, batsman)
+  );
+
+  if (!retirement) {
+    fillVacantEnd(innings, batsman);
+    return null;
+  }
+
+  retirement.resumedAfterBalls = innings.balls.length;
+  applyRetirement(match, innings, retirement, true);
+
+  return retirement;
+};
+
+/**
+ * Check if an innings has run out of wickets, overs or runs to chase
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings subdocument
+ * @returns {boolean}
+ */
+const isInningsComplete = (match, innings) => {
+  if (!innings) return false;
+
+  const { maxOvers, maxWickets } = getInningsLimits(match, innings);
+
+  if (innings.totalWickets >= maxWickets || innings.totalOvers >= maxOvers) {
+    return true;
+  }
+
+  // Only a chasing innings has a target. Pairs bat on past it, as later
+  // dismissals can still take them back below it.
+  return Boolean(innings.target) && !isPairsInnings(match, innings) && innings.totalRuns >= innings.target;
+};
+
+/**
+ * Get what the side batting second needs to win, revised for any cut overs
+ * @param {Object} match - Match document
+ * @param {Object} pair - Main innings or a super over
+ * @returns {number}
+ */
+const getChaseTarget = (match, pair) => {
+  if (pair === match.innings && match.oversReductions?.length) {
+    return parScoreService.getRevisedTarget(match);
+  }
+
+  return pair.first.totalRuns + 1;
+};
+
+/**
+ * Check if both innings of a pair are over with the scores level
+ * @param {Object} match - Match document
+ * @param {Object} pair - Main innings or a super over
+ * @returns {boolean}
+ */
+const isPairTied = (match, pair) => {
+  return isInningsComplete(match, pair.first) &&
+    isInningsComplete(match, pair.second) &&
+    pair.second.totalRuns === pair.second.target - 1;
+};
+
+/**
+ * Mark an innings completed or reopen it
+ * @param {Object} innings - Innings subdocument
+ * @param {boolean} isComplete - Whether the innings is over
+ */
+const setInningsCompletion = (innings, isComplete) => {
+  if (isComplete) {
+    innings.status = INNINGS_STATUS.COMPLETED;
+    innings.endTime = innings.endTime || new Date();
+  } else {
+    if (innings.status === INNINGS_STATUS.COMPLETED) {
+      innings.status = INNINGS_STATUS.IN_PROGRESS;
+    }
+    innings.endTime = undefined;
+  }
+};
+
+/**
+ * Derive completion and the chase target for a pair of innings
+ * @param {Object} match - Match document
+ * @param {Object} pair - Main innings or a super over
+ * @param {boolean} isChaseStarted - Whether the second innings is under way
+ * @returns {string} - Match status for the pair
+ */
+const refreshInningsPair = (match, pair, isChaseStarted) => {
+  const { first, second } = pair;
+
+  const isFirstComplete = isInningsComplete(match, first);
+  setInningsCompletion(first, isFirstComplete);
+
+  if (second) {
+    second.target = isFirstComplete ? getChaseTarget(match, pair) : undefined;
+  }
+
+  if (isChaseStarted) {
+    const isSecondComplete = isInningsComplete(match, second);
+    setInningsCompletion(second, isSecondComplete);
+    return isSecondComplete ? MATCH_STATUS.COMPLETED : MATCH_STATUS.IN_PROGRESS;
+  }
+
+  return isFirstComplete ? MATCH_STATUS.INNINGS_BREAK : MATCH_STATUS.IN_PROGRESS;
+};
+
+/**
+ * Derive innings completion, the chase target, match status and result
+ * from the current innings totals
+ * @param {Object} match - Match document
+ */
+const refreshMatchStatus = (match) => {
+  if (!match.innings.first) return;
+
+  const isMainChaseStarted = match.currentInnings === 'second' || Boolean(match.currentSuperOver);
+  match.status = refreshInningsPair(match, match.innings, isMainChaseStarted);
+
+  // A tie goes to a super over when the room plays them
+  const superOverMode = match.settings.superOver || SUPER_OVER_MODES.OFF;
+  if (superOverMode !== SUPER_OVER_MODES.OFF && isPairTied(match, match.innings)) {
+    match.status = MATCH_STATUS.SUPER_OVER;
+
+    (match.superOvers || []).forEach((pair, index) => {
+      const isChaseStarted = index + 1 !== match.currentSuperOver || match.currentInnings === 'second';
+      match.status = refreshInningsPair(match, pair, isChaseStarted);
+
+      // Tied again: play another, unless the boundary count settles it
+      if (superOverMode === SUPER_OVER_MODES.REPEAT && isPairTied(match, pair)) {
+        match.status = MATCH_STATUS.SUPER_OVER;
+      }
+    });
+  }
+
+  if (match.status === MATCH_STATUS.COMPLETED) {
+    match.endTime = match.endTime || new Date();
+    match.result = match.determineResult();
+  } else {
+    // A reopened match picks its Player of the Match again once it's decided
+    if (match.endTime) {
+      match.manOfTheMatch = undefined;
+      match.manOfTheMatchVoting = { votes: [] };
+    }
+
+    match.endTime = undefined;
+    match.result = undefined;
+  }
+};
+
+/**
+ * Build the pairs format scorecard for an innings: each pair's overs, what
+ * they scored, how often they were dismissed and what that cost them
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings subdocument
+ * @returns {Array} - One entry per scheduled pair
+ */
+const getPairsScorecard = (match, innings) => {
+  const { oversPerPair, dismissalPenalty } = match.settings;
+  const pairCount = Math.ceil(match.settings.overs / oversPerPair);
+
+  return Array.from({ length: pairCount }, (_, index) => {
+    const number = index + 1;
+    const balls = innings.balls.filter(ball => getPairNumber(match, ball.overNumber) === number);
+    const batsmen = [];
+
+    balls.forEach(ball => {
+      [ball.batsman, ball.nonStriker]
+        .filter(player => hasPlayer(player) && !batsmen.some(entry => isSamePlayer(entry.player, player)))
+        .forEach(player => batsmen.push({ player: toPlayerRef(player), runs: 0, ballsFaced: 0, dismissals: 0 }));
+
+      const striker = batsmen.find(entry => isSamePlayer(entry.player, ball.batsman));
+      striker.runs += ball.runs.batsmanRuns;
+      if (ball.isLegalDelivery || ball.outcome === BALL_OUTCOMES.NO_BALL) striker.ballsFaced += 1;
+
+      const dismissed = ball.isWicket && batsmen.find(entry => isSamePlayer(entry.player, ball.wicket?.batsmanOut));
+      if (dismissed) dismissed.dismissals += 1;
+    });
+
+    const runs = balls.reduce((total, ball) => total + ball.runs.totalRuns, 0);
+    const dismissals = balls.filter(ball => ball.isWicket).length;
+
+    return {
+      pair: number,
+      overs: { from: index * oversPerPair + 1, to: number * oversPerPair },
+      batsmen: batsmen.map(entry => ({
+        ...entry,
+        deductions: entry.dismissals * dismissalPenalty,
+        netRuns: entry.runs - entry.dismissals * dismissalPenalty
+      })),
+      runs,
+      dismissals,
+      deductions: dismissals * dismissalPenalty,
+      netRuns: runs - dismissals * dismissalPenalty,
+      isComplete: innings.totalOvers >= number * oversPerPair
+    };
+  });
+};
+
+/**
+ * Rebuild every innings, player figures and match status from the ball log
+ * @param {Object} match - Match document
+ * @returns {Object|null} - First inconsistency found in the log ({ innings, superOver, ball, message }), if any
+ */
+const replayMatch = (match) => {
+  let conflict = null;
+
+  resetPlayerPerformances(match);
+
+  getInningsPairs(match).forEach(({ pair, superOver }, pairIndex, pairs) => {
+    // A super over is only played once the innings before it are tied
+    const previousPair = pairs[pairIndex - 1]?.pair;
+    if (!conflict && previousPair && !isPairTied(match, previousPair)) {
+      conflict = { innings: 'second', superOver: superOver - 1 || null, ball: null, message: 'Scores would no longer be tied before the super over' };
+    }
+
+    ['first', 'second'].forEach(key => {
+      const innings = pair[key];
+      if (!innings) return;
+
+      resetInnings(innings);
+
+      if (key === 'second') {
+        innings.target = isInningsComplete(match, pair.first) ? getChaseTarget(match, pair) : undefined;
+      }
+
+      applyRetirementsAt(match, innings, 0);
+
+      // Overs before the latest one keep the balls they were bowled with, so
+      // a ball corrected to a wide or removed leaves a short over rather than
+      // moving every later ball into another over. Only the latest over is
+      // counted afresh from its legal balls.
+      const recordedOvers = innings.balls.map(ball => ball.overNumber);
+      const latestOver = Math.max(0, ...recordedOvers.filter(Boolean));
+
+      innings.balls.forEach((ball, index) => {
+        const isSettledOver = recordedOvers[index] < latestOver;
+        if (!conflict) {
+          const reason = [ball.batsman, ball.nonStriker]
+            .filter(player => hasPlayer(player))
+            .map(player => getBattingBar(match, innings, player, index))
+            .find(Boolean);
+          if (reason) {
+            conflict = { innings: key, superOver, ball, message: reason };
+          }
+        }
+
+        // A correction can still leave a bowler bowling consecutive overs or
+        // more than their quota, by emptying an over or after overs were cut
+        if (!conflict && hasPlayer(ball.bowler)) {
+          const reason = getBowlingBar(match, innings, ball.bowler, index);
+          if (reason) {
+            conflict = { innings: key, superOver, ball, message: reason };
+          }
+        }
+
+        applyBall(match, innings, ball,
+          isSettledOver ? recordedOvers[index + 1] !== recordedOvers[index] : undefined);
+        applyRetirementsAt(match, innings, index + 1);
+
+        if (!conflict && isSettledOver && ball.ballNumber > match.getBallsPerOver()) {
+          conflict = { innings: key, superOver, ball, message: `Over ${ball.overNumber} would have more than ${match.getBallsPerOver()} legal balls` };
+        }
+
+        const violation = rulesService.getDeliveryViolation(ball);
+        if (!conflict && violation) {
+          conflict = { innings: key, superOver, ball, message: violation };
+        }
+
+        if (!conflict && index < innings.balls.length - 1 && isInningsComplete(match, innings)) {
+          conflict = { innings: key, superOver, ball, message: 'Innings would already be over after this ball' };
+        }
+      });
+    });
+
+    if (!conflict && pair.second?.balls.length && !isInningsComplete(match, pair.first)) {
+      conflict = { innings: 'first', superOver, ball: null, message: 'First innings would no longer be complete' };
+    }
+  });
+
+  refreshMatchStatus(match);
+
+  return conflict;
+};
+
+/**
+ * Cut the overs for the innings being played and any still to come. Cutting
+ * the chasing side's overs revises their target.
+ * @param {Object} match - Match document
+ * @param {number} overs - Overs each affected innings now gets
+ * @param {Object} details - { reason, reducedBy }
+ * @returns {Array} - The recorded reductions
+ */
+const reduceOvers = (match, overs, { reason, reducedBy } = {}) => {
+  if (match.currentSuperOver) {
+    throw new ValidationError("Overs can't be cut during a super over");
+  }
+
+  if (match.isPairsFormat()) {
+    throw new ValidationError("Overs can't be cut in the pairs format, where each pair is owed its overs");
+  }
+
+  const isFirstInningsLive = match.currentInnings === 'first' && match.status !== MATCH_STATUS.INNINGS_BREAK;
+  const keys = isFirstInningsLive ? ['first', 'second'] : ['second'];
+  const current = match.innings[keys[0]];
+  const currentOvers = current.maxOvers || match.settings.overs;
+
+  if (overs >= currentOvers) {
+    throw new ValidationError(`Overs can only be reduced from the current ${currentOvers}`);
+  }
+
+  if (overs * match.getBallsPerOver() < current.totalBalls) {
+    throw new ValidationError(`${ballsToOvers(current.totalBalls, match.getBallsPerOver())} overs have already been bowled`);
+  }
+
+  const reductions = keys.map(key => {
+    const innings = match.innings[key];
+
+    match.oversReductions.push({
+      innings: key,
+      fromOvers: innings.maxOvers || match.settings.overs,
+      toOvers: overs,
+      balls: innings.totalBalls,
+      wickets: innings.totalWickets,
+      reason,
+      reducedBy
+    });
+    innings.maxOvers = overs;
+
+    return match.oversReductions[match.oversReductions.length - 1];
+  });
+
+  refreshMatchStatus(match);
+
+  return reductions;
+};
+
+/**
+ * Find a ball anywhere in the match by its ID
+ * @param {Object} match - Match document
+ * @param {string} ballId - Ball subdocument ID
+ * @returns {Object} - { inningsKey, superOver, innings, index, ball }
+ */
+const findBall = (match, ballId) => {
+  for (const { pair, superOver } of getInningsPairs(match)) {
+    for (const inningsKey of ['first', 'second']) {
+      const innings = pair[inningsKey];
+      const index = innings ? innings.balls.findIndex(b => b._id.toString() === ballId.toString()) : -1;
+
+      if (index !== -1) {
+        return { inningsKey, superOver, innings, index, ball: innings.balls[index] };
+      }
+    }
+  }
+
+  throw new NotFoundError(ERROR_MESSAGES[ERROR_CODES.BALL_NOT_FOUND]);
+};
+
+/**
+ * Find a delivery already recorded under a client's idempotency key
+ * @param {Object} match - Match document
+ * @param {string} clientBallId - Key sent with the delivery
+ * @returns {Object|null} - { inningsKey, superOver, innings, ball }
+ */
+const findBallByClientId = (match, clientBallId) => {
+  for (const { pair, superOver } of getInningsPairs(match)) {
+    for (const inningsKey of ['first', 'second']) {
+      const innings = pair[inningsKey];
+      const ball = innings?.balls.find(b => b.clientBallId === clientBallId);
+
+      if (ball) {
+        return { inningsKey, superOver, innings, ball };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check the innings is where the scorer thinks it is before recording a
+ * delivery, so a resent or stale request can't land on the wrong ball
+ * @param {Object} innings - Current innings
+ * @param {Object} expected - { expectedOver, expectedBall }: completed overs and legal balls in the over, as in 4.3
+ */
+const checkExpectedPosition = (innings, { expectedOver, expectedBall } = {}) => {
+  if (expectedOver === undefined && expectedBall === undefined) return;
+
+  const isOverMatched = expectedOver === undefined || expectedOver === innings.totalOvers;
+  const isBallMatched = expectedBall === undefined || expectedBall === innings.currentBall;
+
+  if (!isOverMatched || !isBallMatched) {
+    const expected = `${expectedOver ?? innings.totalOvers}.${expectedBall ?? innings.currentBall}`;
+    throw new ConflictError(
+      `Expected to score from ${expected} but the innings is at ${innings.totalOvers}.${innings.currentBall}. Refresh the score and try again`,
+      ERROR_CODES.BALL_POSITION_MISMATCH
+    );
+  }
+};
+
+/**
+ * Replay the match after a correction, keeping the batsmen and bowler the
+ * umpire has since picked unless the correction was to the latest ball
+ * @param {Object} match - Match document
+ * @param {Object} innings - Innings that was corrected
+ * @param {boolean} isLatestBall - Whether the corrected ball was the last one bowled
+ */
+const replayCorrection = (match, innings, isLatestBall) => {
+  const isCurrentInnings = innings === match.getCurrentInnings();
+  const currentBatsmen = {
+    striker: toPlayerRef(innings.currentBatsmen?.striker),
+    nonStriker: toPlayerRef(innings.currentBatsmen?.nonStriker)
+  };
+  const currentBowler = toPlayerRef(innings.currentBowler);
+
+  const conflict = replayMatch(match);
+
+  if (conflict) {
+    const position = conflict.ball ? ` (over ${conflict.ball.overNumber}, ball ${conflict.ball.ballNumber})` : '';
+    const innings = conflict.superOver ? `super over ${conflict.superOver} ${conflict.innings}` : conflict.innings;
+    throw new ValidationError(`Correction leaves the ${innings} innings inconsistent: ${conflict.message}${position}`);
+  }
+
+  if (isCurrentInnings && !isLatestBall) {
+    innings.currentBatsmen = currentBatsmen;
+    innings.currentBowler = currentBowler;
+  }
+};
+
+/**
+ * Amend a delivery's outcome and recompute the match
+ * @param {Object} match - Match document
+ * @param {string} ballId - Ball subdocument ID
+ * @param {Object} input - Outcome, runs and wicket details as for recording
+ * @returns {Object} - { inningsKey, superOver, before, after } ball snapshots
+ */
+const amendBall = (match, ballId, input) => {
+  const { inningsKey, superOver, innings, index, ball } = findBall(match, ballId);
+  const before = ball.toObject();
+
+  const amended = buildBall(match, innings, input, ball);
+  innings.balls.set(index, {
+    ...amended,
+    _id: ball._id,
+    overNumber: ball.overNumber,
+    clientBallId: ball.clientBallId,
+    timestamp: ball.timestamp
+  });
+
+  replayCorrection(match, innings, index === innings.balls.length - 1);
+
+  return { inningsKey, superOver, before, after: innings.balls[index].toObject() };
+};
+
+/**
+ * Remove a delivery and recompute the match
+ * @param {Object} match - Match document
+ * @param {string} ballId - Ball subdocument ID
+ * @returns {Object} - { inningsKey, superOver, before } ball snapshot
+ */
+const deleteBall = (match, ballId) => {
+  const { inningsKey, superOver, innings, index, ball } = findBall(match, ballId);
+  const before = ball.toObject();
+  const isLatestBall = index === innings.balls.length - 1;
+
+  innings.balls.splice(index, 1);
+
+  // Retirements after the removed ball move back one position
+  innings.retirements.forEach(retirement => {
+    if (retirement.afterBalls > index) retirement.afterBalls -= 1;
+    if (retirement.resumedAfterBalls > index) retirement.resumedAfterBalls -= 1;
+  });
+
+  replayCorrection(match, innings, isLatestBall);
+
+  // As with undo, the removed ball's batsmen and bowler are back in place
+  if (isLatestBall && innings === match.getCurrentInnings()) {
+    innings.currentBatsmen = {
+      striker: toPlayerRef(before.batsman),
+      nonStriker: toPlayerRef(before.nonStriker)
+    };
+    innings.currentBowler = toPlayerRef(before.bowler);
+  }
+
+  return { inningsKey, superOver, before };
+};
+
+/**
+ * Remove the most recent delivery and replay the match without it.
+ * Stepping back past the start of the second innings reopens the first,
+ * and stepping back past the start of a super over drops it.
+ * @param {Object} match - Match document
+ * @returns {Object|null} - The removed ball, or null if none have been bowled
+ */
+const undoLastBall = (match) => {
+  const undoableStatuses = [
+    MATCH_STATUS.IN_PROGRESS,
+    MATCH_STATUS.INNINGS_BREAK,
+    MATCH_STATUS.SUPER_OVER,
+    MATCH_STATUS.COMPLETED
+  ];
+  if (!undoableStatuses.includes(match.status) || !match.currentInnings) return null;
+
+  const { first, second } = match.getCurrentInningsPair();
+
+  if (match.currentInnings === 'second' && second.balls.length === 0) {
+    if (!first.balls.length) return null;
+
+    match.currentInnings = 'first';
+    second.status = INNINGS_STATUS.NOT_STARTED;
+    second.currentBatsmen = { striker: {}, nonStriker: {} };
+    second.currentBowler = {};
+    second.retirements = [];
+    second.startTime = undefined;
+  } else if (match.currentSuperOver && first.balls.length === 0) {
+    match.superOvers.pop();
+    match.currentSuperOver = match.superOvers.length || undefined;
+    match.currentInnings = 'second';
+  }
+
+  const innings = match.getCurrentInnings();
+  if (!innings || innings.balls.length === 0) return null;
+
+  const removedBall = innings.balls.pop();
+
+  // Retirements and resumptions after the removed ball are undone with it
+  innings.retirements = innings.retirements.filter(r => r.afterBalls <= innings.balls.length);
+  innings.retirements.forEach(retirement => {
+    if (retirement.resumedAfterBalls > innings.balls.length) {
+      retirement.resumedAfterBalls = undefined;
+    }
+  });
+
+  replayMatch(match);
+
+  // Put back the batsmen and bowler who were in place for the removed ball
+  innings.currentBatsmen = {
+    striker: toPlayerRef(removedBall.batsman),
+    nonStriker: toPlayerRef(removedBall.nonStriker)
+  };
+  innings.currentBowler = toPlayerRef(removedBall.bowler);
+
+  return removedBall;
+};
+
+/**
+ * Record the toss and set up both innings from it
+ * @param {Object} match - Match document, waiting for the toss
+ * @param {Object} toss - { winner, decision }
+ * @returns {Object} - { battingFirst, bowlingFirst } team keys
+ */
+const conductToss = (match, { winner, decision }) => {
+  match.toss = {
+    winner,
+    decision,
+    conductedAt: new Date()
+  };
+
+  const battingFirst = decision === TOSS_DECISIONS.BAT ? winner : (winner === 'teamA' ? 'teamB' : 'teamA');
+  const bowlingFirst = battingFirst === 'teamA' ? 'teamB' : 'teamA';
+  const newInnings = (battingTeam, bowlingTeam) => ({
+    battingTeam,
+    bowlingTeam,
+    status: INNINGS_STATUS.NOT_STARTED,
+    totalRuns: 0,
+    totalWickets: 0,
+    totalOvers: 0,
+    totalBalls: 0,
+    extras: { wides: 0, noBalls: 0, byes: 0, legByes: 0, penalty: 0, total: 0 },
+    currentOver: 0,
+    currentBall: 0,
+    balls: [],
+    fallOfWickets: []
+  });
+
+  match.innings.first = newInnings(battingFirst, bowlingFirst);
+  match.innings.second = newInnings(bowlingFirst, battingFirst);
+  match.currentInnings = 'first';
+  match.status = MATCH_STATUS.IN_PROGRESS;
+
+  return { battingFirst, bowlingFirst };
+};
+
+/**
+ * Put batsmen at the crease, starting the innings if it hasn't started
+ * @param {Object} match - Match document
+ * @param {Object} input - { strikerId, strikerGuestId, nonStrikerId, nonStrikerGuestId }
+ * @returns {Object} - Innings with the batsmen set
+ */
+const setBatsmen = (match, { strikerId, strikerGuestId, nonStrikerId, nonStrikerGuestId }) => {
+  const innings = match.getCurrentInnings();
+  const battingTeam = match[innings.battingTeam];
+
+  if (strikerId || strikerGuestId) {
+    const striker = findTeamPlayer(battingTeam, { userId: strikerId, guestId: strikerGuestId });
+    if (!striker) {
+      throw new ValidationError('Striker not found in batting team');
+    }
+    checkBatsmanEligibility(match, innings, striker);
+    innings.currentBatsmen.striker = striker;
+  }
+
+  if (nonStrikerId || nonStrikerGuestId) {
+    const nonStriker = findTeamPlayer(battingTeam, { userId: nonStrikerId, guestId: nonStrikerGuestId });
+    if (!nonStriker) {
+      throw new ValidationError('Non-striker not found in batting team');
+    }
+    checkBatsmanEligibility(match, innings, nonStriker);
+    innings.currentBatsmen.nonStriker = nonStriker;
+  }
+
+  if (innings.status === INNINGS_STATUS.NOT_STARTED) {
+    innings.status = INNINGS_STATUS.IN_PROGRESS;
+    innings.startTime = new Date();
+    innings.currentOver = 1;
+    innings.currentBall = 0;
+  }
+
+  return innings;
+};
+
+/**
+ * Change the bowler
+ * @param {Object} match - Match document
+ * @param {Object} input - { bowlerId, bowlerGuestId }
+ * @returns {Object} - Innings with the bowler set
+ */
+const setBowler = (match, { bowlerId, bowlerGuestId }) => {
+  const innings = match.getCurrentInnings();
+
+  if (bowlerId || bowlerGuestId) {
+    const bowler = findTeamPlayer(match[innings.bowlingTeam], { userId: bowlerId, guestId: bowlerGuestId });
+    if (!bowler) {
+      throw new ValidationError('Bowler not found in bowling team');
+    }
+
+    checkBowlerEligibility(match, innings, bowler);
+    innings.currentBowler = bowler;
+  }
+
+  return innings;
+};
+
+/**
+ * Send in the next batsman after a wicket or retirement
+ * @param {Object} match - Match document
+ * @param {Object} input - { batsmanId, batsmanGuestId }
+ * @returns {Object} - Innings with the batsman set
+ */
+const setNewBatsman = (match, { batsmanId, batsmanGuestId }) => {
+  const innings = match.getCurrentInnings();
+
+  if (batsmanId || batsmanGuestId) {
+    const batsman = findTeamPlayer(match[innings.battingTeam], { userId: batsmanId, guestId: batsmanGuestId });
+    if (!batsman) {
+      throw new ValidationError('Batsman not found in batting team');
+    }
+
+    // Fill whichever end is empty; a retired hurt batsman resumes their innings
+    sendInBatsman(match, innings, batsman);
+  }
+
+  return innings;
+};
+
+/**
+ * Record the next delivery of the current innings and bring the match
+ * status up to date
+ * @param {Object} match - Match document, in progress
+ * @param {Object} input - Ball input, with optional clientBallId, expectedOver and expectedBall
+ * @returns {Object} - { innings, ball } with the recorded ball subdocument
+ */
+const recordDelivery = (match, input) => {
+  const innings = match.getCurrentInnings();
+
+  if (innings.status !== INNINGS_STATUS.IN_PROGRESS) {
+    throw new ValidationError(ERROR_MESSAGES[ERROR_CODES.INNINGS_NOT_STARTED]);
+  }
+
+  checkExpectedPosition(innings, input);
+
+  const { striker, nonStriker } = innings.currentBatsmen;
+
+  if (!striker.user && !striker.guestId) {
+    throw new ValidationError('Please set the batsmen first');
+  }
+
+  if (!hasPlayer(nonStriker) && !isLastManStanding(match, innings)) {
+    throw new ValidationError('Please set the non-striker first');
+  }
+
+  if (!innings.currentBowler.user && !innings.currentBowler.guestId) {
+    throw new ValidationError('Please set the bowler first');
+  }
+
+  const ball = buildBall(match, innings, input, {
+    batsman: striker,
+    nonStriker,
+    bowler: innings.currentBowler,
+    isFreeHit: innings.freeHit
+  });
+
+  if (input.clientBallId) {
+    ball.clientBallId = input.clientBallId;
+  }
+
+  innings.balls.push(ball);
+  const recordedBall = innings.balls[innings.balls.length - 1];
+
+  // Update score, player figures, strike and over progress from the delivery
+  applyBall(match, innings, recordedBall);
+
+  // Check for innings and match completion
+  refreshMatchStatus(match);
+
+  return { innings, ball: recordedBall };
+};
+
+/**
+ * Move from the innings break to the chase
+ * @param {Object} match - Match document, at the innings break
+ * @returns {Object} - The current { first, second } innings pair
+ */
+const startSecondInnings = (match) => {
+  // During a super over this is the second side's chase
+  const pair = match.getCurrentInningsPair();
+
+  match.currentInnings = 'second';
+  pair.second.status = INNINGS_STATUS.NOT_STARTED;
+  match.status = MATCH_STATUS.IN_PROGRESS;
+
+  return pair;
+};
+
+/**
+ * Add a super over to settle a tie
+ * @param {Object} match - Match document, tied and waiting for a super over
+ * @returns {Object} - { battingFirst, bowlingFirst } team keys
+ */
+const startSuperOver = (match) => {
+  // The side that batted second in the match, or in the last super over, bats first
+  const battingFirst = match.getCurrentInningsPair().second.battingTeam;
+  const bowlingFirst = battingFirst === 'teamA' ? 'teamB' : 'teamA';
+  const newInnings = (battingTeam, bowlingTeam) => ({
+    battingTeam,
+    bowlingTeam,
+    isSuperOver: true,
+    status: INNINGS_STATUS.NOT_STARTED,
+    extras: { wides: 0, noBalls: 0, byes: 0, legByes: 0, penalty: 0, total: 0 },
+    balls: [],
+    fallOfWickets: []
+  });
+
+  match.superOvers.push({
+    first: newInnings(battingFirst, bowlingFirst),
+    second: newInnings(bowlingFirst, battingFirst)
+  });
+  match.currentSuperOver = match.superOvers.length;
+  match.currentInnings = 'first';
+  match.status = MATCH_STATUS.IN_PROGRESS;
+
+  return { battingFirst, bowlingFirst };
+};
+
+module.exports = {
+  getUserId,
+  hasPlayer,
+  isSamePlayer,
+  findTeamPlayer,
+  findPerformance,
+  ballsToOvers,
+  updatePlayerPerformances,
+  rebuildPlayerPerformances,
+  getBowlerQuotas,
+  checkBowlerEligibility,
+  checkBatsmanEligibility,
+  isLastManStanding,
+  getPairNumber,
+  getPairsScorecard,
+  getCurrentPartnership,
+  retireBatsman,
+  sendInBatsman,
+  buildBall,
+  findBallByClientId,
+  checkExpectedPosition,
+  applyBall,
+  refreshMatchStatus,
+  reduceOvers,
+  replayMatch,
+  undoLastBall,
+  amendBall,
+  deleteBall,
+  conductToss,
+  setBatsmen,
+  setBowler,
+  setNewBatsman,
+  recordDelivery,
+  startSecondInnings,
+  startSuperOver
+};
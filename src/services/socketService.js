@@ -189,6 +189,15 @@ const emitOverComplete = (matchId, overData) => {
   emitToMatch(matchId, SOCKET_EVENTS.OVER_COMPLETE, overData);
 };
 
+/**
+ * Emit new commentary lines
+ * @param {string} matchId - Match ID
+ * @param {Object} commentary - Innings and the lines generated for the latest ball
+ */
+const emitCommentary = (matchId, commentary) => {
+  emitToMatch(matchId, SOCKET_EVENTS.COMMENTARY, commentary);
+};
+
 /**
  * Emit innings start
  * @param {string} matchId - Match ID
@@ -207,6 +216,33 @@ const emitInningsEnd = (matchId, innings) => {
   emitToMatch(matchId, SOCKET_EVENTS.INNINGS_END, innings);
 };
 
+/**
+ * Emit super over start
+ * @param {string} matchId - Match ID
+ * @param {Object} superOver - Super over number and batting order
+ */
+const emitSuperOverStart = (matchId, superOver) => {
+  emitToMatch(matchId, SOCKET_EVENTS.SUPER_OVER_START, superOver);
+};
+
+/**
+ * Emit super over end
+ * @param {string} matchId - Match ID
+ * @param {Object} superOver - Super over scores and what happens next
+ */
+const emitSuperOverEnd = (matchId, superOver) => {
+  emitToMatch(matchId, SOCKET_EVENTS.SUPER_OVER_END, superOver);
+};
+
+/**
+ * Emit the Player of the Match pick
+ * @param {string} matchId - Match ID
+ * @param {Object} pick - Player, impact score and how they were picked
+ */
+const emitManOfTheMatch = (matchId, pick) => {
+  emitToMatch(matchId, SOCKET_EVENTS.MAN_OF_THE_MATCH, pick);
+};
+
 /**
  * Emit match end
  * @param {string} matchId - Match ID
@@ -262,8 +298,12 @@ module.exports = {
   emitScoreUpdate,
   emitWicket,
   emitOverComplete,
+  emitCommentary,
   emitInningsStart,
   emitInningsEnd,
+  emitSuperOverStart,
+  emitSuperOverEnd,
+  emitManOfTheMatch,
   emitMatchEnd,
   emitNotification,
   emitFriendEvent
@@ -0,0 +1,619 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Match = require('../models/Match');
+const { MATCH_STATUS } = require('../config/constants');
+const { ConflictError, ERROR_CODES, ERROR_MESSAGES } = require('../utils/errors');
+const { getUserId, rebuildPlayerPerformances } = require('./scoringService');
+
+// Additive User.statistics counters credited per match
+const CAREER_COUNTERS = [
+  'matchesPlayed',
+  'matchesWon',
+  'matchesLost',
+  'totalRuns',
+  'totalBallsFaced',
+  'centuries',
+  'fifties',
+  'fours',
+  'sixes',
+  'notOuts',
+  'totalWickets',
+  'totalOversBowled',
+  'totalRunsConceded',
+  'catches',
+  'runOuts',
+  'stumpings',
+  'potmAwards',
+  'matchesUmpired'
+];
+
+// Performance figures compared when rebuilding a match from its balls
+const PERFORMANCE_FIELDS = [
+  'batting.runs',
+  'batting.ballsFaced',
+  'batting.fours',
+  'batting.sixes',
+  'batting.isOut',
+  'batting.battingPosition',
+  'bowling.balls',
+  'bowling.runs',
+  'bowling.wickets',
+  'bowling.wides',
+  'bowling.noBalls',
+  'fielding.catches',
+  'fielding.runOuts',
+  'fielding.stumpings'
+];
+
+const RECOMPUTE_DEFAULTS = {
+  BATCH_SIZE: 100,
+  MAX_REPORTED_CHANGES: 100
+};
+
+// Times a statistics sync re-reads the match after another sync moved its ledger first
+const MAX_LEDGER_ATTEMPTS = 3;
+
+// A sync that fails after its match was saved is tried again this long after,
+// from the match as it's stored then, this many times in all
+const SYNC_RETRY_DELAY_MS = 60 * 1000;
+const MAX_SYNC_ATTEMPTS = 5;
+
+// Times the recompute job reloads a match that was saved elsewhere while it was rebuilt
+const MAX_RECOMPUTE_ATTEMPTS = 3;
+
+/**
+ * Build the career statistics each linked user earns from a completed match
+ * @param {Object} match - Completed match document
+ * @returns {Map<string, Object>} - User ID -> counter increments
+ */
+const buildMatchStatistics = (match) => {
+  const credits = new Map();
+
+  const creditFor = (userId) => {
+    if (!credits.has(userId)) {
+      credits.set(userId, Object.fromEntries(CAREER_COUNTERS.map(field => [field, 0])));
+    }
+    return credits.get(userId);
+  };
+
+  const winner = match.result?.winner;
+
+  ['teamA', 'teamB'].forEach(team => {
+    match[team].players
+      .filter(player => player.user)
+      .forEach(player => {
+        const stats = creditFor(getUserId(player.user));
+        stats.matchesPlayed += 1;
+        if (winner === team) stats.matchesWon += 1;
+        if (winner && winner !== team) stats.matchesLost += 1;
+      });
+  });
+
+  match.playerPerformances
+    .filter(performance => performance.player?.user)
+    .forEach(({ player, batting, bowling, fielding }) => {
+      const stats = creditFor(getUserId(player.user));
+
+      stats.totalRuns += batting.runs;
+      stats.totalBallsFaced += batting.ballsFaced;
+      stats.fours += batting.fours;
+      stats.sixes += batting.sixes;
+      if (batting.runs >= 100) stats.centuries += 1;
+      else if (batting.runs >= 50) stats.fifties += 1;
+      // Anything short of a dismissal counts as not out, so the batting average is runs per dismissal
+      if (!batting.isOut) stats.notOuts += 1;
+
+      stats.totalWickets += bowling.wickets;
+      stats.totalOversBowled += bowling.balls / match.getBallsPerOver();
+      stats.totalRunsConceded += bowling.runs;
+
+      stats.catches += fielding.catches;
+      stats.runOuts += fielding.runOuts;
+      stats.stumpings += fielding.stumpings;
+    });
+
+  if (match.manOfTheMatch?.user) {
+    creditFor(getUserId(match.manOfTheMatch.user)).potmAwards += 1;
+  }
+
+  if (match.umpire?.user && !match.umpire.isGuest) {
+    creditFor(getUserId(match.umpire.user)).matchesUmpired += 1;
+  }
+
+  return credits;
+};
+
+/**
+ * Apply counter increments to users' career statistics
+ * @param {Array} entries - [{ user, stats }], negative values revert
+ */
+const applyCounters = async (entries) => {
+  const operations = entries
+    .map(({ user, stats }) => ({
+      user,
+      increments: Object.fromEntries(
+        Object.entries(stats)
+          .filter(([, value]) => value !== 0)
+          .map(([field, value]) => [`statistics.${field}`, value])
+      )
+    }))
+    .filter(({ increments }) => Object.keys(increments).length > 0)
+    .map(({ user, increments }) => ({
+      updateOne: {
+        filter: { _id: user },
+        update: { $inc: increments }
+      }
+    }));
+
+  if (!operations.length) return;
+
+  await User.bulkWrite(operations);
+};
+
+/**
+ * Recompute highest score and best bowling from all completed matches
+ * These are not additive, so they can't be reverted by subtraction
+ * @param {Array<string>} userIds - Users to refresh
+ */
+const refreshPersonalBests = async (userIds) => {
+  if (!userIds.length) return;
+
+  const ids = userIds.map(id => new mongoose.Types.ObjectId(id));
+
+  const bests = await Match.aggregate([
+    { $match: { status: MATCH_STATUS.COMPLETED, 'playerPerformances.player.user': { $in: ids } } },
+    { $unwind: '$playerPerformances' },
+    { $match: { 'playerPerformances.player.user': { $in: ids } } },
+    { $sort: { 'playerPerformances.bowling.wickets': -1, 'playerPerformances.bowling.runs': 1 } },
+    {
+      $group: {
+        _id: '$playerPerformances.player.user',
+        highestScore: { $max: '$playerPerformances.batting.runs' },
+        bestWickets: { $first: '$playerPerformances.bowling.wickets' },
+        bestRuns: { $first: '$playerPerformances.bowling.runs' }
+      }
+    }
+  ]);
+
+  const bestsByUser = new Map(bests.map(best => [best._id.toString(), best]));
+
+  await User.bulkWrite(userIds.map(userId => {
+    const best = bestsByUser.get(userId);
+    const hasWickets = best && best.bestWickets > 0;
+
+    return {
+      updateOne: {
+        filter: { _id: userId },
+        update: {
+          $set: {
+            'statistics.highestScore': best?.highestScore || 0,
+            'statistics.bestBowling.wickets': hasWickets ? best.bestWickets : 0,
+            'statistics.bestBowling.runs': hasWickets ? best.bestRuns : 0
+          }
+        }
+      }
+    };
+  }));
+};
+
+/**
+ * Build the ledger entries a match should have credited for its current status
+ * @param {Object} match - Match document
+ * @returns {Array} - [{ user, stats }]
+ */
+const buildLedgerEntries = (match) => {
+  if (match.status !== MATCH_STATUS.COMPLETED) return [];
+  return Array.from(buildMatchStatistics(match), ([user, stats]) => ({ user, stats }));
+};
+
+/**
+ * Work out the counter changes that take users from one ledger to another
+ * @param {Array} previousEntries - [{ user, stats }] credited before
+ * @param {Array} entries - [{ user, stats }] to be credited now
+ * @returns {Array} - [{ user, stats }] with the difference per user
+ */
+const diffLedgerEntries = (previousEntries, entries) => {
+  const changes = new Map();
+
+  const add = ({ user, stats }, direction) => {
+    const userId = getUserId(user);
+    if (!changes.has(userId)) {
+      changes.set(userId, { user, stats: Object.fromEntries(CAREER_COUNTERS.map(field => [field, 0])) });
+    }
+
+    const change = changes.get(userId).stats;
+    Object.entries(stats || {}).forEach(([field, value]) => {
+      change[field] = (change[field] || 0) + (value || 0) * direction;
+    });
+  };
+
+  previousEntries.forEach(entry => add(entry, -1));
+  entries.forEach(entry => add(entry, 1));
+
+  return [...changes.values()];
+};
+
+/**
+ * Whether a stored ledger credits anything other than the given entries
+ * @param {Array} previousEntries - [{ user, stats }] credited before
+ * @param {Array} entries - [{ user, stats }] the match earns now
+ * @returns {boolean}
+ */
+const ledgerDiffers = (previousEntries, entries) =>
+  diffLedgerEntries(previousEntries, entries)
+    .some(({ stats }) => Object.values(stats).some(value => roundStat(value) !== 0));
+
+/**
+ * Bring users' career statistics in line with a match's current state
+ * Moves the counters from what the ledger says was credited before to what the match
+ * earns now (nothing unless it's completed), so calling it any number of times (or after
+ * abandoning/correcting a match) never double counts. The new ledger is written first,
+ * and only if no other sync has moved it since the match was loaded, so a failed write
+ * leaves the counters untouched rather than out of step with the ledger.
+ * @param {Object} match - Match document (already saved with its latest status)
+ * @param {number} attempt - Internal retry count
+ * @returns {Object} - Updated statistics ledger
+ */
+const syncMatchStatistics = async (match, attempt = 1) => {
+  const previousLedger = match.statisticsLedger;
+  const previousEntries = (previousLedger?.entries || [])
+    .map(({ user, stats }) => ({ user, stats }));
+
+  const entries = buildLedgerEntries(match);
+  const ledger = {
+    appliedAt: entries.length ? new Date() : undefined,
+    entries
+  };
+
+  const { matchedCount } = await Match.updateOne(
+    { _id: match._id, 'statisticsLedger.appliedAt': previousLedger?.appliedAt ?? null },
+    { $set: { statisticsLedger: ledger } }
+  );
+
+  if (!matchedCount) {
+    // Another sync got there first: start again from the ledger it left
+    const latest = attempt < MAX_LEDGER_ATTEMPTS && await Match.findById(match._id);
+
+    if (!latest) {
+      throw new ConflictError(
+        ERROR_MESSAGES[ERROR_CODES.MATCH_UPDATE_CONFLICT],
+        ERROR_CODES.MATCH_UPDATE_CONFLICT
+      );
+    }
+
+    match.statisticsLedger = await syncMatchStatistics(latest, attempt + 1);
+    return match.statisticsLedger;
+  }
+
+  match.statisticsLedger = ledger;
+
+  await applyCounters(diffLedgerEntries(previousEntries, entries));
+
+  const affectedUserIds = [...new Set([
+    ...previousEntries.map(entry => getUserId(entry.user)),
+    ...entries.map(entry => getUserId(entry.user))
+  ])];
+  await refreshPersonalBests(affectedUserIds);
+
+  return match.statisticsLedger;
+};
+
+/**
+ * Sync a match's statistics as a side effect of the request that saved it
+ * The match is already stored, so a failure doesn't fail the request: it's
+ * logged and the sync tried again later. Each sync settles the counters from
+ * the stored ledger, so a retry catches up however far it fell behind.
+ * @param {Object} match - Match document, already saved
+ * @param {number} attempt - Internal retry count
+ */
+const syncMatchStatisticsOrRetry = async (match, attempt = 1) => {
+  try {
+    const current = attempt > 1 ? await Match.findById(match._id) : match;
+    if (current) await syncMatchStatistics(current);
+  } catch (error) {
+    if (attempt >= MAX_SYNC_ATTEMPTS) {
+      console.error(`Statistics sync gave up for match ${match._id}: ${error.message}`);
+      return;
+    }
+
+    console.warn(`Statistics sync failed for match ${match._id}, retrying: ${error.message}`);
+    setTimeout(() => syncMatchStatisticsOrRetry(match, attempt + 1), SYNC_RETRY_DELAY_MS).unref();
+  }
+};
+
+/**
+ * Run a handler over a cursor, yielding to the event loop between batches
+ * so a long recompute doesn't starve API requests
+ * @param {Object} cursor - Mongoose query cursor
+ * @param {number} batchSize - Documents per batch
+ * @param {Function} handler - Async handler per document
+ * @returns {number} - Documents processed
+ */
+const processInBatches = async (cursor, batchSize, handler) => {
+  let processed = 0;
+
+  for await (const doc of cursor) {
+    await handler(doc);
+    processed += 1;
+
+    if (processed % batchSize === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  return processed;
+};
+
+/**
+ * Filter for matches a set of users took part in (as player or umpire)
+ * @param {Array<string>} userIds - User IDs
+ * @returns {Object} - MongoDB filter
+ */
+const participantFilter = (userIds) => {
+  const ids = userIds.map(id => new mongoose.Types.ObjectId(id));
+  return {
+    $or: [
+      { 'teamA.players.user': { $in: ids } },
+      { 'teamB.players.user': { $in: ids } },
+      { 'playerPerformances.player.user': { $in: ids } },
+      { 'umpire.user': { $in: ids } }
+    ]
+  };
+};
+
+/**
+ * Collect every registered user linked to a match
+ * @param {Object} match - Match document
+ * @returns {Array<string>} - User IDs
+ */
+const getLinkedUserIds = (match) => {
+  const userIds = [
+    ...match.teamA.players.map(p => p.user),
+    ...match.teamB.players.map(p => p.user),
+    ...match.playerPerformances.map(p => p.player?.user),
+    ...(match.statisticsLedger?.entries || []).map(entry => entry.user),
+    match.umpire?.isGuest ? null : match.umpire?.user
+  ];
+
+  return [...new Set(userIds.filter(Boolean).map(getUserId))];
+};
+
+/**
+ * Describe how a match's performance figures differ between two snapshots
+ */
+const diffPerformances = (before, after, performances) => {
+  const changes = [];
+
+  after.forEach((figures, index) => {
+    const player = performances[index].player;
+    PERFORMANCE_FIELDS.forEach(field => {
+      const previous = before[index]?.[field];
+      if (previous !== figures[field]) {
+        changes.push({
+          player: player.guestName || getUserId(player.user),
+          team: performances[index].team,
+          field,
+          before: previous,
+          after: figures[field]
+        });
+      }
+    });
+  });
+
+  return changes;
+};
+
+const snapshotPerformances = (match) => {
+  return match.playerPerformances.map(performance =>
+    Object.fromEntries(PERFORMANCE_FIELDS.map(field => [field, performance.get(field)]))
+  );
+};
+
+const emptyCareerStatistics = () => ({
+  ...Object.fromEntries(CAREER_COUNTERS.map(field => [field, 0])),
+  highestScore: 0,
+  bestBowling: { wickets: 0, runs: 0 }
+});
+
+const roundStat = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Accumulate career statistics from completed matches, rebuilt from their balls
+ * @param {Object} filter - Extra match filter
+ * @param {Set<string>|null} userIds - Only accumulate these users (null for everyone)
+ * @param {number} batchSize - Matches per batch
+ * @returns {Map<string, Object>} - User ID -> full career statistics
+ */
+const accumulateCareerStatistics = async (filter, userIds, batchSize) => {
+  const totals = new Map();
+
+  const cursor = Match.find({ ...filter, status: MATCH_STATUS.COMPLETED }).cursor({ batchSize });
+
+  await processInBatches(cursor, batchSize, async (match) => {
+    rebuildPlayerPerformances(match);
+
+    buildMatchStatistics(match).forEach((stats, userId) => {
+      if (userIds && !userIds.has(userId)) return;
+      if (!totals.has(userId)) totals.set(userId, emptyCareerStatistics());
+
+      const career = totals.get(userId);
+      CAREER_COUNTERS.forEach(field => {
+        career[field] = roundStat(career[field] + stats[field]);
+      });
+    });
+
+    match.playerPerformances
+      .filter(performance => performance.player?.user)
+      .forEach(({ player, batting, bowling }) => {
+        const career = totals.get(getUserId(player.user));
+        if (!career) return;
+
+        career.highestScore = Math.max(career.highestScore, batting.runs);
+
+        const best = career.bestBowling;
+        if (bowling.wickets > 0 && (bowling.wickets > best.wickets ||
+          (bowling.wickets === best.wickets && bowling.runs < best.runs))) {
+          career.bestBowling = { wickets: bowling.wickets, runs: bowling.runs };
+        }
+      });
+  });
+
+  return totals;
+};
+
+/**
+ * Describe how a user's stored statistics differ from recomputed ones
+ */
+const diffCareerStatistics = (stored, computed) => {
+  const changes = {};
+
+  CAREER_COUNTERS.concat('highestScore').forEach(field => {
+    const previous = roundStat(stored?.[field] || 0);
+    if (previous !== computed[field]) {
+      changes[field] = { before: previous, after: computed[field] };
+    }
+  });
+
+  ['wickets', 'runs'].forEach(field => {
+    const previous = stored?.bestBowling?.[field] || 0;
+    if (previous !== computed.bestBowling[field]) {
+      changes[`bestBowling.${field}`] = { before: previous, after: computed.bestBowling[field] };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Rebuild match performances and users' career statistics from raw ball data
+ * @param {Object} options - Recompute options
+ * @param {string} options.userId - Limit to one user (and the matches they played)
+ * @param {string} options.matchId - Limit to one match (and its linked users)
+ * @param {boolean} options.dryRun - Report differences without writing anything
+ * @param {number} options.batchSize - Documents processed between event loop yields
+ * @returns {Object} - Diff report
+ */
+const recomputeStatistics = async ({
+  userId,
+  matchId,
+  dryRun = false,
+  batchSize = RECOMPUTE_DEFAULTS.BATCH_SIZE
+} = {}) => {
+  const isFullRun = !userId && !matchId;
+  const report = {
+    dryRun,
+    scope: matchId ? { matchId } : userId ? { userId } : { all: true },
+    matches: { scanned: 0, changed: 0, failed: [], details: [] },
+    users: { scanned: 0, changed: 0, details: [] }
+  };
+
+  // 1. Rebuild match performances (and their statistics ledgers) from the balls
+  const matchFilter = matchId
+    ? { _id: matchId }
+    : userId ? participantFilter([userId]) : {};
+  const scopedUserIds = new Set(userId ? [userId.toString()] : []);
+
+  const rebuildMatch = async (match, attempt = 1) => {
+    const before = snapshotPerformances(match);
+    rebuildPlayerPerformances(match);
+    const changes = diffPerformances(before, snapshotPerformances(match), match.playerPerformances);
+
+    const entries = buildLedgerEntries(match);
+    const ledgerRewritten = ledgerDiffers(match.statisticsLedger?.entries || [], entries);
+
+    if (!changes.length && !ledgerRewritten) return null;
+
+    if (!dryRun) {
+      match.statisticsLedger = {
+        appliedAt: entries.length ? new Date() : undefined,
+        entries
+      };
+
+      try {
+        await match.save();
+      } catch (error) {
+        // Scored or synced while it was being rebuilt: start again from what was saved
+        const latest = error instanceof mongoose.Error.VersionError &&
+          attempt < MAX_RECOMPUTE_ATTEMPTS && await Match.findById(match._id);
+
+        if (!latest) throw error;
+        return rebuildMatch(latest, attempt + 1);
+      }
+    }
+
+    return { matchId: match._id, changes, ledgerRewritten };
+  };
+
+  report.matches.scanned = await processInBatches(
+    Match.find(matchFilter).cursor({ batchSize }),
+    batchSize,
+    async (match) => {
+      if (!isFullRun) {
+        getLinkedUserIds(match).forEach(id => scopedUserIds.add(id));
+      }
+
+      let detail;
+      try {
+        detail = await rebuildMatch(match);
+      } catch (error) {
+        // Leave the match as it was and carry on with the rest
+        report.matches.failed.push({ matchId: match._id, error: error.message });
+        return;
+      }
+
+      if (!detail) return;
+
+      report.matches.changed += 1;
+      if (report.matches.details.length < RECOMPUTE_DEFAULTS.MAX_REPORTED_CHANGES) {
+        report.matches.details.push(detail);
+      }
+    }
+  );
+
+  // 2. Recompute career totals for every affected user
+  const userIds = isFullRun ? null : scopedUserIds;
+  const totals = await accumulateCareerStatistics(
+    isFullRun ? {} : participantFilter([...scopedUserIds]),
+    userIds,
+    batchSize
+  );
+
+  const userCursor = User.find(isFullRun ? {} : { _id: { $in: [...scopedUserIds] } })
+    .select('username statistics')
+    .cursor({ batchSize });
+
+  report.users.scanned = await processInBatches(userCursor, batchSize, async (user) => {
+    const computed = totals.get(user._id.toString()) || emptyCareerStatistics();
+    const changes = diffCareerStatistics(user.statistics, computed);
+
+    if (!Object.keys(changes).length) return;
+
+    report.users.changed += 1;
+    if (report.users.details.length < RECOMPUTE_DEFAULTS.MAX_REPORTED_CHANGES) {
+      report.users.details.push({ userId: user._id, username: user.username, changes });
+    }
+
+    if (!dryRun) {
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: Object.fromEntries(
+            Object.entries(computed).map(([field, value]) => [`statistics.${field}`, value])
+          )
+        }
+      );
+    }
+  });
+
+  return report;
+};
+
+module.exports = {
+  CAREER_COUNTERS,
+  RECOMPUTE_DEFAULTS,
+  buildMatchStatistics,
+  syncMatchStatistics,
+  syncMatchStatisticsOrRetry,
+  refreshPersonalBests,
+  recomputeStatistics
+};
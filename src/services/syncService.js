@@ -0,0 +1,117 @@
+const { SYNC_ACTIONS, MATCH_TRANSITIONS } = require('../config/constants');
+const {
+  ValidationError,
+  ConflictError,
+  ERROR_CODES,
+  ERROR_MESSAGES
+} = require('../utils/errors');
+const scoringService = require('./scoringService');
+const matchStateService = require('./matchStateService');
+
+/**
+ * Apply one offline scoring action through the same rules and match
+ * transition as its endpoint
+ * @param {Object} match - Match document
+ * @param {Object} action - Action with a type and the fields its endpoint takes
+ * @returns {Object} - What the action did
+ */
+const applyAction = (match, action) => {
+  switch (action.type) {
+    case SYNC_ACTIONS.TOSS: {
+      if (!action.winner || !action.decision) {
+        throw new ValidationError('Toss winner and decision are required');
+      }
+
+      matchStateService.transition(match, MATCH_TRANSITIONS.TOSS,
+        () => scoringService.conductToss(match, action));
+      return { applied: true };
+    }
+    case SYNC_ACTIONS.BATSMEN:
+      matchStateService.transition(match, MATCH_TRANSITIONS.SCORE,
+        () => scoringService.setBatsmen(match, action));
+      return { applied: true };
+    case SYNC_ACTIONS.BOWLER:
+      matchStateService.transition(match, MATCH_TRANSITIONS.SCORE,
+        () => scoringService.setBowler(match, action));
+      return { applied: true };
+    case SYNC_ACTIONS.NEW_BATSMAN:
+      matchStateService.transition(match, MATCH_TRANSITIONS.SCORE,
+        () => scoringService.setNewBatsman(match, action));
+      return { applied: true };
+    case SYNC_ACTIONS.BALL: {
+      // A ball the server already has, from an earlier sync or a request
+      // that got through before the signal dropped, isn't recorded again
+      const alreadyRecorded = action.clientBallId &&
+        scoringService.findBallByClientId(match, action.clientBallId);
+
+      if (alreadyRecorded) {
+        return { applied: false, duplicate: true, ballId: alreadyRecorded.ball._id };
+      }
+
+      if (!action.outcome && !action.groundRule) {
+        throw new ValidationError('Ball outcome is required');
+      }
+
+      const { innings, ball } = matchStateService.transition(match, MATCH_TRANSITIONS.SCORE,
+        () => scoringService.recordDelivery(match, action));
+      return {
+        applied: true,
+        ballId: ball._id,
+        overs: `${innings.totalOvers}.${innings.currentBall}`
+      };
+    }
+    case SYNC_ACTIONS.UNDO: {
+      const removedBall = matchStateService.transition(match, MATCH_TRANSITIONS.CORRECT,
+        () => scoringService.undoLastBall(match));
+
+      if (!removedBall) {
+        throw new ValidationError('No balls to undo');
+      }
+
+      return { applied: true, ballId: removedBall._id };
+    }
+    case SYNC_ACTIONS.SECOND_INNINGS:
+      matchStateService.transition(match, MATCH_TRANSITIONS.START_SECOND_INNINGS,
+        () => scoringService.startSecondInnings(match));
+      return { applied: true };
+    case SYNC_ACTIONS.SUPER_OVER:
+      matchStateService.transition(match, MATCH_TRANSITIONS.START_SUPER_OVER,
+        () => scoringService.startSuperOver(match));
+      return { applied: true };
+    default:
+      throw new ValidationError(`Unknown scoring action "${action.type}"`);
+  }
+};
+
+/**
+ * Apply an ordered batch of offline scoring actions to a match. The batch is
+ * all or nothing: the first action the server's state rejects stops the sync,
+ * and the caller must not save the match.
+ * @param {Object} match - Match document
+ * @param {Array} actions - Actions in the order they were scored
+ * @returns {Array} - One result per action: { index, type, applied, duplicate?, ballId?, overs? }
+ */
+const applyActions = (match, actions) => {
+  return actions.map((action, index) => {
+    try {
+      return { index, type: action.type, ...applyAction(match, action) };
+    } catch (error) {
+      if (!error.isOperational) throw error;
+
+      // Later actions build on the state this one would have left, so only
+      // the first rejection can be reported; malformed fields in any action
+      // were already reported together by the request validation
+      throw new ConflictError(ERROR_MESSAGES[ERROR_CODES.SYNC_CONFLICT], ERROR_CODES.SYNC_CONFLICT, [{
+        field: `actions[${index}]`,
+        type: action.type,
+        errorCode: error.errorCode,
+        message: error.message,
+        notApplied: actions.length - index
+      }]);
+    }
+  });
+};
+
+module.exports = {
+  applyActions
+};
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const Match = require('../models/Match');
+const {
+  MATCH_STATUS,
+  SHOT_ZONES,
+  ARENA_WALLS
+} = require('../config/constants');
+const { isSamePlayer } = require('./scoringService');
+
+/**
+ * Check if a delivery has anything recorded about where it was hit
+ * @param {Object} ball - Ball subdocument
+ * @returns {boolean}
+ */
+const hasShot = (ball) => {
+  const shot = ball.shot;
+  return Boolean(shot && (shot.zone || shot.wall || shot.angle != null));
+};
+
+/**
+ * Start an empty wagon wheel, with every zone and wall present so charts
+ * can draw the ones the batsman never reached
+ * @returns {Object}
+ */
+const createWagonWheel = () => {
+  const emptyCounts = (keys) => Object.fromEntries(
+    keys.map(key => [key, { shots: 0, runs: 0, fours: 0, sixes: 0 }])
+  );
+
+  return {
+    shots: 0,
+    runs: 0,
+    fours: 0,
+    sixes: 0,
+    zones: emptyCounts(Object.values(SHOT_ZONES)),
+    walls: emptyCounts(Object.values(ARENA_WALLS)),
+    points: []
+  };
+};
+
+/**
+ * Add a delivery's shot to a wagon wheel
+ * @param {Object} wheel - From createWagonWheel
+ * @param {Object} ball - Ball subdocument with a shot
+ */
+const addShot = (wheel, ball) => {
+  const { zone, wall, angle, distance } = ball.shot;
+  const runs = ball.runs.batsmanRuns;
+  const isFour = ball.isBoundary && runs === 4;
+  const isSix = ball.isBoundary && runs === 6;
+
+  [wheel, wheel.zones[zone], wheel.walls[wall]].filter(Boolean).forEach(counts => {
+    counts.shots += 1;
+    counts.runs += runs;
+    if (isFour) counts.fours += 1;
+    if (isSix) counts.sixes += 1;
+  });
+
+  // Only shots with an angle can be plotted as lines on the wheel
+  if (angle != null) {
+    wheel.points.push({ angle, distance, runs, zone, wall, isBoundary: ball.isBoundary });
+  }
+};
+
+/**
+ * Get the deliveries each innings of a match was batted, leaving out super
+ * overs as player figures do
+ * @param {Object} match - Match document
+ * @returns {Array} - [{ team, balls }]
+ */
+const getMatchInnings = (match) => {
+  return [match.innings?.first, match.innings?.second]
+    .filter(innings => innings?.battingTeam)
+    .map(innings => ({ team: innings.battingTeam, balls: innings.balls }));
+};
+
+/**
+ * Build a wagon wheel for every batsman in a match
+ * @param {Object} match - Match document
+ * @param {Object} player - Only this batsman, if given
+ * @returns {Array} - [{ player, team, ...wagon wheel }], most runs first
+ */
+const getMatchWagonWheels = (match, player) => {
+  const wheels = [];
+
+  getMatchInnings(match).forEach(({ team, balls }) => {
+    balls.forEach(ball => {
+      if (!hasShot(ball) || (player && !isSamePlayer(ball.batsman, player))) return;
+
+      let entry = wheels.find(wheel => wheel.team === team && isSamePlayer(wheel.player, ball.batsman));
+      if (!entry) {
+        entry = { player: ball.batsman, team, ...createWagonWheel() };
+        wheels.push(entry);
+      }
+
+      addShot(entry, ball);
+    });
+  });
+
+  return wheels.sort((a, b) => b.runs - a.runs);
+};
+
+/**
+ * Build a user's wagon wheel across every match they have completed. Only
+ * the deliveries they faced leave the database, cut down to the shot and runs.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { matches, ...wagon wheel }
+ */
+const getCareerWagonWheel = async (userId) => {
+  const id = new mongoose.Types.ObjectId(userId);
+
+  // Super overs are left out, as they are from player figures
+  const balls = await Match.aggregate([
+    { $match: { status: MATCH_STATUS.COMPLETED, 'playerPerformances.player.user': id } },
+    {
+      $project: {
+        balls: {
+          $concatArrays: [
+            { $ifNull: ['$innings.first.balls', []] },
+            { $ifNull: ['$innings.second.balls', []] }
+          ]
+        }
+      }
+    },
+    { $unwind: '$balls' },
+    { $match: { 'balls.batsman.user': id, 'balls.shot': { $ne: null } } },
+    { $project: { shot: '$balls.shot', runs: '$balls.runs', isBoundary: '$balls.isBoundary' } }
+  ]);
+
+  const wheel = { matches: 0, ...createWagonWheel() };
+  const matchIds = new Set();
+
+  balls.filter(hasShot).forEach(ball => {
+    matchIds.add(ball._id.toString());
+    addShot(wheel, ball);
+  });
+
+  wheel.matches = matchIds.size;
+
+  return wheel;
+};
+
+module.exports = {
+  hasShot,
+  getMatchWagonWheels,
+  getCareerWagonWheel
+};
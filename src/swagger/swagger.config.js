@@ -95,7 +95,8 @@ Cricket Box is a comprehensive digital platform for organizing, playing, officia
             sixes: { type: 'integer' },
             totalWickets: { type: 'integer' },
             totalOversBowled: { type: 'number' },
-            catches: { type: 'integer' }
+            catches: { type: 'integer' },
+            potmAwards: { type: 'integer', description: 'Player of the Match awards' }
           }
         },
         Room: {
@@ -142,9 +143,38 @@ Cricket Box is a comprehensive digital platform for organizing, playing, officia
           properties: {
             overs: { type: 'integer', default: 6, minimum: 1, maximum: 50 },
             playersPerTeam: { type: 'integer', default: 6, minimum: 2, maximum: 11 },
+            ballsPerOver: { type: 'integer', default: 6, minimum: 4, maximum: 10 },
             wideRuns: { type: 'integer', default: 1, minimum: 1, maximum: 2 },
             noBallRuns: { type: 'integer', default: 1, minimum: 1, maximum: 2 },
-            noBallFreehit: { type: 'boolean', default: true }
+            noBallFreehit: { type: 'boolean', default: true },
+            format: { type: 'string', enum: ['standard', 'pairs'], default: 'standard' },
+            oversPerPair: { type: 'integer', default: 2, minimum: 1, maximum: 10 },
+            dismissalPenalty: { type: 'integer', default: 5, minimum: 0, maximum: 20 },
+            ruleSet: { type: 'string', description: 'Rule set whose ground rules the umpire can record' }
+          }
+        },
+        GroundRule: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string', maxLength: 40, example: 'Back net on the full' },
+            description: { type: 'string', maxLength: 200 },
+            runs: { type: 'integer', default: 0, minimum: 0, maximum: 10 },
+            extra: { type: 'string', enum: ['none', 'wide', 'no_ball', 'bye', 'leg_bye'], default: 'none', description: 'Score the runs as an extra instead of off the bat' },
+            runsCompleted: { type: 'integer', description: 'Runs the batsmen ran, which decides the strike. Defaults to 0 for a 4 or 6, otherwise the runs' },
+            isWicket: { type: 'boolean', default: false },
+            dismissalType: { type: 'string', description: 'Defaults to ground_rule, which is not credited to the bowler' },
+            isLegalDelivery: { type: 'boolean', default: true, description: 'Whether the ball counts towards the over' }
+          }
+        },
+        Shot: {
+          type: 'object',
+          description: 'Where the ball was hit, for wagon wheels. Send a zone, an angle and distance, or both',
+          properties: {
+            zone: { type: 'string', enum: ['fine_leg', 'square_leg', 'mid_wicket', 'long_on', 'long_off', 'cover', 'point', 'third_man'] },
+            angle: { type: 'integer', minimum: 0, maximum: 359, description: 'Degrees clockwise from straight down the ground' },
+            distance: { type: 'number', minimum: 0, maximum: 200, description: 'Metres from the batsman' },
+            wall: { type: 'string', enum: ['straight', 'behind', 'leg_side', 'off_side', 'roof'], description: 'Wall or net of a box arena the ball hit' }
           }
         },
         Team: {
@@ -190,7 +220,7 @@ Cricket Box is a comprehensive digital platform for organizing, playing, officia
           properties: {
             id: { type: 'string', format: 'objectId' },
             room: { type: 'string', format: 'objectId' },
-            status: { type: 'string', enum: ['scheduled', 'toss', 'in_progress', 'innings_break', 'completed', 'abandoned', 'cancelled'] },
+            status: { type: 'string', enum: ['scheduled', 'toss', 'in_progress', 'innings_break', 'super_over', 'completed', 'abandoned', 'cancelled'] },
             toss: { $ref: '#/components/schemas/Toss' },
             innings: {
               type: 'object',
@@ -199,6 +229,17 @@ Cricket Box is a comprehensive digital platform for organizing, playing, officia
                 second: { $ref: '#/components/schemas/Innings' }
               }
             },
+            superOvers: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  first: { $ref: '#/components/schemas/Innings' },
+                  second: { $ref: '#/components/schemas/Innings' }
+                }
+              }
+            },
+            currentSuperOver: { type: 'integer', description: 'Super over being played, numbered from 1' },
             result: { $ref: '#/components/schemas/MatchResult' }
           }
         },
@@ -227,6 +268,8 @@ Cricket Box is a comprehensive digital platform for organizing, playing, officia
           properties: {
             winner: { type: 'string', enum: ['teamA', 'teamB'] },
             resultType: { type: 'string', enum: ['team_a_won', 'team_b_won', 'tie', 'no_result', 'abandoned'] },
+            decidedBy: { type: 'string', enum: ['super_over', 'boundary_count'] },
+            superOvers: { type: 'integer' },
             resultText: { type: 'string' }
           }
         },
@@ -348,6 +391,7 @@ Cricket Box is a comprehensive digital platform for organizing, playing, officia
       { name: 'Friends', description: 'Friend management and leaderboards' },
       { name: 'Rooms', description: 'Match room management (max 3 participants)' },
       { name: 'Matches', description: 'Match management and live scoring' },
+      { name: 'Rule Sets', description: 'Box-cricket ground rules for rooms' },
       { name: 'Admin', description: 'Administrative operations' }
     ]
   },
@@ -60,8 +60,8 @@ class NotFoundError extends AppError {
  * Conflict Error - 409
  */
 class ConflictError extends AppError {
-  constructor(message = 'Resource already exists') {
-    super(message, 409, 'CONFLICT_ERROR');
+  constructor(message = 'Resource already exists', errorCode = 'CONFLICT_ERROR', errors = null) {
+    super(message, 409, errorCode, errors);
     this.name = 'ConflictError';
   }
 }
@@ -141,6 +141,12 @@ const ERROR_CODES = {
   TOSS_NOT_DONE: 'TOSS_NOT_DONE',
   INNINGS_NOT_STARTED: 'INNINGS_NOT_STARTED',
   INNINGS_COMPLETED: 'INNINGS_COMPLETED',
+  BALL_NOT_FOUND: 'BALL_NOT_FOUND',
+  RULE_SET_NOT_FOUND: 'RULE_SET_NOT_FOUND',
+  BALL_POSITION_MISMATCH: 'BALL_POSITION_MISMATCH',
+  MATCH_UPDATE_CONFLICT: 'MATCH_UPDATE_CONFLICT',
+  SYNC_CONFLICT: 'SYNC_CONFLICT',
+  INVALID_MATCH_TRANSITION: 'INVALID_MATCH_TRANSITION',
   
   // Team Errors
   TEAM_FULL: 'TEAM_FULL',
@@ -224,6 +230,12 @@ const ERROR_MESSAGES = {
   [ERROR_CODES.TOSS_NOT_DONE]: 'Please conduct the toss first',
   [ERROR_CODES.INNINGS_NOT_STARTED]: 'Innings has not started yet',
   [ERROR_CODES.INNINGS_COMPLETED]: 'Innings has been completed',
+  [ERROR_CODES.BALL_NOT_FOUND]: 'Ball not found',
+  [ERROR_CODES.RULE_SET_NOT_FOUND]: 'Rule set not found',
+  [ERROR_CODES.BALL_POSITION_MISMATCH]: 'The innings is not at the expected over and ball. Refresh the score and try again',
+  [ERROR_CODES.MATCH_UPDATE_CONFLICT]: 'The match was updated by another request. Refresh the score and try again',
+  [ERROR_CODES.SYNC_CONFLICT]: 'Offline scoring conflicts with the match on the server. Nothing was synced',
+  [ERROR_CODES.INVALID_MATCH_TRANSITION]: "That can't be done in the match's current status",
   
   // Team
   [ERROR_CODES.TEAM_FULL]: 'Team is full',
@@ -171,10 +171,11 @@ const parseOvers = (oversString) => {
  * @param {number} runs - Total runs
  * @param {number} overs - Overs bowled
  * @param {number} balls - Balls in current over
+ * @param {number} ballsPerOver - Legal balls in an over
  * @returns {number} - Run rate
  */
-const calculateRunRate = (runs, overs, balls = 0) => {
-  const totalOvers = overs + (balls / 6);
+const calculateRunRate = (runs, overs, balls = 0, ballsPerOver = 6) => {
+  const totalOvers = overs + (balls / ballsPerOver);
   if (totalOvers === 0) return 0;
   return parseFloat((runs / totalOvers).toFixed(2));
 };
@@ -185,11 +186,12 @@ const calculateRunRate = (runs, overs, balls = 0) => {
  * @param {number} currentRuns - Current runs
  * @param {number} oversRemaining - Overs remaining
  * @param {number} ballsRemaining - Balls remaining in current over
+ * @param {number} ballsPerOver - Legal balls in an over
  * @returns {number} - Required run rate
  */
-const calculateRequiredRunRate = (target, currentRuns, oversRemaining, ballsRemaining = 0) => {
+const calculateRequiredRunRate = (target, currentRuns, oversRemaining, ballsRemaining = 0, ballsPerOver = 6) => {
   const runsNeeded = target - currentRuns;
-  const totalOversRemaining = oversRemaining + (ballsRemaining / 6);
+  const totalOversRemaining = oversRemaining + (ballsRemaining / ballsPerOver);
   if (totalOversRemaining <= 0) return runsNeeded > 0 ? Infinity : 0;
   return parseFloat((runsNeeded / totalOversRemaining).toFixed(2));
 };
@@ -1,6 +1,6 @@
-const { body, param, query, validationResult } = require('express-validator');
+const { body, param, query, header, validationResult } = require('express-validator');
 const { ValidationError } = require('../utils/errors');
-const { VALIDATION, ROLES, ACCOUNT_STATUS, MATCH_STATUS, ROOM_STATUS, ROOM_ROLES, TOSS_DECISIONS, BALL_OUTCOMES, DISMISSAL_TYPES } = require('../config/constants');
+const { VALIDATION, ROLES, ACCOUNT_STATUS, MATCH_STATUS, ROOM_STATUS, ROOM_ROLES, TOSS_DECISIONS, BALL_OUTCOMES, DISMISSAL_TYPES, CREASE_ENDS, SYNC_ACTIONS, SUPER_OVER_MODES, MATCH_FORMATS, GROUND_RULE_EXTRAS, SHOT_ZONES, ARENA_WALLS } = require('../config/constants');
 
 /**
  * Validate request and throw error if validation fails
@@ -252,6 +252,45 @@ const createRoomValidation = [
     .isInt({ min: 2, max: 11 })
     .withMessage('Players per team must be between 2 and 11'),
 
+  body('settings.ballsPerOver')
+    .optional()
+    .isInt({ min: 4, max: 10 })
+    .withMessage('Balls per over must be between 4 and 10'),
+
+  body('settings.maxOversPerBowler')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Max overs per bowler must be between 1 and 50'),
+
+  body('settings.lastManStands')
+    .optional()
+    .isBoolean()
+    .withMessage('Last man stands must be a boolean'),
+
+  body('settings.superOver')
+    .optional()
+    .isIn(Object.values(SUPER_OVER_MODES))
+    .withMessage(`Super over must be one of: ${Object.values(SUPER_OVER_MODES).join(', ')}`),
+
+  body('settings.format')
+    .optional()
+    .isIn(Object.values(MATCH_FORMATS))
+    .withMessage(`Format must be one of: ${Object.values(MATCH_FORMATS).join(', ')}`),
+
+  body('settings.oversPerPair')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Overs per pair must be between 1 and 10'),
+
+  body('settings.dismissalPenalty')
+    .optional()
+    .isInt({ min: 0, max: 20 })
+    .withMessage('Dismissal penalty must be between 0 and 20 runs'),
+
+  body('settings.ruleSet')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid rule set ID'),
+
   validate
 ];
 
@@ -286,6 +325,45 @@ const updateRoomSettingsValidation = [
     .isInt({ min: 2, max: 11 })
     .withMessage('Players per team must be between 2 and 11'),
   
+  body('settings.ballsPerOver')
+    .optional()
+    .isInt({ min: 4, max: 10 })
+    .withMessage('Balls per over must be between 4 and 10'),
+  
+  body('settings.maxOversPerBowler')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Max overs per bowler must be between 1 and 50'),
+  
+  body('settings.lastManStands')
+    .optional()
+    .isBoolean()
+    .withMessage('Last man stands must be a boolean'),
+  
+  body('settings.superOver')
+    .optional()
+    .isIn(Object.values(SUPER_OVER_MODES))
+    .withMessage(`Super over must be one of: ${Object.values(SUPER_OVER_MODES).join(', ')}`),
+  
+  body('settings.format')
+    .optional()
+    .isIn(Object.values(MATCH_FORMATS))
+    .withMessage(`Format must be one of: ${Object.values(MATCH_FORMATS).join(', ')}`),
+  
+  body('settings.oversPerPair')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Overs per pair must be between 1 and 10'),
+  
+  body('settings.dismissalPenalty')
+    .optional()
+    .isInt({ min: 0, max: 20 })
+    .withMessage('Dismissal penalty must be between 0 and 20 runs'),
+  
+  body('settings.ruleSet')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid rule set ID'),
+  
   validate
 ];
 
@@ -316,6 +394,10 @@ const addPlayerValidation = [
     .isLength({ min: 2, max: 50 })
     .withMessage('Player name must be between 2 and 50 characters'),
 
+  body('userId')
+    .optional()
+    .isMongoId().withMessage('Invalid user ID'),
+
   body('isCaptain')
     .optional()
     .isBoolean()
@@ -381,48 +463,351 @@ const setBowlerValidation = [
   validate
 ];
 
+// Where a delivery was hit, at the given body path
+const shotFieldsValidation = (path) => [
+  body(path)
+    .optional()
+    .isObject()
+    .withMessage('Shot must be an object'),
+
+  body(`${path}.zone`)
+    .optional()
+    .isIn(Object.values(SHOT_ZONES))
+    .withMessage(`Shot zone must be one of: ${Object.values(SHOT_ZONES).join(', ')}`),
+
+  body(`${path}.angle`)
+    .optional()
+    .isInt({ min: 0, max: 359 })
+    .withMessage('Shot angle must be between 0 and 359 degrees')
+    .toInt(),
+
+  body(`${path}.distance`)
+    .optional()
+    .isFloat({ min: 0, max: 200 })
+    .withMessage('Shot distance must be between 0 and 200 metres')
+    .toFloat(),
+
+  body(`${path}.wall`)
+    .optional()
+    .isIn(Object.values(ARENA_WALLS))
+    .withMessage(`Wall must be one of: ${Object.values(ARENA_WALLS).join(', ')}`)
+];
+
+// How a delivery was scored, under the given path prefix (empty for the
+// body itself)
+const deliveryFieldsValidation = (prefix = '') => {
+  const field = (name) => (prefix ? `${prefix}.${name}` : name);
+
+  return [
+    body(field('groundRule'))
+      .optional()
+      .trim()
+      .notEmpty().withMessage('Ground rule name cannot be empty')
+      .isLength({ max: 40 }).withMessage('Ground rule name cannot exceed 40 characters'),
+
+    body(field('runs'))
+      .optional()
+      .isInt({ min: 0, max: 7 })
+      .withMessage('Runs must be between 0 and 7')
+      .toInt(),
+
+    body(field('isWicket'))
+      .optional()
+      .isBoolean()
+      .withMessage('isWicket must be a boolean')
+      .toBoolean(),
+
+    body(field('dismissalType'))
+      .optional()
+      .isIn(Object.values(DISMISSAL_TYPES))
+      .withMessage(`Dismissal type must be one of: ${Object.values(DISMISSAL_TYPES).join(', ')}`),
+
+    body(field('batsmanRuns'))
+      .optional()
+      .isInt({ min: 0, max: 10 })
+      .withMessage('Batsman runs must be between 0 and 10')
+      .toInt(),
+
+    body(field('byes'))
+      .optional()
+      .isInt({ min: 0, max: 7 })
+      .withMessage('Byes must be between 0 and 7')
+      .toInt(),
+
+    body(field('legByes'))
+      .optional()
+      .isInt({ min: 0, max: 7 })
+      .withMessage('Leg byes must be between 0 and 7')
+      .toInt(),
+
+    body(field('penaltyRuns'))
+      .optional()
+      .isInt({ min: 0, max: 10 })
+      .withMessage('Penalty runs must be between 0 and 10')
+      .toInt(),
+
+    body(field('runsCompleted'))
+      .optional()
+      .isInt({ min: 0, max: 7 })
+      .withMessage('Runs completed must be between 0 and 7')
+      .toInt(),
+
+    body(field('wicketEnd'))
+      .optional()
+      .isIn(Object.values(CREASE_ENDS))
+      .withMessage(`Wicket end must be one of: ${Object.values(CREASE_ENDS).join(', ')}`),
+
+    body(field('batsmanOutId'))
+      .optional()
+      .isMongoId().withMessage('Invalid batsman out ID'),
+
+    body(field('fielderId'))
+      .optional()
+      .isMongoId().withMessage('Invalid fielder ID')
+  ];
+};
+
 const recordBallValidation = [
   param('matchId')
     .isMongoId().withMessage('Invalid match ID'),
+
+  // Idempotency key, sent in the body or as an Idempotency-Key header
+  body('clientBallId')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 64 }).withMessage('Client ball ID must be between 1 and 64 characters'),
+
+  header('idempotency-key')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 64 }).withMessage('Idempotency key must be between 1 and 64 characters'),
+
+  // Where the scorer thinks the innings is, e.g. 4 and 3 for 4.3 overs
+  body('expectedOver')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Expected over must be a non-negative integer')
+    .toInt(),
+
+  body('expectedBall')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Expected ball must be between 0 and 10')
+    .toInt(),
   
+  // A ground rule decides the outcome itself
   body('outcome')
+    .if(body('groundRule').not().exists())
     .notEmpty().withMessage('Ball outcome is required')
     .isIn(Object.values(BALL_OUTCOMES))
     .withMessage(`Outcome must be one of: ${Object.values(BALL_OUTCOMES).join(', ')}`),
+
+  ...deliveryFieldsValidation(),
+
+  ...shotFieldsValidation('shot'),
   
-  body('runs')
+  body('commentary')
     .optional()
-    .isInt({ min: 0, max: 7 })
-    .withMessage('Runs must be between 0 and 7'),
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Commentary cannot exceed 200 characters'),
   
-  body('isWicket')
+  validate
+];
+
+const amendBallValidation = [
+  param('matchId')
+    .isMongoId().withMessage('Invalid match ID'),
+
+  param('ballId')
+    .isMongoId().withMessage('Invalid ball ID'),
+
+  // A ground rule decides the outcome itself
+  body('outcome')
+    .if(body('groundRule').not().exists())
+    .notEmpty().withMessage('Ball outcome is required')
+    .isIn(Object.values(BALL_OUTCOMES))
+    .withMessage(`Outcome must be one of: ${Object.values(BALL_OUTCOMES).join(', ')}`),
+
+  ...deliveryFieldsValidation(),
+
+  ...shotFieldsValidation('shot'),
+
+  body('commentary')
     .optional()
-    .isBoolean()
-    .withMessage('isWicket must be a boolean'),
-  
-  body('dismissalType')
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Commentary cannot exceed 200 characters'),
+
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Reason for the correction is required')
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters'),
+
+  validate
+];
+
+const deleteBallValidation = [
+  param('matchId')
+    .isMongoId().withMessage('Invalid match ID'),
+
+  param('ballId')
+    .isMongoId().withMessage('Invalid ball ID'),
+
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Reason for the correction is required')
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters'),
+
+  validate
+];
+
+// Each action carries the fields its own endpoint takes, checked as that
+// endpoint checks them; the rules behind the endpoints apply as the batch is
+const syncMatchValidation = [
+  param('matchId')
+    .isMongoId().withMessage('Invalid match ID'),
+
+  body('actions')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Actions must be a list of 1 to 500 scoring actions'),
+
+  body('actions.*.type')
+    .isIn(Object.values(SYNC_ACTIONS))
+    .withMessage(`Action type must be one of: ${Object.values(SYNC_ACTIONS).join(', ')}`),
+
+  body('actions.*.winner')
     .optional()
-    .isIn(Object.values(DISMISSAL_TYPES))
-    .withMessage(`Dismissal type must be one of: ${Object.values(DISMISSAL_TYPES).join(', ')}`),
+    .isIn(['teamA', 'teamB'])
+    .withMessage('Winner must be either teamA or teamB'),
+
+  body('actions.*.decision')
+    .optional()
+    .isIn(Object.values(TOSS_DECISIONS))
+    .withMessage(`Decision must be one of: ${Object.values(TOSS_DECISIONS).join(', ')}`),
+
+  body('actions.*.outcome')
+    .optional()
+    .isIn(Object.values(BALL_OUTCOMES))
+    .withMessage(`Outcome must be one of: ${Object.values(BALL_OUTCOMES).join(', ')}`),
+
+  ...deliveryFieldsValidation('actions.*'),
+
+  body('actions.*.clientBallId')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 64 }).withMessage('Client ball ID must be between 1 and 64 characters'),
+
+  body('actions.*.expectedOver')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Expected over must be a non-negative integer')
+    .toInt(),
+
+  body('actions.*.expectedBall')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Expected ball must be between 0 and 10')
+    .toInt(),
+
+  ...shotFieldsValidation('actions.*.shot'),
+
+  validate
+];
+
+const commentaryValidation = [
+  param('matchId')
+    .isMongoId().withMessage('Invalid match ID'),
+
+  query('innings')
+    .optional()
+    .isIn(['first', 'second'])
+    .withMessage('Innings must be first or second'),
+
+  query('superOver')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Super over must be a positive integer'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  validate
+];
+
+const wagonWheelValidation = [
+  param('matchId')
+    .isMongoId().withMessage('Invalid match ID'),
+
+  query('playerId')
+    .optional()
+    .isMongoId().withMessage('Invalid player ID'),
+
+  query('playerGuestId')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Player guest ID cannot be empty'),
+
+  validate
+];
+
+const manOfTheMatchValidation = [
+  param('matchId')
+    .isMongoId().withMessage('Invalid match ID'),
+
+  body('playerId')
+    .optional()
+    .isMongoId().withMessage('Invalid player ID'),
+
+  body('playerGuestId')
+    .if(body('playerId').not().exists())
+    .notEmpty().withMessage('Player ID or guest ID is required'),
+
+  validate
+];
+
+const setNewBatsmanValidation = [
+  param('matchId')
+    .isMongoId().withMessage('Invalid match ID'),
   
-  body('batsmanOutId')
+  body('batsmanId')
     .optional()
-    .isMongoId().withMessage('Invalid batsman out ID'),
+    .isMongoId().withMessage('Invalid batsman ID'),
   
-  body('fielderId')
+  body('batsmanGuestId')
     .optional()
-    .isMongoId().withMessage('Invalid fielder ID'),
+    .trim(),
   
-  body('commentary')
+  validate
+];
+
+const reduceOversValidation = [
+  param('matchId')
+    .isMongoId().withMessage('Invalid match ID'),
+  
+  body('overs')
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Overs must be between 1 and 50')
+    .toInt(),
+  
+  body('reason')
     .optional()
     .trim()
-    .isLength({ max: 200 })
-    .withMessage('Commentary cannot exceed 200 characters'),
+    .isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters'),
   
   validate
 ];
 
-const setNewBatsmanValidation = [
+const retireBatsmanValidation = [
   param('matchId')
     .isMongoId().withMessage('Invalid match ID'),
   
@@ -434,6 +819,113 @@ const setNewBatsmanValidation = [
     .optional()
     .trim(),
   
+  body('retirementType')
+    .isIn([DISMISSAL_TYPES.RETIRED_HURT, DISMISSAL_TYPES.RETIRED_OUT])
+    .withMessage('Retirement type must be retired_hurt or retired_out'),
+  
+  validate
+];
+
+// ==================== RULE SET VALIDATIONS ====================
+
+const groundRuleFieldsValidation = [
+  body('rules.*.name')
+    .trim()
+    .notEmpty().withMessage('Ground rule name is required')
+    .isLength({ max: 40 }).withMessage('Ground rule name cannot exceed 40 characters'),
+
+  body('rules.*.description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Ground rule description cannot exceed 200 characters'),
+
+  body('rules.*.runs')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Ground rule runs must be between 0 and 10'),
+
+  body('rules.*.extra')
+    .optional()
+    .isIn(Object.values(GROUND_RULE_EXTRAS))
+    .withMessage(`Ground rule extra must be one of: ${Object.values(GROUND_RULE_EXTRAS).join(', ')}`),
+
+  body('rules.*.runsCompleted')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Runs completed must be between 0 and 10'),
+
+  body('rules.*.isWicket')
+    .optional()
+    .isBoolean()
+    .withMessage('isWicket must be a boolean'),
+
+  body('rules.*.dismissalType')
+    .optional()
+    .isIn(Object.values(DISMISSAL_TYPES))
+    .withMessage(`Dismissal type must be one of: ${Object.values(DISMISSAL_TYPES).join(', ')}`),
+
+  body('rules.*.isLegalDelivery')
+    .optional()
+    .isBoolean()
+    .withMessage('isLegalDelivery must be a boolean')
+];
+
+const createRuleSetValidation = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Rule set name is required')
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Rule set name must be between 3 and 50 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean'),
+
+  body('rules')
+    .isArray({ min: 1, max: 30 })
+    .withMessage('Rules must be a list of 1 to 30 ground rules'),
+
+  ...groundRuleFieldsValidation,
+
+  validate
+];
+
+const updateRuleSetValidation = [
+  param('ruleSetId')
+    .isMongoId().withMessage('Invalid rule set ID'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Rule set name must be between 3 and 50 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean'),
+
+  body('rules')
+    .optional()
+    .isArray({ min: 1, max: 30 })
+    .withMessage('Rules must be a list of 1 to 30 ground rules'),
+
+  ...groundRuleFieldsValidation,
+
   validate
 ];
 
@@ -667,6 +1159,38 @@ const getFilteredNotificationsValidation = [
   validate
 ];
 
+// ==================== ADMIN VALIDATIONS ====================
+
+const recomputeStatisticsValidation = [
+  body('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+
+  body('matchId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid match ID')
+    .custom((value, { req }) => {
+      if (req.body.userId) {
+        throw new Error('Provide either userId or matchId, not both');
+      }
+      return true;
+    }),
+
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean'),
+
+  body('batchSize')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('batchSize must be between 1 and 1000'),
+
+  validate
+];
+
 // ==================== COMMON VALIDATIONS ====================
 
 const mongoIdValidation = (paramName = 'id') => [
@@ -719,7 +1243,18 @@ module.exports = {
   setBatsmenValidation,
   setBowlerValidation,
   recordBallValidation,
+  amendBallValidation,
+  deleteBallValidation,
+  syncMatchValidation,
+  commentaryValidation,
+  wagonWheelValidation,
+  manOfTheMatchValidation,
   setNewBatsmanValidation,
+  retireBatsmanValidation,
+  reduceOversValidation,
+  // Rule Set
+  createRuleSetValidation,
+  updateRuleSetValidation,
   // Friend
   sendFriendRequestValidation,
   blockUserValidation,
@@ -729,6 +1264,8 @@ module.exports = {
   sendBroadcastNotificationValidation,
   updatePreferencesValidation,
   getFilteredNotificationsValidation,
+  // Admin
+  recomputeStatisticsValidation,
   // Common
   mongoIdValidation,
   paginationValidation
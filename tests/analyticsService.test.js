@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const Match = require('../src/models/Match');
+const scoringService = require('../src/services/scoringService');
+const analyticsService = require('../src/services/analyticsService');
+const {
+  MATCH_STATUS,
+  BALL_OUTCOMES,
+  DISMISSAL_TYPES,
+  INNINGS_PHASES,
+  TOSS_DECISIONS
+} = require('../src/config/constants');
+
+const guest = (name) => ({ isGuest: true, guestName: name, guestId: `g${name}` });
+
+const bowled = { outcome: BALL_OUTCOMES.WICKET, dismissalType: DISMISSAL_TYPES.BOWLED };
+
+// A four over match with the Lions batting, a1 and a2 at the crease
+const startMatch = (settings = {}) => {
+  const match = new Match({
+    room: new mongoose.Types.ObjectId(),
+    status: MATCH_STATUS.TOSS,
+    settings: { overs: 4, playersPerTeam: 4, ...settings },
+    teamA: { name: 'Lions', players: ['a1', 'a2', 'a3', 'a4'].map(guest) },
+    teamB: { name: 'Tigers', players: ['b1', 'b2', 'b3', 'b4'].map(guest) }
+  });
+
+  scoringService.conductToss(match, { winner: 'teamA', decision: TOSS_DECISIONS.BAT });
+  scoringService.setBatsmen(match, { strikerGuestId: 'ga1', nonStrikerGuestId: 'ga2' });
+
+  return match;
+};
+
+// Bowl an over's deliveries, each an outcome or the full input
+const play = (match, bowler, deliveries) => {
+  scoringService.setBowler(match, { bowlerGuestId: `g${bowler}` });
+  deliveries.forEach(delivery => {
+    scoringService.recordDelivery(match, typeof delivery === 'string' ? { outcome: delivery } : delivery);
+  });
+};
+
+describe('analyticsService.getPhase', () => {
+  it('puts the last over in the final over phase ahead of the opening overs', () => {
+    expect(analyticsService.getPhase(1, 6)).toBe(INNINGS_PHASES.OPENING);
+    expect(analyticsService.getPhase(3, 6)).toBe(INNINGS_PHASES.MIDDLE);
+    expect(analyticsService.getPhase(6, 6)).toBe(INNINGS_PHASES.FINAL_OVER);
+    expect(analyticsService.getPhase(2, 2)).toBe(INNINGS_PHASES.FINAL_OVER);
+  });
+});
+
+describe('analyticsService.getInningsAnalytics', () => {
+  let match;
+
+  beforeEach(() => {
+    match = startMatch();
+    play(match, 'b1', ['4', 'wide', '1', '1', 'dot', 'dot', 'dot']);
+    play(match, 'b2', ['6', '1', '1', '1', '1', '1']);
+    play(match, 'b3', ['1', bowled]);
+    scoringService.setNewBatsman(match, { batsmanGuestId: 'ga3' });
+    play(match, 'b3', ['dot', 'dot', 'dot', 'dot']);
+    play(match, 'b4', ['4', '4']);
+  });
+
+  it('breaks the innings down over by over with running totals', () => {
+    const { overs } = analyticsService.getInningsAnalytics(match, match.innings.first);
+
+    expect(overs.map(over => [over.over, over.runs, over.wickets, over.extras, over.balls])).toEqual([
+      [1, 7, 0, 1, 6],
+      [2, 11, 0, 0, 6],
+      [3, 1, 1, 0, 6],
+      [4, 8, 0, 0, 2]
+    ]);
+    expect(overs.map(over => over.cumulativeRuns)).toEqual([7, 18, 19, 27]);
+    expect(overs.map(over => over.runRate)).toEqual([7, 9, 6.33, 8.1]);
+    expect(overs[2]).toMatchObject({ bowler: { guestName: 'b3' }, cumulativeWickets: 1 });
+  });
+
+  it('totals the opening overs, the middle and the final over', () => {
+    const { phases, oversLimit, team } = analyticsService.getInningsAnalytics(match, match.innings.first);
+
+    expect(oversLimit).toBe(4);
+    expect(team).toBe('teamA');
+    expect(phases[INNINGS_PHASES.OPENING]).toEqual({ overs: [1, 2], runs: 18, wickets: 0, extras: 1, balls: 12, runRate: 9 });
+    expect(phases[INNINGS_PHASES.MIDDLE]).toMatchObject({ overs: [3], runs: 1, wickets: 1, runRate: 1 });
+    expect(phases[INNINGS_PHASES.FINAL_OVER]).toMatchObject({ overs: [4], runs: 8, balls: 2, runRate: 24 });
+  });
+
+  it('follows the ball log after an undo', () => {
+    scoringService.undoLastBall(match);
+
+    const { runs, overs } = analyticsService.getInningsAnalytics(match, match.innings.first);
+
+    expect(runs).toBe(23);
+    expect(overs[3]).toMatchObject({ runs: 4, balls: 1, cumulativeRuns: 23 });
+  });
+
+  it('has nothing to show for an innings that hasn\'t started', () => {
+    expect(analyticsService.getInningsAnalytics(match, match.innings.second)).toBeNull();
+  });
+});
+
+describe('analyticsService.getOverBreakdown', () => {
+  it('takes the pairs format dismissal penalty off the running total', () => {
+    const match = startMatch({ format: 'pairs', oversPerPair: 2, dismissalPenalty: 5 });
+    play(match, 'b1', ['4', bowled, 'dot', 'dot', 'dot', 'dot']);
+
+    const [over] = analyticsService.getOverBreakdown(match, match.innings.first);
+
+    expect(over).toMatchObject({ runs: 4, wickets: 1, deductions: 5, cumulativeRuns: -1 });
+  });
+});
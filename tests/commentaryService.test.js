@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const Match = require('../src/models/Match');
+const User = require('../src/models/User');
+const scoringService = require('../src/services/scoringService');
+const commentaryService = require('../src/services/commentaryService');
+const { MATCH_STATUS } = require('../src/config/constants');
+
+const guest = (name) => ({ isGuest: true, guestName: name, guestId: `g${name}` });
+
+const buildMatch = () => {
+  const match = new Match({
+    room: new mongoose.Types.ObjectId(),
+    status: MATCH_STATUS.IN_PROGRESS,
+    currentInnings: 'first',
+    settings: { overs: 5, playersPerTeam: 4 },
+    teamA: { name: 'Lions', players: ['a1', 'a2', 'a3', 'a4'].map(guest) },
+    teamB: { name: 'Tigers', players: ['b1', 'b2', 'b3', 'b4'].map(guest) },
+    innings: {
+      first: { battingTeam: 'teamA', bowlingTeam: 'teamB', status: 'in_progress', currentOver: 1 },
+      second: { battingTeam: 'teamB', bowlingTeam: 'teamA' }
+    }
+  });
+
+  const first = match.innings.first;
+  first.currentBatsmen.striker = scoringService.findTeamPlayer(match.teamA, { guestId: 'ga1' });
+  first.currentBatsmen.nonStriker = scoringService.findTeamPlayer(match.teamA, { guestId: 'ga2' });
+
+  return match;
+};
+
+// Record a delivery as the umpire would, returning the ball as stored
+const record = (match, input) => {
+  const first = match.innings.first;
+  const ball = scoringService.buildBall(match, first, input, {
+    batsman: first.currentBatsmen.striker,
+    nonStriker: first.currentBatsmen.nonStriker,
+    bowler: first.currentBowler
+  });
+  first.balls.push(ball);
+  scoringService.applyBall(match, first, first.balls[first.balls.length - 1]);
+
+  return first.balls[first.balls.length - 1];
+};
+
+describe('commentaryService.buildBallCommentary', () => {
+  it('gives each ball as it is recorded the lines the full commentary gives it', () => {
+    const match = buildMatch();
+    const first = match.innings.first;
+    const perBall = [];
+
+    const overs = [
+      ['b1', ['4', '6', '4', 'wide', '6', '4', '2']],
+      ['b2', ['1', '6', '6', 'no_ball', '4', 'dot', '1']],
+      ['b3', ['4', '4', 'wicket']]
+    ];
+
+    overs.forEach(([bowler, outcomes]) => {
+      scoringService.setBowler(match, { bowlerGuestId: `g${bowler}` });
+      outcomes.forEach(outcome => {
+        const ball = record(match, outcome === 'wicket' ? { outcome, dismissalType: 'bowled' } : { outcome });
+        perBall.push(...commentaryService.buildBallCommentary(match, first, ball));
+      });
+    });
+
+    const full = commentaryService.buildInningsCommentary(match, first);
+
+    expect(perBall).toEqual(full);
+    expect(full.map(line => line.type)).toEqual(expect.arrayContaining(['milestone', 'partnership', 'over_summary', 'wicket']));
+  });
+});
+
+describe('commentaryService.loadPlayerNames', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('skips the lookup when only guests are named', async () => {
+    const match = buildMatch();
+    const find = jest.spyOn(User, 'find');
+
+    const names = await commentaryService.loadPlayerNames(match, [guest('a1'), undefined]);
+
+    expect(names.size).toBe(0);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
+
+describe('commentaryService.buildCommentaryPage', () => {
+  it('gives the same page as the full commentary, newest first', () => {
+    const match = buildMatch();
+    const first = match.innings.first;
+
+    [['b1', ['4', '6', '4', 'wide', '6', '4', '2']], ['b2', ['1', '6', '6', 'no_ball', '4', 'dot']]]
+      .forEach(([bowler, outcomes]) => {
+        scoringService.setBowler(match, { bowlerGuestId: `g${bowler}` });
+        outcomes.forEach(outcome => record(match, { outcome }));
+      });
+
+    const full = commentaryService.buildInningsCommentary(match, first).reverse();
+
+    const page = commentaryService.buildCommentaryPage(match, first, { skip: 3, limit: 4 });
+
+    expect(page.total).toBe(full.length);
+    expect(page.lines).toEqual(full.slice(3, 7));
+
+    const last = commentaryService.buildCommentaryPage(match, first, { skip: full.length - 2, limit: 10 });
+    expect(last.lines).toEqual(full.slice(-2));
+  });
+});
+
+describe('commentaryService.buildInningsCommentary', () => {
+  it('sums up an over a correction left short', () => {
+    const match = buildMatch();
+    const first = match.innings.first;
+
+    scoringService.setBowler(match, { bowlerGuestId: 'gb1' });
+    ['4', '1', '1', '1', '1', '1'].forEach(outcome => record(match, { outcome }));
+    scoringService.setBowler(match, { bowlerGuestId: 'gb2' });
+    record(match, { outcome: '2' });
+
+    scoringService.deleteBall(match, first.balls[0]._id);
+
+    const summaries = commentaryService.buildInningsCommentary(match, first)
+      .filter(line => line.type === 'over_summary');
+
+    expect(summaries).toHaveLength(1);
+    expect(summaries[0].text).toMatch(/^End of over 1: 5 runs, 0 wickets\. Lions 5\/0/);
+  });
+});
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const Match = require('../src/models/Match');
+const manOfTheMatchService = require('../src/services/manOfTheMatchService');
+const statisticsService = require('../src/services/statisticsService');
+const socketService = require('../src/services/socketService');
+const notificationService = require('../src/services/notificationService');
+const { MATCH_STATUS, MAN_OF_THE_MATCH_DECISIONS } = require('../src/config/constants');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const userA = new mongoose.Types.ObjectId();
+const userB = new mongoose.Types.ObjectId();
+
+const buildMatch = () => new Match({
+  room: new mongoose.Types.ObjectId(),
+  status: MATCH_STATUS.COMPLETED,
+  endTime: new Date(),
+  settings: { overs: 2, playersPerTeam: 2 },
+  teamA: { name: 'Lions', players: [{ user: userA }] },
+  teamB: { name: 'Tigers', players: [{ user: userB }] },
+  playerPerformances: [
+    { player: { user: userA }, team: 'teamA', batting: { runs: 30, ballsFaced: 12 } },
+    { player: { user: userB }, team: 'teamB', bowling: { balls: 12, runs: 30 } }
+  ],
+  result: { winner: 'teamA', resultType: 'team_a_won', resultText: 'Lions won' }
+});
+
+// Let the decision's awaited saves and writes settle
+const flush = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+describe('manOfTheMatchService.scheduleDecision', () => {
+  let match;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    match = buildMatch();
+    jest.spyOn(Match, 'findById').mockImplementation(async () => match);
+    jest.spyOn(Match.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(statisticsService, 'syncMatchStatisticsOrRetry').mockResolvedValue();
+    jest.spyOn(socketService, 'emitManOfTheMatch').mockImplementation(() => {});
+    jest.spyOn(notificationService, 'createAndEmit').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    manOfTheMatchService.cancelDecision(match._id);
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('makes the pick when voting closes, not before', async () => {
+    manOfTheMatchService.scheduleDecision(match);
+
+    jest.advanceTimersByTime(11 * HOUR_MS);
+    await flush();
+    expect(match.manOfTheMatchVoting.decidedAt).toBeUndefined();
+
+    jest.advanceTimersByTime(HOUR_MS);
+    await flush();
+    expect(match.manOfTheMatchVoting.decidedBy).toBe(MAN_OF_THE_MATCH_DECISIONS.IMPACT);
+    expect(match.manOfTheMatch.user.toString()).toBe(userA.toString());
+    expect(statisticsService.syncMatchStatisticsOrRetry).toHaveBeenCalledWith(match);
+    expect(notificationService.createAndEmit).toHaveBeenCalledWith(expect.objectContaining({ recipient: userA }));
+  });
+
+  it('goes with the most voted player', async () => {
+    match.manOfTheMatchVoting.votes.push({ voter: userA, player: { user: userB } });
+    manOfTheMatchService.scheduleDecision(match);
+
+    jest.advanceTimersByTime(12 * HOUR_MS);
+    await flush();
+
+    expect(match.manOfTheMatchVoting.decidedBy).toBe(MAN_OF_THE_MATCH_DECISIONS.VOTES);
+    expect(match.manOfTheMatch.user.toString()).toBe(userB.toString());
+  });
+
+  it('leaves a match reopened before voting closed alone', async () => {
+    manOfTheMatchService.scheduleDecision(match);
+    manOfTheMatchService.cancelDecision(match._id);
+
+    jest.advanceTimersByTime(12 * HOUR_MS);
+    await flush();
+
+    expect(Match.findById).not.toHaveBeenCalled();
+    expect(match.manOfTheMatchVoting.decidedAt).toBeUndefined();
+  });
+
+  it('picks straight away when voting closed while the server was down', async () => {
+    match.endTime = new Date(Date.now() - 13 * HOUR_MS);
+    manOfTheMatchService.scheduleDecision(match);
+
+    jest.advanceTimersByTime(0);
+    await flush();
+
+    expect(match.manOfTheMatchVoting.decidedAt).toBeInstanceOf(Date);
+  });
+
+  it('starts no timer once the pick is made', () => {
+    match.manOfTheMatchVoting.decidedAt = new Date();
+
+    manOfTheMatchService.scheduleDecision(match);
+
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const Match = require('../src/models/Match');
+const Room = require('../src/models/Room');
+const matchStateService = require('../src/services/matchStateService');
+const statisticsService = require('../src/services/statisticsService');
+const socketService = require('../src/services/socketService');
+const notificationService = require('../src/services/notificationService');
+const manOfTheMatchService = require('../src/services/manOfTheMatchService');
+const { MATCH_STATUS, MATCH_TRANSITIONS, ROLES, ROOM_STATUS } = require('../src/config/constants');
+const { AuthorizationError, ConflictError, ERROR_CODES } = require('../src/utils/errors');
+
+const creator = { _id: new mongoose.Types.ObjectId(), role: ROLES.PLAYER };
+const umpire = { _id: new mongoose.Types.ObjectId(), role: ROLES.PLAYER };
+const admin = { _id: new mongoose.Types.ObjectId(), role: ROLES.ADMIN };
+
+const buildRoom = ({ isSoloMode = false } = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  isSoloMode,
+  participants: [{ user: creator._id }, { user: umpire._id }],
+  isCreator: (userId) => userId.toString() === creator._id.toString()
+});
+
+const buildMatch = (status) => new Match({
+  room: new mongoose.Types.ObjectId(),
+  status,
+  currentInnings: 'first',
+  settings: { overs: 2, playersPerTeam: 2 },
+  umpire: { user: umpire._id },
+  teamA: { name: 'Lions', players: [] },
+  teamB: { name: 'Tigers', players: [] },
+  innings: {
+    first: { battingTeam: 'teamA', bowlingTeam: 'teamB', totalRuns: 30, totalWickets: 1 },
+    second: { battingTeam: 'teamB', bowlingTeam: 'teamA' }
+  }
+});
+
+describe('matchStateService.authorize', () => {
+  it('lets the umpire score and stops the creator who is not umpiring', () => {
+    const room = buildRoom();
+    const match = buildMatch(MATCH_STATUS.IN_PROGRESS);
+
+    expect(() => matchStateService.authorize(MATCH_TRANSITIONS.SCORE, { user: umpire, room, match })).not.toThrow();
+    expect(() => matchStateService.authorize(MATCH_TRANSITIONS.SCORE, { user: creator, room, match }))
+      .toThrow(AuthorizationError);
+  });
+
+  it('lets the creator of a solo mode room umpire their own match', () => {
+    const room = buildRoom({ isSoloMode: true });
+    const match = buildMatch(MATCH_STATUS.IN_PROGRESS);
+
+    expect(() => matchStateService.authorize(MATCH_TRANSITIONS.SCORE, { user: creator, room, match })).not.toThrow();
+  });
+
+  it('lets only the creator or an admin abandon', () => {
+    const room = buildRoom();
+    const match = buildMatch(MATCH_STATUS.IN_PROGRESS);
+
+    expect(() => matchStateService.authorize(MATCH_TRANSITIONS.ABANDON, { user: admin, room, match })).not.toThrow();
+    expect(() => matchStateService.authorize(MATCH_TRANSITIONS.ABANDON, { user: umpire, room, match }))
+      .toThrow('Only creator or admin can end the match');
+  });
+});
+
+describe('matchStateService.transition', () => {
+  it('moves the match to the only status a transition leads to', () => {
+    const match = buildMatch(MATCH_STATUS.SCHEDULED);
+
+    matchStateService.transition(match, MATCH_TRANSITIONS.START);
+
+    expect(match.status).toBe(MATCH_STATUS.TOSS);
+  });
+
+  it('refuses a transition from the wrong status without making the change', () => {
+    const match = buildMatch(MATCH_STATUS.COMPLETED);
+    const apply = jest.fn();
+
+    let error;
+    try {
+      matchStateService.transition(match, MATCH_TRANSITIONS.SCORE, apply);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.errorCode).toBe(ERROR_CODES.INVALID_MATCH_TRANSITION);
+    expect(error.message).toBe("Can't score: the match is completed");
+    expect(apply).not.toHaveBeenCalled();
+  });
+
+  it('refuses a change that leaves the match in a status the transition cannot reach', () => {
+    const match = buildMatch(MATCH_STATUS.IN_PROGRESS);
+
+    expect(() => matchStateService.transition(match, MATCH_TRANSITIONS.SCORE, () => {
+      match.status = MATCH_STATUS.SCHEDULED;
+    })).toThrow("Can't score: the match is scheduled");
+  });
+
+  it('returns what the change returned', () => {
+    const match = buildMatch(MATCH_STATUS.IN_PROGRESS);
+
+    const result = matchStateService.transition(match, MATCH_TRANSITIONS.SCORE, () => {
+      match.status = MATCH_STATUS.INNINGS_BREAK;
+      return 'ball';
+    });
+
+    expect(result).toBe('ball');
+    expect(match.status).toBe(MATCH_STATUS.INNINGS_BREAK);
+  });
+});
+
+describe('matchStateService.abandon', () => {
+  it('abandons a live match with the reason as its result', () => {
+    const match = buildMatch(MATCH_STATUS.IN_PROGRESS);
+
+    matchStateService.abandon(match, 'Rain');
+
+    expect(match.status).toBe(MATCH_STATUS.ABANDONED);
+    expect(match.result).toMatchObject({ resultType: 'abandoned', resultText: 'Rain' });
+    expect(match.endTime).toBeInstanceOf(Date);
+  });
+
+  it('leaves a completed match alone', () => {
+    const match = buildMatch(MATCH_STATUS.COMPLETED);
+
+    expect(() => matchStateService.abandon(match, 'Rain')).toThrow(ConflictError);
+    expect(match.status).toBe(MATCH_STATUS.COMPLETED);
+  });
+});
+
+describe('matchStateService.applyEffects', () => {
+  beforeEach(() => {
+    jest.spyOn(Room, 'findByIdAndUpdate').mockResolvedValue();
+    jest.spyOn(statisticsService, 'syncMatchStatisticsOrRetry').mockResolvedValue();
+    jest.spyOn(notificationService, 'createAndEmit').mockResolvedValue();
+    jest.spyOn(manOfTheMatchService, 'scheduleDecision').mockImplementation(() => {});
+    jest.spyOn(manOfTheMatchService, 'cancelDecision').mockImplementation(() => {});
+    ['emitInningsEnd', 'emitInningsStart', 'emitMatchEnd'].forEach(name => {
+      jest.spyOn(socketService, name).mockImplementation(() => {});
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('does nothing while the status stays the same', async () => {
+    const match = buildMatch(MATCH_STATUS.IN_PROGRESS);
+
+    await matchStateService.applyEffects(match, MATCH_STATUS.IN_PROGRESS, buildRoom());
+
+    expect(Room.findByIdAndUpdate).not.toHaveBeenCalled();
+    expect(statisticsService.syncMatchStatisticsOrRetry).not.toHaveBeenCalled();
+  });
+
+  it('announces the innings break with the revised target', async () => {
+    const match = buildMatch(MATCH_STATUS.INNINGS_BREAK);
+    match.innings.second.target = 24;
+
+    await matchStateService.applyEffects(match, MATCH_STATUS.IN_PROGRESS, buildRoom());
+
+    expect(socketService.emitInningsEnd).toHaveBeenCalledWith(match._id.toString(), expect.objectContaining({
+      innings: 'first',
+      score: '30/1',
+      target: 24
+    }));
+    expect(statisticsService.syncMatchStatisticsOrRetry).not.toHaveBeenCalled();
+  });
+
+  it('credits statistics, tells the participants and starts the vote when the match is completed', async () => {
+    const match = buildMatch(MATCH_STATUS.COMPLETED);
+    match.currentInnings = 'second';
+    const room = buildRoom();
+
+    await matchStateService.applyEffects(match, MATCH_STATUS.IN_PROGRESS, room);
+
+    expect(Room.findByIdAndUpdate).toHaveBeenCalledWith(match.room, { status: ROOM_STATUS.COMPLETED });
+    expect(statisticsService.syncMatchStatisticsOrRetry).toHaveBeenCalledWith(match);
+    expect(socketService.emitMatchEnd).toHaveBeenCalled();
+    expect(notificationService.createAndEmit).toHaveBeenCalledTimes(room.participants.length);
+    expect(manOfTheMatchService.scheduleDecision).toHaveBeenCalledWith(match);
+  });
+
+  it('reworks statistics and stops the vote when a correction reopens a completed match', async () => {
+    const match = buildMatch(MATCH_STATUS.IN_PROGRESS);
+    match.currentInnings = 'second';
+    match.innings.second.balls.push({ outcome: 'dot' });
+
+    await matchStateService.applyEffects(match, MATCH_STATUS.COMPLETED, buildRoom());
+
+    expect(statisticsService.syncMatchStatisticsOrRetry).toHaveBeenCalledWith(match);
+    expect(manOfTheMatchService.cancelDecision).toHaveBeenCalledWith(match._id);
+    expect(Room.findByIdAndUpdate).toHaveBeenCalledWith(match.room, { status: ROOM_STATUS.IN_MATCH });
+    expect(socketService.emitInningsStart).not.toHaveBeenCalled();
+  });
+
+  it('withdraws statistics when the match is abandoned', async () => {
+    const match = buildMatch(MATCH_STATUS.IN_PROGRESS);
+    matchStateService.abandon(match, 'Bad light');
+
+    await matchStateService.applyEffects(match, MATCH_STATUS.IN_PROGRESS, buildRoom());
+
+    expect(statisticsService.syncMatchStatisticsOrRetry).toHaveBeenCalledWith(match);
+    expect(socketService.emitMatchEnd).toHaveBeenCalledWith(match._id.toString(), match.result);
+    expect(notificationService.createAndEmit).not.toHaveBeenCalled();
+  });
+});
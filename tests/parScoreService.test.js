@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Match = require('../src/models/Match');
+const parScoreService = require('../src/services/parScoreService');
+const { MATCH_STATUS } = require('../src/config/constants');
+
+const buildMatch = (oversReductions = []) => new Match({
+  room: new mongoose.Types.ObjectId(),
+  status: MATCH_STATUS.IN_PROGRESS,
+  currentInnings: 'second',
+  settings: { overs: 10, playersPerTeam: 6 },
+  teamA: { name: 'Lions', players: [] },
+  teamB: { name: 'Tigers', players: [] },
+  innings: {
+    first: { battingTeam: 'teamA', bowlingTeam: 'teamB', status: 'completed', totalRuns: 24 },
+    second: { battingTeam: 'teamB', bowlingTeam: 'teamA', status: 'in_progress' }
+  },
+  oversReductions
+});
+
+// A cut made before the innings had started
+const cutAtStart = (innings, toOvers) => ({ innings, fromOvers: 10, toOvers, balls: 0, wickets: 0 });
+
+describe('parScoreService', () => {
+  describe('getResourcePercentage', () => {
+    it('gives a full innings all the resources and an empty one none', () => {
+      const match = buildMatch();
+
+      expect(parScoreService.getResourcePercentage(match, 10, 0)).toBeCloseTo(100);
+      expect(parScoreService.getResourcePercentage(match, 0, 0)).toBe(0);
+      expect(parScoreService.getResourcePercentage(match, 10, 5)).toBe(0);
+    });
+
+    it('takes resources away as wickets fall', () => {
+      const match = buildMatch();
+
+      expect(parScoreService.getResourcePercentage(match, 5, 3))
+        .toBeLessThan(parScoreService.getResourcePercentage(match, 5, 0));
+    });
+  });
+
+  describe('getRevisedTarget', () => {
+    it('scales the target down when the chase is cut', () => {
+      const match = buildMatch([cutAtStart('second', 5)]);
+      const resources = parScoreService.getResourcePercentage(match, 5, 0);
+
+      expect(parScoreService.getRevisedTarget(match)).toBe(Math.floor(24 * resources / 100) + 1);
+      expect(parScoreService.getRevisedTarget(match)).toBeLessThan(25);
+    });
+
+    it('keeps the plain target when only the first innings was cut', () => {
+      const match = buildMatch([cutAtStart('first', 5)]);
+
+      expect(parScoreService.getRevisedTarget(match)).toBe(25);
+    });
+
+    it('keeps the plain target when both innings were cut alike', () => {
+      const match = buildMatch([cutAtStart('first', 5), cutAtStart('second', 5)]);
+
+      expect(parScoreService.getRevisedTarget(match)).toBe(25);
+    });
+  });
+
+  describe('getParScore', () => {
+    it('has the chase level with the first innings once its resources are used', () => {
+      const match = buildMatch([cutAtStart('first', 5)]);
+      match.innings.second.totalBalls = 60;
+
+      expect(parScoreService.getParScore(match)).toBe(24);
+    });
+
+    it('rises as the chase loses wickets', () => {
+      const match = buildMatch();
+      match.innings.second.totalBalls = 30;
+      const halfway = parScoreService.getParScore(match);
+
+      match.innings.second.totalWickets = 2;
+      expect(parScoreService.getParScore(match)).toBeGreaterThan(halfway);
+      expect(halfway).toBeGreaterThan(0);
+      expect(halfway).toBeLessThan(24);
+    });
+
+    it('is not given outside the main chase', () => {
+      const match = buildMatch();
+      match.currentInnings = 'first';
+
+      expect(parScoreService.getParScore(match)).toBeNull();
+    });
+  });
+});
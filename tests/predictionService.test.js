@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const Match = require('../src/models/Match');
+const predictionService = require('../src/services/predictionService');
+const { MATCH_STATUS, TIE_BREAKERS } = require('../src/config/constants');
+
+const buildChase = (overs) => new Match({
+  room: new mongoose.Types.ObjectId(),
+  status: MATCH_STATUS.IN_PROGRESS,
+  currentInnings: 'second',
+  settings: { overs, playersPerTeam: 4 },
+  teamA: { name: 'Lions', players: [] },
+  teamB: { name: 'Tigers', players: [] },
+  innings: {
+    first: { battingTeam: 'teamA', bowlingTeam: 'teamB', status: 'completed', totalRuns: 40 },
+    second: { battingTeam: 'teamB', bowlingTeam: 'teamA', status: 'in_progress', target: 41, totalRuns: 20, totalBalls: 12 }
+  }
+});
+
+// A past chase of one ball, won by the chasing side or settled by a tie-breaker
+const pastChase = (decidedBy) => new Match({
+  room: new mongoose.Types.ObjectId(),
+  status: MATCH_STATUS.COMPLETED,
+  settings: { overs: 6, playersPerTeam: 4 },
+  teamA: { name: 'Lions', players: [] },
+  teamB: { name: 'Tigers', players: [] },
+  innings: {
+    first: { battingTeam: 'teamA', bowlingTeam: 'teamB', totalRuns: 40 },
+    second: {
+      battingTeam: 'teamB',
+      bowlingTeam: 'teamA',
+      target: 41,
+      balls: [{ outcome: '4', runs: { batsmanRuns: 4, totalRuns: 4 }, isLegalDelivery: true }]
+    }
+  },
+  result: { winner: 'teamB', decidedBy }
+});
+
+// Stand in for Match.find(...).sort(...).limit(...).select(...)
+const mockHistory = (result) => {
+  const query = {
+    sort: () => query,
+    limit: () => query,
+    select: jest.fn(() => result)
+  };
+  return jest.spyOn(Match, 'find').mockReturnValue(query);
+};
+
+describe('predictionService.getPrediction', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('goes with the prior while the chase model is fitted in the background', async () => {
+    const find = mockHistory(Promise.resolve([pastChase(), pastChase(TIE_BREAKERS.SUPER_OVER)]));
+
+    const before = await predictionService.getPrediction(buildChase(6));
+    await predictionService.refreshChaseModels();
+    const after = await predictionService.getPrediction(buildChase(6));
+
+    expect(before.winProbability).toMatchObject({ chasingTeam: 'teamB', matchesFitted: 0 });
+    expect(find).toHaveBeenCalledTimes(1);
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({ 'result.winner': { $ne: null } }));
+    expect(find.mock.results[0].value.select).toHaveBeenCalledWith(expect.stringContaining('result.decidedBy'));
+    expect(after.winProbability).toMatchObject({ chasingTeam: 'teamB', matchesFitted: 1 });
+  });
+
+  it('keeps predicting from the prior when the model cannot be fitted', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mockHistory(Promise.reject(new Error('connection lost')));
+
+    await predictionService.getPrediction(buildChase(7));
+    await predictionService.refreshChaseModels();
+
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('connection lost'));
+    await expect(predictionService.getPrediction(buildChase(7))).resolves.toMatchObject({
+      winProbability: { matchesFitted: 0 }
+    });
+  });
+});
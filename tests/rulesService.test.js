@@ -0,0 +1,98 @@
+const rulesService = require('../src/services/rulesService');
+const { BALL_OUTCOMES, DISMISSAL_TYPES } = require('../src/config/constants');
+
+// A wicket off a delivery with the given outcome
+const wicket = (outcome, dismissalType, details = {}) => ({
+  outcome,
+  isWicket: true,
+  wicket: { dismissalType, ...details }
+});
+
+describe('rulesService.getDeliveryViolation', () => {
+  it('lets any delivery dismissal stand off a dot ball', () => {
+    [DISMISSAL_TYPES.BOWLED, DISMISSAL_TYPES.LBW, DISMISSAL_TYPES.STUMPED, DISMISSAL_TYPES.RUN_OUT].forEach(type => {
+      expect(rulesService.getDeliveryViolation(wicket(BALL_OUTCOMES.DOT, type))).toBeNull();
+    });
+  });
+
+  it('only allows the dismissals a wide or no-ball can bring', () => {
+    expect(rulesService.getDeliveryViolation(wicket(BALL_OUTCOMES.WIDE, DISMISSAL_TYPES.STUMPED))).toBeNull();
+    expect(rulesService.getDeliveryViolation(wicket(BALL_OUTCOMES.WIDE, DISMISSAL_TYPES.BOWLED)))
+      .toBe('Only stumped, hit_wicket, run_out, obstructing_field, handled_ball dismissals are allowed off a wide delivery');
+    expect(rulesService.getDeliveryViolation(wicket(BALL_OUTCOMES.NO_BALL, DISMISSAL_TYPES.STUMPED)))
+      .toBe('Only run_out, obstructing_field dismissals are allowed off a no_ball delivery');
+  });
+
+  it('only allows a run out while runs are being taken', () => {
+    expect(rulesService.getDeliveryViolation(wicket(BALL_OUTCOMES.TWO, DISMISSAL_TYPES.RUN_OUT))).toBeNull();
+    expect(rulesService.getDeliveryViolation(wicket(BALL_OUTCOMES.TWO, DISMISSAL_TYPES.CAUGHT)))
+      .toMatch(/^Only run_out/);
+    expect(rulesService.getDeliveryViolation(wicket(BALL_OUTCOMES.SIX, DISMISSAL_TYPES.RUN_OUT)))
+      .toBe("A batsman can't be out off a 6 delivery");
+  });
+
+  it('sends retirements to the retire action and refuses other dismissals between deliveries', () => {
+    expect(rulesService.getDeliveryViolation(wicket(BALL_OUTCOMES.DOT, DISMISSAL_TYPES.RETIRED_HURT)))
+      .toBe('Use the retire action to retire a batsman between deliveries');
+    expect(rulesService.getDeliveryViolation(wicket(BALL_OUTCOMES.DOT, DISMISSAL_TYPES.TIMED_OUT)))
+      .toBe("A batsman can't be timed_out off a delivery");
+  });
+
+  it('asks for the dismissal type', () => {
+    expect(rulesService.getDeliveryViolation({ outcome: BALL_OUTCOMES.WICKET, isWicket: true, wicket: {} }))
+      .toBe('Dismissal type is required for a wicket');
+  });
+});
+
+describe('rulesService.getMissingWicketDetail', () => {
+  it('asks for the fielder in a catch, run out or stumping', () => {
+    expect(rulesService.getMissingWicketDetail(wicket(BALL_OUTCOMES.WICKET, DISMISSAL_TYPES.CAUGHT)))
+      .toBe('A fielder is required for caught');
+    expect(rulesService.getMissingWicketDetail(
+      wicket(BALL_OUTCOMES.WICKET, DISMISSAL_TYPES.CAUGHT, { fielder: { isGuest: true, guestName: 'b2' } })
+    )).toBeNull();
+    expect(rulesService.getMissingWicketDetail(wicket(BALL_OUTCOMES.WICKET, DISMISSAL_TYPES.BOWLED))).toBeNull();
+  });
+});
+
+describe('rulesService.isBowlerWicket', () => {
+  it('credits the bowler with dismissals they brought about and not run outs', () => {
+    expect(rulesService.isBowlerWicket(DISMISSAL_TYPES.STUMPED)).toBe(true);
+    expect(rulesService.isBowlerWicket(DISMISSAL_TYPES.HIT_WICKET)).toBe(true);
+    expect(rulesService.isBowlerWicket(DISMISSAL_TYPES.RUN_OUT)).toBe(false);
+    expect(rulesService.isBowlerWicket(DISMISSAL_TYPES.OBSTRUCTING_FIELD)).toBe(false);
+  });
+});
+
+describe('rulesService.getGroundRuleViolation', () => {
+  it('accepts a rule that describes a delivery that can be scored', () => {
+    expect(rulesService.getGroundRuleViolation({ name: 'Back net', runs: 4, isLegalDelivery: true })).toBeNull();
+    expect(rulesService.getGroundRuleViolation({ name: 'Roof', isWicket: true, isLegalDelivery: true })).toBeNull();
+  });
+
+  it('refuses a rule that could never be scored', () => {
+    expect(rulesService.getGroundRuleViolation({ name: 'Low net', extra: 'wide', isLegalDelivery: true }))
+      .toBe("Low net: a wide can't be a legal delivery");
+    expect(rulesService.getGroundRuleViolation({ name: 'Side net', runs: 1, runsCompleted: 2 }))
+      .toBe('Side net: runs completed cannot exceed the runs awarded');
+    expect(rulesService.getGroundRuleViolation({ name: 'Back net', runs: 4, dismissalType: DISMISSAL_TYPES.CAUGHT }))
+      .toBe('Back net: only a wicket rule takes a dismissal type');
+    expect(rulesService.getGroundRuleViolation({
+      name: 'Roof',
+      extra: 'no_ball',
+      isWicket: true,
+      dismissalType: DISMISSAL_TYPES.BOWLED,
+      isLegalDelivery: false
+    })).toBe('Roof: Only run_out, obstructing_field dismissals are allowed off a no_ball delivery');
+  });
+});
+
+describe('rulesService.getPairsScheduleViolation', () => {
+  it('needs the overs to split evenly between enough pairs', () => {
+    expect(rulesService.getPairsScheduleViolation({ overs: 8, oversPerPair: 2, playersPerTeam: 8 })).toBeNull();
+    expect(rulesService.getPairsScheduleViolation({ overs: 5, oversPerPair: 2, playersPerTeam: 8 }))
+      .toBe("5 overs can't be split into 2-over spells for each pair");
+    expect(rulesService.getPairsScheduleViolation({ overs: 8, oversPerPair: 2, playersPerTeam: 6 }))
+      .toBe('4 batting pairs need at least 8 players per team');
+  });
+});
@@ -0,0 +1,864 @@
+const mongoose = require('mongoose');
+const Match = require('../src/models/Match');
+const scoringService = require('../src/services/scoringService');
+const {
+  MATCH_STATUS,
+  BALL_OUTCOMES,
+  DISMISSAL_TYPES,
+  TOSS_DECISIONS,
+  CREASE_ENDS,
+  SUPER_OVER_MODES,
+  TIE_BREAKERS
+} = require('../src/config/constants');
+const { ValidationError, ConflictError, ERROR_CODES } = require('../src/utils/errors');
+
+const guest = (name) => ({ isGuest: true, guestName: name, guestId: `g${name}` });
+
+const innings = (battingTeam, bowlingTeam) => ({
+  battingTeam,
+  bowlingTeam,
+  status: 'not_started',
+  balls: [],
+  fallOfWickets: [],
+  extras: {}
+});
+
+const buildMatch = () => {
+  const match = new Match({
+    room: new mongoose.Types.ObjectId(),
+    status: MATCH_STATUS.IN_PROGRESS,
+    currentInnings: 'first',
+    settings: { overs: 3, playersPerTeam: 4 },
+    teamA: { name: 'Lions', players: ['a1', 'a2', 'a3', 'a4'].map(guest) },
+    teamB: { name: 'Tigers', players: ['b1', 'b2', 'b3', 'b4'].map(guest) },
+    innings: { first: innings('teamA', 'teamB'), second: innings('teamB', 'teamA') }
+  });
+
+  const first = match.innings.first;
+  first.status = 'in_progress';
+  first.currentOver = 1;
+  first.currentBatsmen.striker = scoringService.findTeamPlayer(match.teamA, { guestId: 'ga1' });
+  first.currentBatsmen.nonStriker = scoringService.findTeamPlayer(match.teamA, { guestId: 'ga2' });
+
+  return match;
+};
+
+// Record deliveries by the given bowler, as the umpire would ball by ball
+const bowl = (match, bowler, outcomes) => {
+  const first = match.innings.first;
+  scoringService.setBowler(match, { bowlerGuestId: `g${bowler}` });
+
+  outcomes.forEach(outcome => {
+    const ball = scoringService.buildBall(match, first, { outcome }, {
+      batsman: first.currentBatsmen.striker,
+      nonStriker: first.currentBatsmen.nonStriker,
+      bowler: first.currentBowler
+    });
+    first.balls.push(ball);
+    scoringService.applyBall(match, first, first.balls[first.balls.length - 1]);
+    scoringService.refreshMatchStatus(match);
+  });
+};
+
+const overs = (match) => match.innings.first.balls.map(ball => `${ball.overNumber}.${ball.ballNumber}`);
+
+// A match past the toss with the Lions batting first, a1 and a2 at the crease
+const startMatch = (settings = {}) => {
+  const match = new Match({
+    room: new mongoose.Types.ObjectId(),
+    status: MATCH_STATUS.TOSS,
+    settings: { overs: 3, playersPerTeam: 4, ...settings },
+    teamA: { name: 'Lions', players: ['a1', 'a2', 'a3', 'a4'].map(guest) },
+    teamB: { name: 'Tigers', players: ['b1', 'b2', 'b3', 'b4'].map(guest) }
+  });
+
+  scoringService.conductToss(match, { winner: 'teamA', decision: TOSS_DECISIONS.BAT });
+  scoringService.setBatsmen(match, { strikerGuestId: 'ga1', nonStrikerGuestId: 'ga2' });
+
+  return match;
+};
+
+// Record deliveries through the scoring flow, each an outcome or the full input,
+// changing the bowler first when one is named
+const play = (match, bowler, deliveries) => {
+  if (bowler) scoringService.setBowler(match, { bowlerGuestId: `g${bowler}` });
+
+  return deliveries.map(delivery => scoringService.recordDelivery(
+    match,
+    typeof delivery === 'string' ? { outcome: delivery } : delivery
+  ).ball);
+};
+
+const performanceOf = (match, name) => match.playerPerformances.find(entry => entry.player.guestName === name);
+
+describe('scoringService corrections', () => {
+  let match;
+
+  beforeEach(() => {
+    match = buildMatch();
+    bowl(match, 'b1', ['1', '4', 'dot', '2', '6', '1']);
+    bowl(match, 'b2', ['dot', '1', '1', 'dot', '4', '2']);
+  });
+
+  it('replays the innings after amending a ball', () => {
+    const ballId = match.innings.first.balls[11]._id;
+
+    const { before, after } = scoringService.amendBall(match, ballId, { outcome: BALL_OUTCOMES.SIX });
+
+    expect(before.runs.totalRuns).toBe(2);
+    expect(after.runs.totalRuns).toBe(6);
+    expect(match.innings.first.totalRuns).toBe(26);
+    expect(match.innings.first.totalOvers).toBe(2);
+  });
+
+  it('lets a wide be called on a ball in the over being bowled', () => {
+    const ballId = match.innings.first.balls[8]._id;
+
+    scoringService.amendBall(match, ballId, { outcome: BALL_OUTCOMES.WIDE });
+
+    expect(match.innings.first.totalOvers).toBe(1);
+    expect(match.innings.first.currentBall).toBe(5);
+    expect(overs(match).slice(6)).toEqual(['2.1', '2.2', '2.3', '2.3', '2.4', '2.5']);
+  });
+
+  it('keeps a finished over short when one of its balls is called a wide', () => {
+    const ballId = match.innings.first.balls[2]._id;
+
+    scoringService.amendBall(match, ballId, { outcome: BALL_OUTCOMES.WIDE });
+
+    expect(match.innings.first.totalRuns).toBe(23);
+    expect(match.innings.first.totalOvers).toBe(2);
+    expect(match.innings.first.totalBalls).toBe(11);
+    expect(overs(match)).toEqual([
+      '1.1', '1.2', '1.3', '1.3', '1.4', '1.5',
+      '2.1', '2.2', '2.3', '2.4', '2.5', '2.6'
+    ]);
+    expect(match.innings.first.balls[6].bowler.guestName).toBe('b2');
+  });
+
+  it('keeps later balls in their overs when a ball is deleted from a finished over', () => {
+    const ballId = match.innings.first.balls[0]._id;
+
+    scoringService.deleteBall(match, ballId);
+
+    expect(match.innings.first.totalRuns).toBe(21);
+    expect(match.innings.first.totalOvers).toBe(2);
+    expect(overs(match)).toEqual([
+      '1.1', '1.2', '1.3', '1.4', '1.5',
+      '2.1', '2.2', '2.3', '2.4', '2.5', '2.6'
+    ]);
+  });
+
+  it('rejects a correction that gives a finished over too many legal balls', () => {
+    match = buildMatch();
+    bowl(match, 'b1', ['1', 'wide', '4', 'dot', '2', '6', '1']);
+    bowl(match, 'b2', ['dot']);
+    const ballId = match.innings.first.balls[1]._id;
+
+    expect(() => scoringService.amendBall(match, ballId, { outcome: BALL_OUTCOMES.DOT }))
+      .toThrow(/Over 1 would have more than 6 legal balls/);
+  });
+
+  it('rejects a correction that takes a bowler over their quota', () => {
+    match.settings.overs = 10;
+    bowl(match, 'b1', ['1']);
+    const ballId = match.innings.first.balls[12]._id;
+
+    // Cut to five overs, b1 is limited to the one over they'd already bowled
+    match.settings.overs = 5;
+    expect(() => scoringService.amendBall(match, ballId, { outcome: BALL_OUTCOMES.DOT }))
+      .toThrow(/b1 has already bowled the maximum of 1 over/);
+  });
+
+  it('removes the latest ball and puts its bowler back', () => {
+    const ballId = match.innings.first.balls[11]._id;
+
+    scoringService.deleteBall(match, ballId);
+
+    expect(match.innings.first.totalRuns).toBe(20);
+    expect(match.innings.first.totalOvers).toBe(1);
+    expect(match.innings.first.currentBall).toBe(5);
+    expect(match.innings.first.currentBowler.guestName).toBe('b2');
+  });
+});
+
+describe('scoringService player figures', () => {
+  it('credits the striker and the bowler with each delivery', () => {
+    const match = startMatch();
+
+    play(match, 'b1', ['4', 'dot', 'wide', { outcome: BALL_OUTCOMES.NO_BALL, runs: 2 }, { outcome: BALL_OUTCOMES.BYE, runs: 1 }]);
+
+    expect(performanceOf(match, 'a1').batting).toMatchObject({
+      runs: 6,
+      ballsFaced: 4,
+      fours: 1,
+      strikeRate: 150,
+      battingPosition: 1
+    });
+    expect(performanceOf(match, 'a2').batting).toMatchObject({ runs: 0, ballsFaced: 0, battingPosition: 2 });
+    // Byes aren't charged to the bowler; wides and no-balls are
+    expect(performanceOf(match, 'b1').bowling).toMatchObject({
+      balls: 3,
+      runs: 8,
+      wides: 1,
+      noBalls: 1,
+      economyRate: 16
+    });
+  });
+
+  it('credits the bowler and the fielder for a catch', () => {
+    const match = startMatch();
+
+    play(match, 'b1', [{ outcome: BALL_OUTCOMES.WICKET, dismissalType: DISMISSAL_TYPES.CAUGHT, fielderGuestId: 'gb2' }]);
+
+    expect(performanceOf(match, 'a1').batting).toMatchObject({ isOut: true, dismissalType: DISMISSAL_TYPES.CAUGHT });
+    expect(performanceOf(match, 'a1').batting.dismissedBy.guestName).toBe('b1');
+    expect(performanceOf(match, 'b1').bowling.wickets).toBe(1);
+    expect(performanceOf(match, 'b2').fielding.catches).toBe(1);
+  });
+
+  it('credits a run out to the fielder and not the bowler', () => {
+    const match = startMatch();
+
+    play(match, 'b1', [{
+      outcome: BALL_OUTCOMES.WICKET,
+      dismissalType: DISMISSAL_TYPES.RUN_OUT,
+      fielderGuestId: 'gb3',
+      batsmanOutGuestId: 'ga2'
+    }]);
+
+    expect(performanceOf(match, 'a2').batting.isOut).toBe(true);
+    expect(performanceOf(match, 'a1').batting.isOut).toBe(false);
+    expect(performanceOf(match, 'b1').bowling.wickets).toBe(0);
+    expect(performanceOf(match, 'b3').fielding.runOuts).toBe(1);
+  });
+
+  it('rebuilds the same figures from the balls', () => {
+    const match = startMatch();
+    play(match, 'b1', ['1', '6', { outcome: BALL_OUTCOMES.WICKET, dismissalType: DISMISSAL_TYPES.BOWLED }]);
+    const figures = match.toObject().playerPerformances;
+
+    scoringService.rebuildPlayerPerformances(match);
+
+    expect(match.toObject().playerPerformances).toEqual(figures);
+  });
+});
+
+describe('scoringService undo and replay', () => {
+  it('puts the dismissed batsman back when a wicket is undone', () => {
+    const match = startMatch();
+    play(match, 'b1', ['4', { outcome: BALL_OUTCOMES.WICKET, dismissalType: DISMISSAL_TYPES.BOWLED }]);
+    scoringService.setNewBatsman(match, { batsmanGuestId: 'ga3' });
+
+    const removed = scoringService.undoLastBall(match);
+    const first = match.innings.first;
+
+    expect(removed.isWicket).toBe(true);
+    expect(first).toMatchObject({ totalRuns: 4, totalWickets: 0, totalBalls: 1, currentBall: 1 });
+    expect(first.fallOfWickets).toHaveLength(0);
+    expect(first.currentBatsmen.striker.guestName).toBe('a1');
+    expect(performanceOf(match, 'a1').batting.isOut).toBe(false);
+    expect(performanceOf(match, 'b1').bowling).toMatchObject({ balls: 1, runs: 4, wickets: 0 });
+  });
+
+  it('goes back into the over and to its bowler when the over\'s last ball is undone', () => {
+    const match = startMatch();
+    play(match, 'b1', ['1', '1', '1', '1', '1', '1']);
+
+    scoringService.undoLastBall(match);
+    const first = match.innings.first;
+
+    expect(first).toMatchObject({ totalOvers: 0, currentOver: 1, currentBall: 5, totalRuns: 5 });
+    expect(first.currentBowler.guestName).toBe('b1');
+  });
+
+  it('reopens the first innings when undoing from the start of the chase', () => {
+    const match = startMatch({ overs: 1 });
+    play(match, 'b1', ['1', '1', '1', '1', '1', '1']);
+    expect(match.status).toBe(MATCH_STATUS.INNINGS_BREAK);
+    scoringService.startSecondInnings(match);
+
+    scoringService.undoLastBall(match);
+
+    expect(match.currentInnings).toBe('first');
+    expect(match.status).toBe(MATCH_STATUS.IN_PROGRESS);
+    expect(match.innings.first).toMatchObject({ status: 'in_progress', totalRuns: 5, currentBall: 5 });
+    expect(match.innings.second.status).toBe('not_started');
+  });
+
+  it('replays an untouched match to the same state', () => {
+    const match = startMatch();
+    play(match, 'b1', ['4', 'wide', '1', { outcome: BALL_OUTCOMES.WICKET, dismissalType: DISMISSAL_TYPES.BOWLED }]);
+    scoringService.setNewBatsman(match, { batsmanGuestId: 'ga3' });
+    play(match, null, ['dot', '2']);
+    // Wickets and partnerships are recreated, so they get new IDs
+    const state = () => JSON.parse(JSON.stringify(
+      { innings: match.innings.first, performances: match.playerPerformances },
+      (key, value) => (['_id', 'id'].includes(key) ? undefined : value)
+    ));
+    const before = state();
+
+    expect(scoringService.replayMatch(match)).toBeNull();
+    expect(state()).toEqual(before);
+  });
+});
+
+describe('scoringService free hits', () => {
+  it('makes the ball after a no-ball a free hit, carried over a wide', () => {
+    const match = startMatch();
+
+    const [noBall, wide, freeHit, next] = play(match, 'b1', ['no_ball', 'wide', '1', 'dot']);
+
+    expect(noBall.isFreeHit).toBe(false);
+    expect(wide.isFreeHit).toBe(true);
+    expect(freeHit.isFreeHit).toBe(true);
+    expect(next.isFreeHit).toBe(false);
+    expect(match.innings.first.freeHit).toBe(false);
+  });
+
+  it('only allows the free hit dismissals off a free hit', () => {
+    const match = startMatch();
+    play(match, 'b1', ['no_ball']);
+
+    expect(() => play(match, null, [{ outcome: BALL_OUTCOMES.WICKET, dismissalType: DISMISSAL_TYPES.BOWLED }]))
+      .toThrow('Only run_out, obstructing_field, handled_ball dismissals are allowed on a free hit');
+
+    const [runOut] = play(match, null, [{
+      outcome: BALL_OUTCOMES.WICKET,
+      dismissalType: DISMISSAL_TYPES.RUN_OUT,
+      fielderGuestId: 'gb2'
+    }]);
+    expect(runOut.isFreeHit).toBe(true);
+    expect(match.innings.first.totalWickets).toBe(1);
+  });
+
+  it('gives no free hit when the match plays without them', () => {
+    const match = startMatch({ noBallFreehit: false });
+
+    const [, next] = play(match, 'b1', ['no_ball', 'dot']);
+
+    expect(next.isFreeHit).toBe(false);
+  });
+});
+
+describe('scoringService runs completed', () => {
+  const crease = (match) => {
+    const { striker, nonStriker } = match.innings.first.currentBatsmen;
+    return [striker.guestName, nonStriker.guestName];
+  };
+
+  it('credits overthrows to the batsman and changes ends on the runs they ran', () => {
+    const match = startMatch();
+
+    const [ball] = play(match, 'b1', [{ outcome: BALL_OUTCOMES.ONE, batsmanRuns: 5, runsCompleted: 1 }]);
+
+    expect(ball.isBoundary).toBe(false);
+    expect(ball.runs).toMatchObject({ batsmanRuns: 5, totalRuns: 5, completed: 1 });
+    expect(performanceOf(match, 'a1').batting).toMatchObject({ runs: 5, fours: 0 });
+    expect(crease(match)).toEqual(['a2', 'a1']);
+  });
+
+  it('keeps the strike after a boundary and after two runs taken as byes off a no-ball', () => {
+    const match = startMatch();
+
+    const [four, noBall] = play(match, 'b1', ['4', { outcome: BALL_OUTCOMES.NO_BALL, byes: 2 }]);
+
+    expect(four.isBoundary).toBe(true);
+    expect(noBall.runs).toMatchObject({ batsmanRuns: 0, noBalls: 1, byes: 2, totalRuns: 3 });
+    expect(match.innings.first.extras).toMatchObject({ noBalls: 1, byes: 2, total: 3 });
+    // Byes aren't the bowler's
+    expect(performanceOf(match, 'b1').bowling.runs).toBe(5);
+    expect(crease(match)).toEqual(['a1', 'a2']);
+  });
+
+  it('leaves the end the wicket fell at for the new batsman', () => {
+    const match = startMatch();
+
+    play(match, 'b1', [{
+      outcome: BALL_OUTCOMES.ONE,
+      isWicket: true,
+      dismissalType: DISMISSAL_TYPES.RUN_OUT,
+      fielderGuestId: 'gb2',
+      batsmanOutGuestId: 'ga2',
+      runsCompleted: 0,
+      wicketEnd: CREASE_ENDS.STRIKER
+    }]);
+    scoringService.setNewBatsman(match, { batsmanGuestId: 'ga3' });
+
+    expect(match.innings.first.totalRuns).toBe(1);
+    expect(crease(match)).toEqual(['a3', 'a1']);
+  });
+
+  it('refuses more runs completed than were scored', () => {
+    const match = startMatch();
+
+    expect(() => play(match, 'b1', [{ outcome: BALL_OUTCOMES.TWO, runsCompleted: 3 }]))
+      .toThrow('Runs completed cannot exceed the runs scored');
+  });
+});
+
+describe('scoringService bowler eligibility', () => {
+  const over = ['dot', 'dot', 'dot', 'dot', 'dot', 'dot'];
+
+  it('refuses the bowler of the previous over', () => {
+    const match = startMatch({ overs: 10 });
+    play(match, 'b1', over);
+
+    expect(() => scoringService.setBowler(match, { bowlerGuestId: 'gb1' }))
+      .toThrow("b1 bowled the previous over and can't bowl consecutive overs");
+    expect(() => scoringService.setBowler(match, { bowlerGuestId: 'gb2' })).not.toThrow();
+  });
+
+  it('holds each bowler to a fifth of the overs unless the match sets a quota', () => {
+    const match = startMatch({ overs: 10 });
+    play(match, 'b1', over);
+    play(match, 'b2', over);
+    play(match, 'b1', over);
+    play(match, 'b2', over);
+
+    expect(() => scoringService.setBowler(match, { bowlerGuestId: 'gb1' }))
+      .toThrow('b1 has already bowled the maximum of 2 overs');
+
+    match.settings.maxOversPerBowler = 3;
+    expect(() => scoringService.setBowler(match, { bowlerGuestId: 'gb1' })).not.toThrow();
+  });
+
+  it('lets another bowler finish an over and bars them from the next', () => {
+    const match = startMatch({ overs: 10, maxOversPerBowler: 1 });
+    play(match, 'b1', ['dot', 'dot']);
+
+    expect(() => play(match, 'b2', ['dot', 'dot', 'dot', 'dot'])).not.toThrow();
+    expect(() => scoringService.setBowler(match, { bowlerGuestId: 'gb2' })).toThrow(/consecutive overs/);
+  });
+
+  it('reports the overs each bowler has left', () => {
+    const match = startMatch({ overs: 10 });
+    play(match, 'b1', over);
+    play(match, 'b2', ['dot']);
+
+    const quotas = scoringService.getBowlerQuotas(match, match.innings.first);
+
+    expect(quotas.map(({ bowler, oversBowled, oversRemaining }) => [bowler.guestName, oversBowled, oversRemaining]))
+      .toEqual([['b1', 1, 1], ['b2', 1, 1], ['b3', 0, 2], ['b4', 0, 2]]);
+  });
+});
+
+describe('scoringService retirements', () => {
+  const batsman = (match, name) => scoringService.findTeamPlayer(match.teamA, { guestId: `g${name}` });
+
+  it('lets a batsman who retired hurt resume, without costing a wicket', () => {
+    const match = startMatch();
+    const first = match.innings.first;
+    play(match, 'b1', ['4']);
+
+    scoringService.retireBatsman(match, first, batsman(match, 'a1'), DISMISSAL_TYPES.RETIRED_HURT);
+    scoringService.setNewBatsman(match, { batsmanGuestId: 'ga3' });
+    play(match, null, ['1']);
+
+    expect(first.totalWickets).toBe(0);
+    expect(performanceOf(match, 'a1').batting).toMatchObject({ isOut: false, dismissalType: DISMISSAL_TYPES.RETIRED_HURT });
+
+    play(match, null, [{ outcome: BALL_OUTCOMES.WICKET, dismissalType: DISMISSAL_TYPES.BOWLED }]);
+    const resumed = scoringService.sendInBatsman(match, first, batsman(match, 'a1'));
+
+    expect(resumed.resumedAfterBalls).toBe(3);
+    expect(first.currentBatsmen.striker.guestName).toBe('a1');
+    expect(performanceOf(match, 'a1').batting.dismissalType).toBeUndefined();
+  });
+
+  it('counts retiring out as a wicket that can\'t be undone by going back in', () => {
+    const match = startMatch();
+    const first = match.innings.first;
+
+    scoringService.retireBatsman(match, first, batsman(match, 'a2'), DISMISSAL_TYPES.RETIRED_OUT);
+
+    expect(first.totalWickets).toBe(1);
+    expect(first.fallOfWickets[0].batsman.guestName).toBe('a2');
+    expect(performanceOf(match, 'a2').batting).toMatchObject({ isOut: true, dismissalType: DISMISSAL_TYPES.RETIRED_OUT });
+    expect(() => scoringService.sendInBatsman(match, first, batsman(match, 'a2'))).toThrow('a2 is already out');
+  });
+
+  it('only retires a batsman at the crease', () => {
+    const match = startMatch();
+
+    expect(() => scoringService.retireBatsman(match, match.innings.first, batsman(match, 'a3'), DISMISSAL_TYPES.RETIRED_HURT))
+      .toThrow('Batsman is not at the crease');
+  });
+
+  it('keeps retirements in place through a replay', () => {
+    const match = startMatch();
+    const first = match.innings.first;
+    play(match, 'b1', ['1']);
+    scoringService.retireBatsman(match, first, batsman(match, 'a2'), DISMISSAL_TYPES.RETIRED_OUT);
+    scoringService.setNewBatsman(match, { batsmanGuestId: 'ga3' });
+    play(match, null, ['2']);
+
+    scoringService.undoLastBall(match);
+
+    expect(first.totalWickets).toBe(1);
+    expect(first.currentBatsmen.striker.guestName).toBe('a3');
+  });
+});
+
+describe('scoringService last man stands', () => {
+  const bowled = { outcome: BALL_OUTCOMES.WICKET, dismissalType: DISMISSAL_TYPES.BOWLED };
+
+  // Two of the three batsmen out, leaving a3
+  const downToLastMan = (settings) => {
+    const match = startMatch({ playersPerTeam: 3, ...settings });
+    play(match, 'b1', [bowled]);
+    scoringService.setNewBatsman(match, { batsmanGuestId: 'ga3' });
+    play(match, null, [bowled]);
+    return match;
+  };
+
+  it('ends the innings when the side runs out of pairs by default', () => {
+    const match = downToLastMan({});
+
+    expect(match.innings.first.status).toBe('completed');
+    expect(match.status).toBe(MATCH_STATUS.INNINGS_BREAK);
+  });
+
+  it('lets the last batsman bat on alone, keeping the strike', () => {
+    const match = downToLastMan({ lastManStands: true });
+    const first = match.innings.first;
+
+    expect(first.status).toBe('in_progress');
+    expect(first.currentBatsmen.striker.guestName).toBe('a2');
+    expect(scoringService.isLastManStanding(match, first)).toBe(true);
+
+    play(match, null, ['1', '1', '1', '1']);
+
+    expect(first.totalOvers).toBe(1);
+    expect(first.currentBatsmen.striker.guestName).toBe('a2');
+    expect(first.balls[first.balls.length - 1].nonStriker.guestName).toBeUndefined();
+  });
+
+  it('ends the innings when the last batsman is out', () => {
+    const match = downToLastMan({ lastManStands: true });
+
+    play(match, null, [bowled]);
+
+    expect(match.innings.first).toMatchObject({ status: 'completed', totalWickets: 3 });
+  });
+});
+
+describe('scoringService super overs', () => {
+  const singles = ['1', '1', '1', '1', '1', '1'];
+  const bowled = { outcome: BALL_OUTCOMES.WICKET, dismissalType: DISMISSAL_TYPES.BOWLED };
+
+  // A one over match the Tigers tie on 6
+  const tiedMatch = (superOver) => {
+    const match = startMatch({ overs: 1, superOver });
+    play(match, 'b1', singles);
+    scoringService.startSecondInnings(match);
+    scoringService.setBatsmen(match, { strikerGuestId: 'gb1', nonStrikerGuestId: 'gb2' });
+    play(match, 'a1', singles);
+    return match;
+  };
+
+  // Start the next super over with the given batsmen and bowler
+  const startSuperOver = (match, [striker, nonStriker], bowler) => {
+    scoringService.startSuperOver(match);
+    scoringService.setBatsmen(match, { strikerGuestId: `g${striker}`, nonStrikerGuestId: `g${nonStriker}` });
+    scoringService.setBowler(match, { bowlerGuestId: `g${bowler}` });
+  };
+
+  const chase = (match, [striker, nonStriker], bowler) => {
+    scoringService.startSecondInnings(match);
+    scoringService.setBatsmen(match, { strikerGuestId: `g${striker}`, nonStrikerGuestId: `g${nonStriker}` });
+    scoringService.setBowler(match, { bowlerGuestId: `g${bowler}` });
+  };
+
+  it('leaves a tie as a tie unless the match plays super overs', () => {
+    expect(tiedMatch(SUPER_OVER_MODES.OFF).result.resultType).toBe('tie');
+    expect(tiedMatch(SUPER_OVER_MODES.REPEAT).status).toBe(MATCH_STATUS.SUPER_OVER);
+  });
+
+  it('settles the tie with a super over that doesn\'t count towards player figures', () => {
+    const match = tiedMatch(SUPER_OVER_MODES.REPEAT);
+    const figures = match.toObject().playerPerformances;
+
+    // The side that batted second bats first
+    startSuperOver(match, ['b3', 'b4'], 'a2');
+    play(match, null, ['4', bowled]);
+    scoringService.setNewBatsman(match, { batsmanGuestId: 'gb1' });
+    play(match, null, [bowled]);
+
+    // Two wickets end a super over innings
+    expect(match.superOvers[0].first).toMatchObject({ battingTeam: 'teamB', status: 'completed', totalRuns: 4 });
+    expect(match.status).toBe(MATCH_STATUS.INNINGS_BREAK);
+
+    chase(match, ['a3', 'a4'], 'b2');
+    play(match, null, ['6']);
+
+    expect(match.status).toBe(MATCH_STATUS.COMPLETED);
+    expect(match.result).toMatchObject({ winner: 'teamA', decidedBy: TIE_BREAKERS.SUPER_OVER });
+    expect(match.toObject().playerPerformances).toEqual(figures);
+  });
+
+  it('keeps the last super over\'s bowler and dismissed batsmen out of the next one', () => {
+    const match = tiedMatch(SUPER_OVER_MODES.REPEAT);
+    startSuperOver(match, ['b3', 'b4'], 'a2');
+    play(match, null, ['1', '1', '1', '1', '1', '1']);
+    chase(match, ['a3', 'a4'], 'b2');
+    play(match, null, ['1', '1', '1', bowled]);
+    scoringService.setNewBatsman(match, { batsmanGuestId: 'ga1' });
+    play(match, null, ['1', '2']);
+
+    expect(match.status).toBe(MATCH_STATUS.SUPER_OVER);
+
+    scoringService.startSuperOver(match);
+    expect(() => scoringService.setBatsmen(match, { strikerGuestId: 'ga4', nonStrikerGuestId: 'ga2' }))
+      .toThrow("a4 was dismissed in the previous super over and can't bat in this one");
+    scoringService.setBatsmen(match, { strikerGuestId: 'ga2', nonStrikerGuestId: 'ga3' });
+    expect(() => scoringService.setBowler(match, { bowlerGuestId: 'gb2' }))
+      .toThrow("b2 bowled the previous super over and can't bowl this one");
+  });
+
+  it('falls back on the boundary count when the super over is tied too', () => {
+    const match = tiedMatch(SUPER_OVER_MODES.BOUNDARY_COUNT);
+    startSuperOver(match, ['b3', 'b4'], 'a2');
+    play(match, null, ['6', 'dot', 'dot', 'dot', 'dot', 'dot']);
+    chase(match, ['a3', 'a4'], 'b2');
+    play(match, null, ['1', '1', '1', '1', '1', '1']);
+
+    expect(match.status).toBe(MATCH_STATUS.COMPLETED);
+    expect(match.result.decidedBy).toBe(TIE_BREAKERS.BOUNDARY_COUNT);
+  });
+});
+
+describe('scoringService balls per over', () => {
+  it('writes overs in the match\'s balls per over', () => {
+    expect(scoringService.ballsToOvers(7, 5)).toBe(1.2);
+    expect(scoringService.ballsToOvers(10, 5)).toBe(2);
+    expect(scoringService.ballsToOvers(7)).toBe(1.1);
+  });
+
+  it('ends a 5-ball over on the fifth legal ball and rates runs per 5-ball over', () => {
+    const match = startMatch({ ballsPerOver: 5 });
+    const first = match.innings.first;
+
+    play(match, 'b1', ['4', 'wide', '1', '1', '1', '1']);
+
+    expect(first).toMatchObject({ totalOvers: 1, currentBall: 0, totalBalls: 5, totalRuns: 9, runRate: 9 });
+    expect(first.currentBowler.guestName).toBeUndefined();
+
+    play(match, 'b2', ['2', '2']);
+
+    expect(first.runRate).toBe(9.29);
+    expect(performanceOf(match, 'b1').bowling).toMatchObject({ overs: 1, balls: 5, runs: 9, economyRate: 9 });
+    expect(performanceOf(match, 'b2').bowling).toMatchObject({ overs: 0.2, balls: 2, economyRate: 10 });
+  });
+
+  it('holds ball numbers to the length of the match\'s overs', () => {
+    const match = startMatch({ ballsPerOver: 5 });
+    play(match, 'b1', ['1']);
+    match.innings.first.balls[0].ballNumber = 6;
+
+    expect(match.validateSync().errors['innings.first.balls.0.ballNumber'].message)
+      .toBe('Ball number cannot exceed the balls in an over');
+  });
+});
+
+describe('scoringService ground rules', () => {
+  let match;
+
+  beforeEach(() => {
+    match = startMatch();
+    match.groundRules = [
+      { name: 'Back net', runs: 4 },
+      { name: 'Side net', runs: 1, extra: 'bye' },
+      { name: 'Roof', isWicket: true },
+      { name: 'Dead ball', isLegalDelivery: false }
+    ];
+  });
+
+  it('scores a named outcome as the runs and extras its rule awards', () => {
+    const [backNet, sideNet] = play(match, 'b1', [{ groundRule: 'back NET' }, { groundRule: 'Side net' }]);
+
+    expect(backNet).toMatchObject({ outcome: BALL_OUTCOMES.GROUND_RULE, groundRule: 'Back net', isBoundary: true });
+    expect(sideNet).toMatchObject({ outcome: BALL_OUTCOMES.BYE, runs: { byes: 1, totalRuns: 1 } });
+    expect(match.innings.first).toMatchObject({ totalRuns: 5, extras: { byes: 1 } });
+    expect(performanceOf(match, 'a1').batting).toMatchObject({ runs: 4, fours: 1, ballsFaced: 2 });
+    expect(match.innings.first.currentBatsmen.striker.guestName).toBe('a2');
+  });
+
+  it('takes a wicket under the ground rule without crediting the bowler', () => {
+    const [roof] = play(match, 'b1', [{ groundRule: 'Roof' }]);
+
+    expect(roof.wicket.dismissalType).toBe(DISMISSAL_TYPES.GROUND_RULE);
+    expect(match.innings.first.totalWickets).toBe(1);
+    expect(performanceOf(match, 'a1').batting.isOut).toBe(true);
+    expect(performanceOf(match, 'b1').bowling.wickets).toBe(0);
+  });
+
+  it('leaves a dead ball out of the over', () => {
+    play(match, 'b1', [{ groundRule: 'Dead ball' }, '1']);
+
+    expect(match.innings.first).toMatchObject({ totalBalls: 1, currentBall: 1 });
+  });
+
+  it('refuses a rule the match doesn\'t have', () => {
+    expect(() => play(match, 'b1', [{ groundRule: 'Tree' }]))
+      .toThrow('No ground rule named "Tree" in this match');
+    expect(() => play(match, null, [BALL_OUTCOMES.GROUND_RULE]))
+      .toThrow('Name the ground rule to record a ground rule outcome');
+  });
+});
+
+describe('scoringService pairs format', () => {
+  const bowled = { outcome: BALL_OUTCOMES.WICKET, dismissalType: DISMISSAL_TYPES.BOWLED };
+  let match;
+
+  beforeEach(() => {
+    match = startMatch({ format: 'pairs', overs: 4, oversPerPair: 2, dismissalPenalty: 5 });
+    play(match, 'b1', ['4', bowled, '1', 'dot', 'dot', 'dot']);
+    play(match, 'b2', ['2', 'dot', 'dot', 'dot', 'dot', 'dot']);
+  });
+
+  it('takes the penalty off the score for a dismissal and keeps the pair batting', () => {
+    const first = match.innings.first;
+
+    expect(first).toMatchObject({ totalRuns: 2, totalWickets: 1, dismissalDeductions: 5, status: 'in_progress' });
+    expect(first.fallOfWickets[0].runs).toBe(-1);
+    expect(performanceOf(match, 'a1').batting).toMatchObject({ runs: 7, isOut: true });
+  });
+
+  it('sends in the next pair once a pair\'s overs are done', () => {
+    const first = match.innings.first;
+
+    expect(first.currentBatsmen.striker.guestName).toBeUndefined();
+    expect(first.currentBatsmen.nonStriker.guestName).toBeUndefined();
+    expect(() => scoringService.setBatsmen(match, { strikerGuestId: 'ga1', nonStrikerGuestId: 'ga3' }))
+      .toThrow('a1 has already batted for an earlier pair');
+
+    scoringService.setBatsmen(match, { strikerGuestId: 'ga3', nonStrikerGuestId: 'ga4' });
+    play(match, 'b3', ['6']);
+
+    expect(first.totalRuns).toBe(8);
+  });
+
+  it('scores each pair\'s overs with what their dismissals cost them', () => {
+    const [pair1, pair2] = scoringService.getPairsScorecard(match, match.innings.first);
+
+    expect(pair1).toMatchObject({
+      pair: 1,
+      overs: { from: 1, to: 2 },
+      runs: 7,
+      dismissals: 1,
+      deductions: 5,
+      netRuns: 2,
+      isComplete: true
+    });
+    expect(pair1.batsmen).toEqual([
+      expect.objectContaining({ runs: 7, ballsFaced: 9, dismissals: 1, deductions: 5, netRuns: 2 }),
+      expect.objectContaining({ runs: 0, ballsFaced: 3, dismissals: 0, netRuns: 0 })
+    ]);
+    expect(pair2).toMatchObject({ pair: 2, overs: { from: 3, to: 4 }, runs: 0, batsmen: [], isComplete: false });
+  });
+
+  it('won\'t let a batsman retire out to dodge the penalty', () => {
+    scoringService.setBatsmen(match, { strikerGuestId: 'ga3', nonStrikerGuestId: 'ga4' });
+    const first = match.innings.first;
+
+    expect(() => scoringService.retireBatsman(match, first, first.currentBatsmen.striker, DISMISSAL_TYPES.RETIRED_OUT))
+      .toThrow("Batsmen can't retire out in the pairs format");
+  });
+});
+
+describe('scoringService resent deliveries', () => {
+  it('keeps the scorer\'s ball ID so a resent delivery can be found in any innings', () => {
+    const match = startMatch({ overs: 1 });
+    play(match, 'b1', ['1', '1', '1', '1', '1', '1']);
+    scoringService.startSecondInnings(match);
+    scoringService.setBatsmen(match, { strikerGuestId: 'gb1', nonStrikerGuestId: 'gb2' });
+    play(match, 'a1', [{ outcome: '4', clientBallId: 'ball-7' }]);
+
+    const found = scoringService.findBallByClientId(match, 'ball-7');
+
+    expect(found).toMatchObject({ inningsKey: 'second', superOver: null, ball: { outcome: '4', clientBallId: 'ball-7' } });
+    expect(found.innings).toBe(match.innings.second);
+    expect(scoringService.findBallByClientId(match, 'ball-8')).toBeNull();
+  });
+
+  it('refuses a delivery sent for a position the innings has moved past', () => {
+    const match = startMatch();
+    play(match, 'b1', ['1', '1', '1', '1', '1', '1']);
+    play(match, 'b2', ['2']);
+
+    let error;
+    try {
+      play(match, null, [{ outcome: '4', expectedOver: 1, expectedBall: 0 }]);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.errorCode).toBe(ERROR_CODES.BALL_POSITION_MISMATCH);
+    expect(error.message).toBe('Expected to score from 1.0 but the innings is at 1.1. Refresh the score and try again');
+    expect(match.innings.first.balls).toHaveLength(7);
+
+    play(match, null, [{ outcome: '4', expectedOver: 1, expectedBall: 1 }]);
+    expect(match.innings.first.totalRuns).toBe(12);
+  });
+
+  it('saves the match only over the version it was loaded at', () => {
+    expect(Match.schema.options.optimisticConcurrency).toBe(true);
+  });
+});
+
+describe('scoringService partnerships', () => {
+  const bowled = { outcome: BALL_OUTCOMES.WICKET, dismissalType: DISMISSAL_TYPES.BOWLED };
+  let match;
+
+  beforeEach(() => {
+    match = startMatch();
+    play(match, 'b1', ['4', 'wide', '1', 'no_ball', '2', bowled]);
+  });
+
+  it('adds up a stand and what each batsman made of it until a wicket breaks it', () => {
+    const [opening] = match.innings.first.partnerships;
+
+    expect(opening).toMatchObject({ wicket: 1, runs: 9, balls: 4, extras: 2, isUnbroken: false });
+    expect(opening.batsman1).toMatchObject({ player: { guestName: 'a1' }, runs: 5, balls: 2 });
+    expect(opening.batsman2).toMatchObject({ player: { guestName: 'a2' }, runs: 2, balls: 3 });
+    expect(scoringService.getCurrentPartnership(match.innings.first)).toBeNull();
+  });
+
+  it('starts the next stand with the new batsman', () => {
+    scoringService.setNewBatsman(match, { batsmanGuestId: 'ga3' });
+    play(match, null, ['1']);
+
+    const current = scoringService.getCurrentPartnership(match.innings.first);
+
+    expect(match.innings.first.partnerships).toHaveLength(2);
+    expect(current).toMatchObject({ wicket: 2, runs: 1, balls: 1, isUnbroken: true });
+    expect(current.batsman1.player.guestName).toBe('a3');
+    expect(current.batsman2.player.guestName).toBe('a1');
+  });
+
+  it('takes an undone ball back out of the stand', () => {
+    scoringService.setNewBatsman(match, { batsmanGuestId: 'ga3' });
+    play(match, null, ['1']);
+
+    scoringService.undoLastBall(match);
+    scoringService.undoLastBall(match);
+
+    const [opening] = match.innings.first.partnerships;
+    expect(match.innings.first.partnerships).toHaveLength(1);
+    expect(opening).toMatchObject({ runs: 9, balls: 3, isUnbroken: true });
+    expect(scoringService.getCurrentPartnership(match.innings.first)).toBe(opening);
+  });
+
+  it('ends the stand when a batsman retires', () => {
+    scoringService.setNewBatsman(match, { batsmanGuestId: 'ga3' });
+    play(match, null, ['1']);
+    const first = match.innings.first;
+
+    scoringService.retireBatsman(match, first, first.currentBatsmen.striker, DISMISSAL_TYPES.RETIRED_HURT);
+
+    expect(scoringService.getCurrentPartnership(first)).toBeNull();
+    expect(first.partnerships[1].isUnbroken).toBe(false);
+  });
+});
@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const Match = require('../src/models/Match');
+const User = require('../src/models/User');
+const statisticsService = require('../src/services/statisticsService');
+const { rebuildPlayerPerformances } = require('../src/services/scoringService');
+const { MATCH_STATUS } = require('../src/config/constants');
+
+const userA = new mongoose.Types.ObjectId();
+const userB = new mongoose.Types.ObjectId();
+
+const buildMatch = () => new Match({
+  room: new mongoose.Types.ObjectId(),
+  status: MATCH_STATUS.COMPLETED,
+  settings: { overs: 2, playersPerTeam: 2 },
+  teamA: { name: 'Lions', players: [{ user: userA }] },
+  teamB: { name: 'Tigers', players: [{ user: userB }] },
+  playerPerformances: [
+    { player: { user: userA }, team: 'teamA', batting: { runs: 12, ballsFaced: 6, fours: 2 } },
+    { player: { user: userB }, team: 'teamB', bowling: { balls: 6, runs: 12, wickets: 1 } }
+  ],
+  result: { winner: 'teamA', resultType: 'team_a_won', resultText: 'Lions won' }
+});
+
+// Counter increments sent to users, keyed by user ID
+const counterWrites = () => User.bulkWrite.mock.calls
+  .flatMap(([operations]) => operations)
+  .filter(operation => operation.updateOne.update.$inc)
+  .map(operation => [operation.updateOne.filter._id.toString(), operation.updateOne.update.$inc]);
+
+describe('statisticsService.syncMatchStatistics', () => {
+  let events;
+
+  beforeEach(() => {
+    events = [];
+    jest.spyOn(Match, 'updateOne').mockImplementation(async () => {
+      events.push('ledger');
+      return { matchedCount: 1 };
+    });
+    jest.spyOn(Match, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(User, 'bulkWrite').mockImplementation(async () => {
+      events.push('counters');
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('writes the ledger before crediting the counters', async () => {
+    const match = buildMatch();
+
+    await statisticsService.syncMatchStatistics(match);
+
+    expect(events[0]).toBe('ledger');
+    expect(Object.fromEntries(counterWrites())).toEqual({
+      [userA.toString()]: expect.objectContaining({ 'statistics.matchesPlayed': 1, 'statistics.matchesWon': 1, 'statistics.totalRuns': 12 }),
+      [userB.toString()]: expect.objectContaining({ 'statistics.matchesPlayed': 1, 'statistics.matchesLost': 1, 'statistics.totalWickets': 1 })
+    });
+    expect(match.statisticsLedger.entries).toHaveLength(2);
+  });
+
+  it('leaves the counters alone when the ledger write fails', async () => {
+    const match = buildMatch();
+    await statisticsService.syncMatchStatistics(match);
+    const ledger = match.statisticsLedger;
+    User.bulkWrite.mockClear();
+
+    match.status = MATCH_STATUS.ABANDONED;
+    Match.updateOne.mockRejectedValueOnce(new Error('write failed'));
+
+    await expect(statisticsService.syncMatchStatistics(match)).rejects.toThrow('write failed');
+    expect(User.bulkWrite).not.toHaveBeenCalled();
+    expect(match.statisticsLedger).toBe(ledger);
+  });
+
+  it('credits nothing more when synced again unchanged', async () => {
+    const match = buildMatch();
+    await statisticsService.syncMatchStatistics(match);
+    User.bulkWrite.mockClear();
+
+    await statisticsService.syncMatchStatistics(match);
+
+    expect(counterWrites()).toEqual([]);
+  });
+
+  it('withdraws what was credited once the match is no longer completed', async () => {
+    const match = buildMatch();
+    await statisticsService.syncMatchStatistics(match);
+    User.bulkWrite.mockClear();
+
+    match.status = MATCH_STATUS.ABANDONED;
+    await statisticsService.syncMatchStatistics(match);
+
+    expect(Object.fromEntries(counterWrites())[userA.toString()]).toEqual(
+      expect.objectContaining({ 'statistics.matchesPlayed': -1, 'statistics.totalRuns': -12 })
+    );
+    expect(match.statisticsLedger.entries).toHaveLength(0);
+  });
+
+  it('starts again from the stored ledger when another sync moved it first', async () => {
+    const match = buildMatch();
+    const latest = buildMatch();
+    latest._id = match._id;
+
+    Match.updateOne.mockResolvedValueOnce({ matchedCount: 0 });
+    jest.spyOn(Match, 'findById').mockResolvedValue(latest);
+
+    await statisticsService.syncMatchStatistics(match);
+
+    expect(Match.findById).toHaveBeenCalledWith(match._id);
+    expect(Match.updateOne).toHaveBeenCalledTimes(2);
+    expect(counterWrites()).toHaveLength(2);
+  });
+});
+
+describe('statisticsService.syncMatchStatisticsOrRetry', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(Match, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(User, 'bulkWrite').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('logs a failed sync instead of failing, and syncs the stored match later', async () => {
+    const match = buildMatch();
+    const latest = buildMatch();
+    latest._id = match._id;
+    jest.spyOn(Match, 'updateOne')
+      .mockRejectedValueOnce(new Error('write failed'))
+      .mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(Match, 'findById').mockResolvedValue(latest);
+
+    await expect(statisticsService.syncMatchStatisticsOrRetry(match)).resolves.toBeUndefined();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('write failed'));
+    expect(User.bulkWrite).not.toHaveBeenCalled();
+
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(Match.findById).toHaveBeenCalledWith(match._id);
+    expect(latest.statisticsLedger.entries).toHaveLength(2);
+    expect(counterWrites()).toHaveLength(2);
+  });
+
+  it('gives up after a few attempts', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Match, 'updateOne').mockRejectedValue(new Error('write failed'));
+    jest.spyOn(Match, 'findById').mockImplementation(async () => buildMatch());
+
+    await statisticsService.syncMatchStatisticsOrRetry(buildMatch());
+    for (let i = 0; i < 10; i++) {
+      await jest.runOnlyPendingTimersAsync();
+    }
+
+    expect(Match.updateOne).toHaveBeenCalledTimes(5);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('gave up'));
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
+
+describe('statisticsService.recomputeStatistics', () => {
+  let matches;
+
+  // A completed match whose performances already match its balls
+  const settledMatch = () => {
+    const match = buildMatch();
+    rebuildPlayerPerformances(match);
+    return match;
+  };
+
+  beforeEach(() => {
+    matches = [];
+    jest.spyOn(Match, 'find').mockImplementation(() => ({ cursor: () => matches }));
+    jest.spyOn(User, 'find').mockReturnValue({ select: () => ({ cursor: () => [] }) });
+    jest.spyOn(Match.prototype, 'save').mockImplementation(async function () { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rewrites a ledger that is out of step even when the performances are not', async () => {
+    const match = settledMatch();
+    matches.push(match);
+
+    const report = await statisticsService.recomputeStatistics();
+
+    expect(report.matches.changed).toBe(1);
+    expect(report.matches.details[0]).toMatchObject({ changes: [], ledgerRewritten: true });
+    expect(match.statisticsLedger.entries).toHaveLength(2);
+    expect(match.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports what it would change without writing anything on a dry run', async () => {
+    const match = settledMatch();
+    match.playerPerformances[0].batting.runs = 99;
+    matches.push(match);
+    jest.spyOn(User, 'updateOne');
+
+    const report = await statisticsService.recomputeStatistics({ dryRun: true });
+
+    expect(report.matches.details[0].changes).toContainEqual(
+      expect.objectContaining({ field: 'batting.runs', before: 99, after: 0 })
+    );
+    expect(match.save).not.toHaveBeenCalled();
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('leaves a match alone when its performances and ledger are both up to date', async () => {
+    const match = settledMatch();
+    match.statisticsLedger = {
+      appliedAt: new Date(),
+      entries: Array.from(statisticsService.buildMatchStatistics(match), ([user, stats]) => ({ user, stats }))
+    };
+    matches.push(match);
+
+    const report = await statisticsService.recomputeStatistics();
+
+    expect(report.matches.changed).toBe(0);
+    expect(match.save).not.toHaveBeenCalled();
+  });
+
+  it('rebuilds a match again from what was saved when it changed underneath the job', async () => {
+    const match = settledMatch();
+    const latest = settledMatch();
+    latest._id = match._id;
+    matches.push(match);
+
+    Match.prototype.save.mockRejectedValueOnce(new mongoose.Error.VersionError(match, 0, []));
+    jest.spyOn(Match, 'findById').mockResolvedValue(latest);
+
+    const report = await statisticsService.recomputeStatistics();
+
+    expect(Match.findById).toHaveBeenCalledWith(match._id);
+    expect(latest.statisticsLedger.entries).toHaveLength(2);
+    expect(report.matches).toMatchObject({ changed: 1, failed: [] });
+  });
+
+  it('reports a match it could not save and carries on with the rest', async () => {
+    const broken = settledMatch();
+    const next = settledMatch();
+    matches.push(broken, next);
+
+    Match.prototype.save.mockRejectedValueOnce(new Error('write failed'));
+
+    const report = await statisticsService.recomputeStatistics();
+
+    expect(report.matches.failed).toEqual([{ matchId: broken._id, error: 'write failed' }]);
+    expect(report.matches).toMatchObject({ scanned: 2, changed: 1 });
+    expect(next.statisticsLedger.entries).toHaveLength(2);
+  });
+});
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Match = require('../src/models/Match');
+const wagonWheelService = require('../src/services/wagonWheelService');
+
+const userId = new mongoose.Types.ObjectId();
+const matchA = new mongoose.Types.ObjectId();
+const matchB = new mongoose.Types.ObjectId();
+
+// A delivery as the aggregation hands it back: the match ID and the shot
+const faced = (matchId, shot, batsmanRuns, isBoundary = false) => ({
+  _id: matchId,
+  shot,
+  runs: { batsmanRuns },
+  isBoundary
+});
+
+describe('wagonWheelService.getCareerWagonWheel', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only pulls the deliveries the user faced out of the database', async () => {
+    const aggregate = jest.spyOn(Match, 'aggregate').mockResolvedValue([]);
+
+    await wagonWheelService.getCareerWagonWheel(userId.toString());
+
+    const pipeline = aggregate.mock.calls[0][0];
+    expect(pipeline).toContainEqual({ $unwind: '$balls' });
+    expect(pipeline).toContainEqual({ $match: { 'balls.batsman.user': userId, 'balls.shot': { $ne: null } } });
+  });
+
+  it('adds up the shots across matches', async () => {
+    jest.spyOn(Match, 'aggregate').mockResolvedValue([
+      faced(matchA, { zone: 'cover', angle: 40, distance: 20 }, 4, true),
+      faced(matchA, { wall: 'roof' }, 2),
+      faced(matchB, { zone: 'cover', angle: 45 }, 6, true),
+      faced(matchB, {}, 1)
+    ]);
+
+    const wheel = await wagonWheelService.getCareerWagonWheel(userId);
+
+    expect(wheel).toMatchObject({ matches: 2, shots: 3, runs: 12, fours: 1, sixes: 1 });
+    expect(wheel.zones.cover).toEqual({ shots: 2, runs: 10, fours: 1, sixes: 1 });
+    expect(wheel.walls.roof).toEqual({ shots: 1, runs: 2, fours: 0, sixes: 0 });
+    expect(wheel.points).toHaveLength(2);
+  });
+});